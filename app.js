@@ -0,0 +1,99 @@
+// The Express app: middleware, one router per domain and central error handling.
+// createApp doesn't connect to MongoDB or listen; server.js does that, and the
+// integration tests drive the returned app directly.
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const { createAuth } = require('./middleware/auth');
+const { errorHandler } = require('./middleware/errors');
+const { createLimits } = require('./middleware/limits');
+const { createRateLimitStore, createLoginLockout } = require('./middleware/rateLimiter');
+const { corsOptions, securityHeaders } = require('./middleware/security');
+const { createAccountEmails } = require('./services/emails');
+const { createMailer } = require('./services/mailer');
+const { createSessions } = require('./services/tokens');
+const { createAuthRouter } = require('./routes/auth');
+const { createUserRouter } = require('./routes/users');
+const { createMoodRouter } = require('./routes/mood');
+const { createFoodRouter } = require('./routes/foods');
+const { createCollectionRouter } = require('./routes/collections');
+const { createRecommendationRouter } = require('./routes/recommendations');
+const { createMealPlanRouter } = require('./routes/mealPlans');
+const { createJournalRouter } = require('./routes/journal');
+const { createContactRouter } = require('./routes/contact');
+const { createBlogRouter } = require('./routes/blog');
+const { createAdminRouter } = require('./routes/admin');
+const { createReminderRouter } = require('./routes/reminders');
+const { createNotificationRouter } = require('./routes/notifications');
+const { createMoodTaxonomyRouter } = require('./routes/moods');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+function createApp(config) {
+  const app = express();
+  const mailer = createMailer(config.env);
+  const rateLimitStore = createRateLimitStore(config.env);
+
+  // Everything the routers need, built once per app
+  const deps = {
+    config,
+    limits: createLimits(rateLimitStore, config),
+    loginLockout: createLoginLockout(rateLimitStore, { threshold: config.loginLockoutThreshold }),
+    ...createAuth(config),
+    ...createSessions(config),
+    ...createAccountEmails(mailer, config)
+  };
+
+  // The tests read sent mail from here (MAIL_TRANSPORT=memory)
+  app.locals.mailer = mailer;
+
+  // Behind a load balancer or reverse proxy, req.ip must come from X-Forwarded-For
+  if (config.trustProxy !== undefined) {
+    app.set('trust proxy', config.trustProxy);
+  }
+
+  // Middleware
+  app.disable('x-powered-by');
+  app.use(securityHeaders(config.env));
+  app.use(cors(corsOptions({ ...config.env, APP_URL: config.appUrl })));
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use(express.static(PUBLIC_DIR)); // Serve your frontend files
+
+  // API routes
+  app.use('/api/auth', createAuthRouter(deps));
+  app.use('/api/users', createUserRouter(deps));
+  app.use('/api/mood', createMoodRouter(deps));
+  app.use('/api/foods', createFoodRouter(deps));
+  app.use('/api/collections', createCollectionRouter(deps));
+  app.use('/api/recommendations', createRecommendationRouter(deps));
+  app.use('/api/meal-plans', createMealPlanRouter(deps));
+  app.use('/api/journal', createJournalRouter(deps));
+  app.use('/api/contact', createContactRouter(deps));
+  app.use('/api/blog', createBlogRouter(deps));
+  app.use('/api/admin', createAdminRouter(deps));
+  app.use('/api/reminders', createReminderRouter(deps));
+  app.use('/api/notifications', createNotificationRouter(deps));
+  app.use('/api/moods', createMoodTaxonomyRouter(deps));
+
+  // Health check endpoint
+  app.get('/api/health', (req, res) => {
+    res.json({
+      success: true,
+      message: 'FoodSwing API is running! 🍔',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Serve frontend
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  });
+
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
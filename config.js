@@ -0,0 +1,43 @@
+// Settings read from the environment (see .env.example).
+// createApp takes the result, so tests can build an app with their own settings:
+//   createApp(loadConfig({ ...process.env, MAIL_TRANSPORT: 'memory' }))
+const { resolveJwtSecret } = require('./middleware/security');
+const { resolveMailTransport } = require('./services/mailer');
+
+// TRUST_PROXY is a hop count, true, or a list of trusted addresses
+function parseTrustProxy(value) {
+  if (!value) return undefined;
+  if (value === 'true') return true;
+  return Number(value) || value;
+}
+
+function loadConfig(env = process.env) {
+  const port = Number(env.PORT) || 5000;
+
+  return {
+    env, // the raw variables, read by the mailer, the rate limit store and the security settings
+    isProduction: env.NODE_ENV === 'production',
+    port,
+    mongoUri: env.MONGODB_URI || 'mongodb://localhost:27017/foodswing',
+    jwtSecret: resolveJwtSecret(env),
+    mailTransport: resolveMailTransport(env),
+    appUrl: env.APP_URL || `http://localhost:${port}`,
+    adminEmail: env.ADMIN_EMAIL ? env.ADMIN_EMAIL.trim() : '',
+    requireEmailVerification: env.REQUIRE_EMAIL_VERIFICATION === 'true',
+    accessTokenTtl: env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenDays: Number(env.REFRESH_TOKEN_DAYS) || 30,
+    trustProxy: parseTrustProxy(env.TRUST_PROXY),
+    loginLockoutThreshold: Number(env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+    accountDeletionGraceDays: Number(env.ACCOUNT_DELETION_GRACE_DAYS) || 14,
+    // Requests allowed per window; see middleware/limits.js
+    rateLimits: {
+      login: Number(env.LOGIN_RATE_LIMIT) || 20,
+      loginAccount: Number(env.LOGIN_ACCOUNT_RATE_LIMIT) || 10,
+      signup: Number(env.SIGNUP_RATE_LIMIT) || 5,
+      email: Number(env.EMAIL_RATE_LIMIT) || 10,
+      contact: Number(env.CONTACT_RATE_LIMIT) || 5
+    }
+  };
+}
+
+module.exports = { loadConfig };
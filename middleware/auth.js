@@ -0,0 +1,57 @@
+// Authentication and authorization middleware.
+// createAuth(config) returns the middleware that checks the access JWT:
+//   authenticateToken - the request must carry a valid token (sets req.user)
+//   optionalAuth      - reads the token when one is sent, but lets anonymous requests through
+// requireRole('admin', ...) goes after authenticateToken.
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+
+function createAuth(config) {
+  const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({ success: false, message: 'Access token required' });
+    }
+
+    jwt.verify(token, config.jwtSecret, (err, user) => {
+      if (err) {
+        return res.status(403).json({ success: false, message: 'Invalid or expired token' });
+      }
+      req.user = user;
+      next();
+    });
+  };
+
+  const optionalAuth = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) return next();
+
+    jwt.verify(token, config.jwtSecret, (err, user) => {
+      if (!err) req.user = user;
+      next();
+    });
+  };
+
+  return { authenticateToken, optionalAuth };
+}
+
+// Restrict a route to the given roles.
+// The role is re-read from the database so promotions and demotions apply immediately.
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('role');
+    if (!user || !roles.includes(user.role)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to do this' });
+    }
+    req.user.role = user.role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { createAuth, requireRole };
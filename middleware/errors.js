@@ -0,0 +1,47 @@
+// Central error handling.
+// Route handlers are plain async functions: anything they throw (or a rejected promise)
+// goes to errorHandler, which logs it and answers with the usual shape:
+//   500 { success: false, message: 'Server error. Please try again.' }
+const express = require('express');
+const { sendValidationError } = require('./validation');
+
+// Send a rejected promise from an async handler on to the error middleware
+const forwardErrors = (handler) => {
+  if (typeof handler !== 'function') return handler;
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// An express.Router whose route handlers can be async functions
+function asyncRouter() {
+  const router = express.Router();
+
+  ['get', 'post', 'put', 'patch', 'delete'].forEach(method => {
+    const addRoute = router[method].bind(router);
+    router[method] = (path, ...handlers) => addRoute(path, ...handlers.map(forwardErrors));
+  });
+
+  return router;
+}
+
+// Last middleware of the app
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  // Malformed JSON bodies get the same 400 shape as other validation errors
+  if (err.type === 'entity.parse.failed') {
+    return sendValidationError(res, 'Request body is not valid JSON', {}, 'INVALID_JSON');
+  }
+
+  // Errors from the body parser (e.g. a body that is too large) carry their own status
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+
+  console.error(`${req.method} ${req.originalUrl} error:`, err);
+  res.status(500).json({
+    success: false,
+    message: 'Server error. Please try again.'
+  });
+}
+
+module.exports = { asyncRouter, errorHandler };
@@ -0,0 +1,57 @@
+// The app's request limits, built on the shared rate limit store.
+// Each *_RATE_LIMIT env var overrides the number of requests allowed per window (see config.js).
+const { rateLimit } = require('./rateLimiter');
+
+const MINUTE = 60 * 1000;
+
+// The email in the body, so limits also follow an account across IPs
+const accountKey = (req) => {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+function createLimits(store, config) {
+  return {
+    loginByIp: rateLimit(store, {
+      name: 'login-ip',
+      windowMs: 15 * MINUTE,
+      max: config.rateLimits.login,
+      message: 'Too many login attempts. Please take a short break ⏳'
+    }),
+    loginByAccount: rateLimit(store, {
+      name: 'login-account',
+      windowMs: 15 * MINUTE,
+      max: config.rateLimits.loginAccount,
+      key: accountKey,
+      message: 'Too many login attempts for this account. Please take a short break ⏳'
+    }),
+    signup: rateLimit(store, {
+      name: 'signup',
+      windowMs: 60 * MINUTE,
+      max: config.rateLimits.signup,
+      message: 'Too many accounts created from here. Please try again later ⏳'
+    }),
+    // Password reset and confirmation emails
+    emailByIp: rateLimit(store, {
+      name: 'email-ip',
+      windowMs: 60 * MINUTE,
+      max: config.rateLimits.email,
+      message: 'Too many email requests. Please try again later ⏳'
+    }),
+    emailByAccount: rateLimit(store, {
+      name: 'email-account',
+      windowMs: 60 * MINUTE,
+      max: 3,
+      key: accountKey,
+      message: 'We already sent a few emails to this address. Please check your inbox 📧'
+    }),
+    contact: rateLimit(store, {
+      name: 'contact',
+      windowMs: 60 * MINUTE,
+      max: config.rateLimits.contact,
+      message: 'You have sent a lot of messages. Please try again later ⏳'
+    })
+  };
+}
+
+module.exports = { createLimits };
@@ -0,0 +1,40 @@
+// Checks mood fields against the Mood collection (the list can change, so it can't be a fixed enum).
+// Goes after validate(), which has already checked the types:
+//   router.post('/select', validate(rules), knownMoods({ body: ['mood'] }), handler)
+// A field may hold one mood or a list of them; missing fields are skipped.
+// Updates pass findStored, which loads the record being edited: moods it already has stay allowed
+// after an admin hides them, so old records can still be edited. Only newly added moods must be active.
+//   knownMoods({ body: ['moods'] }, { findStored: req => Food.findById(req.params.id) })
+const mongoose = require('mongoose');
+const { sendValidationError, toLabel } = require('./validation');
+const { getMoodKeys } = require('../services/moods');
+
+function knownMoods(fieldsBySource, { findStored } = {}) {
+  return async (req, res, next) => {
+    const moodKeys = await getMoodKeys();
+    const stored = findStored && mongoose.Types.ObjectId.isValid(req.params.id) ? await findStored(req) : null;
+    const fields = {};
+
+    Object.entries(fieldsBySource).forEach(([source, names]) => {
+      names.forEach(name => {
+        const value = (req[source] || {})[name];
+        if (value === undefined || value === null || value === '') return;
+
+        const storedValue = stored ? stored[name] : undefined;
+        const kept = [].concat(storedValue === undefined || storedValue === null ? [] : storedValue);
+        const isList = Array.isArray(value);
+        if ((isList ? value : [value]).every(mood => moodKeys.includes(mood) || kept.includes(mood))) return;
+
+        fields[name] = `${toLabel(name)} must be ${isList ? 'any' : 'one'} of: ${moodKeys.join(', ')}`;
+      });
+    });
+
+    const [firstError] = Object.values(fields);
+    if (firstError) {
+      return sendValidationError(res, firstError, fields);
+    }
+    next();
+  };
+}
+
+module.exports = { knownMoods };
@@ -0,0 +1,151 @@
+// Rate limiting and login lockout.
+// RATE_LIMIT_STORE picks where the counters live:
+//   memory - in this process (default; fine for a single server)
+//   mongo  - in the ratelimits collection, so every instance of a cluster shares the same counts
+// Limited requests get 429 with a Retry-After header (seconds) and
+//   { success: false, code: 'RATE_LIMITED', message, retryAfter }
+const mongoose = require('mongoose');
+
+// Counters that reset when their window ends
+function createMemoryStore() {
+  const counters = new Map();
+
+  // Drop finished windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+    async get(key) {
+      const counter = counters.get(key);
+      return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+    },
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+function createMongoStore() {
+  const RateLimit = mongoose.models.RateLimit || mongoose.model('RateLimit', new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    resetAt: { type: Date, required: true, expires: 0 } // removed by MongoDB once the window ends
+  }));
+
+  return {
+    async increment(key, windowMs) {
+      const now = new Date();
+      const isOpen = { $gt: ['$resetAt', now] };
+
+      // One atomic update: count up inside the window, or start a new one
+      const counter = await RateLimit.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [isOpen, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [isOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+      return { count: counter.count, resetAt: counter.resetAt.getTime() };
+    },
+    async get(key) {
+      const counter = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+      return counter ? { count: counter.count, resetAt: counter.resetAt.getTime() } : null;
+    },
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+}
+
+function createRateLimitStore(config = process.env) {
+  const store = config.RATE_LIMIT_STORE || 'memory';
+
+  if (store === 'memory') return createMemoryStore();
+  if (store === 'mongo') return createMongoStore();
+  throw new Error(`Unknown RATE_LIMIT_STORE "${store}"`);
+}
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+function sendRateLimited(res, retryAfter, message, code = 'RATE_LIMITED') {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    code,
+    message,
+    retryAfter
+  });
+}
+
+// Middleware allowing max requests per windowMs for each key.
+// key(req) picks what is counted (the IP by default); returning null skips the check.
+function rateLimit(store, { name, windowMs, max, key = (req) => req.ip, message = 'Too many requests. Please slow down.' }) {
+  return async (req, res, next) => {
+    try {
+      const id = key(req);
+      if (!id) return next();
+
+      const { count, resetAt } = await store.increment(`${name}:${id}`, windowMs);
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+
+      if (count > max) {
+        return sendRateLimited(res, secondsUntil(resetAt), message);
+      }
+      next();
+    } catch (error) {
+      // A broken limiter shouldn't take the routes down with it
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+}
+
+// Locks an account after repeated failed logins.
+// Each failure past the threshold doubles the lock, from baseMs up to maxMs.
+// Failures are counted over failureWindowMs from the first one, and cleared by a successful login.
+function createLoginLockout(store, { threshold = 5, baseMs = 60 * 1000, maxMs = 60 * 60 * 1000, failureWindowMs = 24 * 60 * 60 * 1000 } = {}) {
+  const failuresKey = (account) => `login-failures:${account}`;
+  const lockKey = (account) => `login-lock:${account}`;
+
+  return {
+    // Seconds until the account can try again, or 0 when it isn't locked
+    async lockedFor(account) {
+      const lock = await store.get(lockKey(account));
+      return lock ? secondsUntil(lock.resetAt) : 0;
+    },
+    // Count a failure; returns the new lock in seconds, or 0 when not locked yet
+    async recordFailure(account) {
+      const { count } = await store.increment(failuresKey(account), failureWindowMs);
+      if (count < threshold) return 0;
+
+      const lockMs = Math.min(baseMs * 2 ** (count - threshold), maxMs);
+      await store.reset(lockKey(account));
+      const { resetAt } = await store.increment(lockKey(account), lockMs);
+      return secondsUntil(resetAt);
+    },
+    async reset(account) {
+      await Promise.all([store.reset(failuresKey(account)), store.reset(lockKey(account))]);
+    }
+  };
+}
+
+module.exports = { createRateLimitStore, rateLimit, createLoginLockout, sendRateLimited };
@@ -0,0 +1,99 @@
+// Security settings: the JWT secret, the CORS allowlist and HTTP security headers.
+//   JWT_SECRET    must be a random string of 32+ characters; production refuses to start without one
+//   CORS_ORIGINS  comma-separated origins allowed to call the API with cookies
+//                 (falls back to FRONTEND_URL; with neither set, any origin is allowed outside production)
+
+// Placeholder values shipped in the code and .env.example
+const PLACEHOLDER_SECRETS = [
+  'your-secret-key-change-in-production',
+  'your-super-secret-jwt-key-change-this-in-production'
+];
+const MIN_SECRET_LENGTH = 32;
+const DEVELOPMENT_SECRET = 'foodswing-development-secret-do-not-use-in-production';
+
+// Returns the secret to sign tokens with, or throws in production when it isn't strong enough
+function resolveJwtSecret(config = process.env) {
+  const secret = config.JWT_SECRET;
+  const isWeak = !secret || secret.length < MIN_SECRET_LENGTH || PLACEHOLDER_SECRETS.includes(secret);
+
+  if (!isWeak) return secret;
+
+  if (config.NODE_ENV === 'production') {
+    throw new Error(`JWT_SECRET must be a random string of at least ${MIN_SECRET_LENGTH} characters in production ` +
+      '(try: node -e "console.log(require(\'crypto\').randomBytes(48).toString(\'hex\'))")');
+  }
+
+  console.warn('⚠️  JWT_SECRET is missing or weak. Fine for development, but set a strong one before deploying.');
+  return secret || DEVELOPMENT_SECRET;
+}
+
+const toOrigin = (url) => url.trim().replace(/\/+$/, '');
+
+// Options for the cors middleware
+function corsOptions(config = process.env) {
+  const allowed = (config.CORS_ORIGINS || config.FRONTEND_URL || '')
+    .split(',')
+    .map(toOrigin)
+    .filter(Boolean);
+  if (config.APP_URL) allowed.push(toOrigin(config.APP_URL));
+
+  const allowAny = !config.CORS_ORIGINS && !config.FRONTEND_URL && config.NODE_ENV !== 'production';
+
+  return {
+    // Requests without an Origin (same-origin navigation, curl, health checks) are let through
+    origin: (origin, callback) => callback(null, !origin || allowAny || allowed.includes(origin)),
+    credentials: true, // the refresh-token cookie
+    exposedHeaders: ['Retry-After'] // so the frontend can say how long to wait when rate limited
+  };
+}
+
+// Content Security Policy for the app's own pages.
+// Scripts only load from this origin. The static markup still uses inline event handlers
+// (onclick="..."), so script-src-attr allows those; dynamic data must never be interpolated
+// into them (rendered markup passes data through data-* attributes and escapeHtml instead).
+// The pages may call an API on another origin (the api-base-url meta tag); list it in API_ORIGINS.
+function contentSecurityPolicy(config) {
+  const apiOrigins = (config.API_ORIGINS || '')
+    .split(',')
+    .map(toOrigin)
+    .filter(Boolean);
+
+  return [
+    "default-src 'self'",
+    "script-src 'self'",
+    "script-src-attr 'unsafe-inline'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: https:", // avatars and blog cover images are remote URLs
+    "font-src 'self' data:",
+    ["connect-src 'self'", ...apiOrigins].join(' '),
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+  ].join('; ');
+}
+
+// Middleware that sets the security headers on every response
+function securityHeaders(config = process.env) {
+  const isProduction = config.NODE_ENV === 'production';
+  const policy = contentSecurityPolicy(config);
+
+  return (req, res, next) => {
+    res.set({
+      'Content-Security-Policy': policy,
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'strict-origin-when-cross-origin',
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Permissions-Policy': 'camera=(), microphone=(), geolocation=()'
+    });
+
+    // Only over HTTPS: tells browsers to never use plain HTTP for this site again
+    if (isProduction) {
+      res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+    }
+    next();
+  };
+}
+
+module.exports = { resolveJwtSecret, corsOptions, securityHeaders };
@@ -0,0 +1,148 @@
+// Request validation.
+// A route declares the rules for the parts of the request it reads:
+//   validate({ body: { email: { type: 'string', required: true, email: true } } })
+// Every problem is collected, so the answer lists each bad field at once:
+//   400 { success: false, code: 'VALIDATION_ERROR', message, fields: { email: 'Please enter a valid email' } }
+//
+// Rule options:
+//   type       string | number | integer | boolean | array | objectId | date
+//   required   the field must be present (blank strings count as missing)
+//   label      name used in messages (defaults to the field name, e.g. moodAfter -> "Mood after")
+//   enum       allowed values (for arrays, use items)
+//   min/max    number range;  minLength/maxLength  string length;  maxItems  array length
+//   email      string must look like an email address
+//   pattern    string must match this RegExp
+//   items      rule checked against each array item
+//   message    replaces every message for this field
+// Query string and route params arrive as text, so numbers and booleans are parsed there before checking.
+const mongoose = require('mongoose');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PASSWORD_MIN_LENGTH = 6;
+
+// Rules shared by the auth, profile and contact routes
+const EMAIL_RULE = { type: 'string', required: true, email: true, maxLength: 254 };
+const PASSWORD_RULE = { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH, maxLength: 128 };
+
+// "moodAfter" -> "Mood after"
+const toLabel = (field) => {
+  const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Read a query/params value as the type the rule expects
+function fromText(value, type) {
+  if (typeof value !== 'string') return value;
+  if ((type === 'number' || type === 'integer') && value.trim() !== '') return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+// Check one value against its rule; returns an error message or null
+function checkValue(value, rule, label) {
+  const isBlank = value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+  if (isBlank) {
+    if (rule.required) return `${label} is required`;
+    if (typeof value === 'string' && rule.minLength) return `${label} cannot be empty`;
+    return null;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${label} must be text`;
+      if (rule.minLength && value.trim().length < rule.minLength) {
+        return `${label} must be at least ${rule.minLength} characters`;
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return `${label} can be up to ${rule.maxLength} characters`;
+      }
+      if (rule.email && !EMAIL_PATTERN.test(value.trim())) return 'Please enter a valid email';
+      if (rule.pattern && !rule.pattern.test(value)) return `${label} is not valid`;
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `${label} must be a whole number`;
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        if (rule.max === undefined) return `${label} must be at least ${rule.min}`;
+        if (rule.min === undefined) return `${label} can be at most ${rule.max}`;
+        return `${label} must be from ${rule.min} to ${rule.max}`;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${label} must be true or false`;
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return `${label} must be a list`;
+      if (rule.maxItems && value.length > rule.maxItems) return `${label} can have up to ${rule.maxItems} items`;
+      if (rule.items) {
+        const itemError = value.map(item => checkValue(item, { required: true, ...rule.items }, label)).find(Boolean);
+        if (itemError) {
+          return rule.items.enum ? `${label} must be any of: ${rule.items.enum.join(', ')}` : itemError;
+        }
+      }
+      break;
+    case 'objectId':
+      if (!mongoose.Types.ObjectId.isValid(value)) return `${label} is not valid`;
+      break;
+    case 'date':
+      if (isNaN(new Date(value).getTime())) return `${label} must be a valid date`;
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) return `${label} must be one of: ${rule.enum.join(', ')}`;
+  return null;
+}
+
+// Check an object against a set of rules; returns { field: message } for each problem
+function checkFields(source, rules, { partial = false, fromQuery = false } = {}) {
+  const errors = {};
+
+  Object.entries(rules).forEach(([field, rule]) => {
+    const value = fromQuery ? fromText(source[field], rule.type) : source[field];
+    const error = checkValue(value, partial ? { ...rule, required: false } : rule, rule.label || toLabel(field));
+    if (error) errors[field] = rule.message || error;
+  });
+
+  return errors;
+}
+
+// Answer with the uniform 400 shape
+function sendValidationError(res, message, fields = {}, code = 'VALIDATION_ERROR') {
+  return res.status(400).json({
+    success: false,
+    code,
+    message,
+    fields
+  });
+}
+
+// Middleware that checks req.body, req.query and req.params against a schema.
+// With partial set, required is ignored (for updates that send only changed fields).
+function validate(schema, { partial = false } = {}) {
+  return (req, res, next) => {
+    const fields = {
+      ...checkFields(req.params, schema.params || {}, { fromQuery: true }),
+      ...checkFields(req.query, schema.query || {}, { fromQuery: true }),
+      ...checkFields(req.body || {}, schema.body || {}, { partial })
+    };
+
+    const [firstError] = Object.values(fields);
+    if (firstError) {
+      return sendValidationError(res, firstError, fields);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  checkFields,
+  sendValidationError,
+  toLabel,
+  EMAIL_PATTERN,
+  PASSWORD_MIN_LENGTH,
+  EMAIL_RULE,
+  PASSWORD_RULE
+};
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// One-time Token Schema (password reset, email verification and account deletion).
+// Only a SHA-256 hash of the token is stored; MongoDB removes expired tokens.
+const authTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['password-reset', 'email-verification', 'account-deletion'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true, expires: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Collection Schema (the built-in Favorites list and the user's own lists of foods)
+const collectionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  description: { type: String, default: '', maxlength: 200 },
+  isFavorites: { type: Boolean, default: false },
+  foods: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Food' }],
+  shareToken: { type: String, unique: true, sparse: true }, // set while the read-only link is on
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// One Favorites list per user, even when two first requests race to create it
+collectionSchema.index({ userId: 1, isFavorites: 1 }, { unique: true, partialFilterExpression: { isFavorites: true } });
+
+module.exports = mongoose.model('Collection', collectionSchema);
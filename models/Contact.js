@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const { CONTACT_STATUSES } = require('./constants');
+
+// Contact Message Schema
+const contactSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String, required: true },
+  message: { type: String, required: true },
+  status: { type: String, enum: CONTACT_STATUSES, default: 'new', index: true },
+  notes: { type: String, default: '', maxlength: 2000 }, // internal notes, never shown to the sender
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Contact', contactSchema);
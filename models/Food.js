@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Food Schema (the mood-based suggestion catalog)
+const foodSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  emoji: { type: String, required: true },
+  description: { type: String, default: '' },
+  category: { type: String, required: true },
+  moods: { type: [String], default: [], index: true },
+  image: { type: String, default: '' },
+  tags: { type: [String], default: [] },
+  diets: { type: [String], default: [] }, // diets the food is suitable for, e.g. "vegan"
+  allergens: { type: [String], default: [] },
+  spiceLevel: { type: Number, min: 0, max: 3, default: 0 }, // 0 = not spicy, 3 = hot
+  // Per serving: calories in kcal, macros in grams, plus notable nutrients such as "omega-3"
+  nutrition: {
+    calories: { type: Number, min: 0 },
+    protein: { type: Number, min: 0 },
+    carbs: { type: Number, min: 0 },
+    fat: { type: Number, min: 0 },
+    fiber: { type: Number, min: 0 },
+    sugar: { type: Number, min: 0 },
+    nutrients: { type: [String], default: [] }
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Food', foodSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Food Feedback Schema (what happened after a suggestion was shown)
+const foodFeedbackSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  foodId: { type: mongoose.Schema.Types.ObjectId, ref: 'Food', required: true, index: true },
+  mood: { type: String }, // mood the food was suggested for
+  vote: { type: String, enum: ['up', 'down'] },
+  ate: { type: Boolean, default: false },
+  moodAfter: { type: Number, min: 1, max: 5 }, // 1 = much worse, 5 = much better
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('FoodFeedback', foodFeedbackSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Journal Entry Schema (a richer mood log written by the user)
+const journalEntrySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  mood: { type: String, required: true },
+  intensity: { type: Number, required: true, min: 1, max: 5 },
+  note: { type: String, default: '', maxlength: 2000 },
+  tags: { type: [String], default: [] }, // triggers such as "work" or "sleep"
+  foodId: { type: mongoose.Schema.Types.ObjectId, ref: 'Food' },
+  date: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+journalEntrySchema.index({ userId: 1, date: -1 });
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
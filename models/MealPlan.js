@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { MEALS } = require('./constants');
+
+// Meal Plan Schema (one week of planned meals per user)
+const mealPlanSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  weekStart: { type: String, required: true }, // Monday of the week, YYYY-MM-DD
+  entries: [{
+    day: { type: Number, required: true, min: 0, max: 6 }, // 0 = Monday
+    meal: { type: String, enum: MEALS, required: true },
+    foodId: { type: mongoose.Schema.Types.ObjectId, ref: 'Food', required: true }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+mealPlanSchema.index({ userId: 1, weekStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('MealPlan', mealPlanSchema);
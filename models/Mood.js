@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Mood Schema (the moods users pick from). key is what selections, journal entries and foods store.
+// Valence runs from -1 (unpleasant) to 1 (pleasant) and energy from -1 (calm) to 1 (intense).
+const moodSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  label: { type: String, required: true, trim: true },
+  emoji: { type: String, required: true },
+  tagline: { type: String, default: '' }, // shown on the mood card, e.g. "Need some comfort"
+  gradient: {
+    from: { type: String, required: true },
+    to: { type: String, required: true }
+  },
+  color: { type: String, required: true }, // a solid colour that stands apart from the others in charts
+  animation: { type: String, default: 'bounce' },
+  valence: { type: Number, min: -1, max: 1, default: 0 },
+  energy: { type: Number, min: -1, max: 1, default: 0 },
+  // Shown above the suggestions when title is set (e.g. for sad or stressed)
+  healing: {
+    title: { type: String, default: '' },
+    description: { type: String, default: '' },
+    tips: { type: [String], default: [] }
+  },
+  order: { type: Number, default: 0 },
+  active: { type: Boolean, default: true }, // hidden moods stay for old history but can't be picked
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Mood', moodSchema);
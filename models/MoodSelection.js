@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// User Mood Selection Schema (for analytics)
+const moodSelectionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  mood: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('MoodSelection', moodSelectionSchema);
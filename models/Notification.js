@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Notification Schema (the in-app inbox). link is the app route to open, e.g. /home for the mood picker.
+// MongoDB removes notifications after 30 days.
+const notificationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['reminder'], default: 'reminder' },
+  title: { type: String, required: true },
+  body: { type: String, default: '' },
+  link: { type: String, default: '/home' },
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
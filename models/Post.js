@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Blog Post Schema
+const postSchema = new mongoose.Schema({
+  slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  title: { type: String, required: true, trim: true },
+  excerpt: { type: String, default: '' },
+  body: { type: String, required: true }, // Markdown
+  tags: { type: [String], default: [] },
+  coverImage: { type: String, default: '' },
+  icon: { type: String, default: '📚' },
+  readTime: { type: Number, default: 1 }, // minutes, worked out from the word count
+  status: { type: String, enum: ['draft', 'published'], default: 'draft' },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  publishedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Keep read time and publish date in sync with the content
+postSchema.pre('save', function (next) {
+  const words = this.body.trim().split(/\s+/).filter(Boolean).length;
+  this.readTime = Math.max(1, Math.ceil(words / 200));
+  this.updatedAt = new Date();
+
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  next();
+});
+
+module.exports = mongoose.model('Post', postSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Recipe Schema (how to make a food; one recipe per food)
+const recipeSchema = new mongoose.Schema({
+  foodId: { type: mongoose.Schema.Types.ObjectId, ref: 'Food', required: true, unique: true },
+  ingredients: [{
+    name: { type: String, required: true, trim: true },
+    quantity: { type: Number, min: 0 }, // left out for "to taste" ingredients
+    unit: { type: String, default: '' } // e.g. "g", "tbsp"; empty for whole items
+  }],
+  steps: { type: [String], default: [] },
+  prepTime: { type: Number, min: 0, default: 0 }, // minutes
+  cookTime: { type: Number, min: 0, default: 0 }, // minutes
+  servings: { type: Number, min: 1, default: 1 },
+  difficulty: { type: String, enum: ['easy', 'medium', 'hard'], default: 'easy' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Recipe', recipeSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Refresh Token Schema (long-lived, rotated on every use, stored hashed).
+// Tokens from one login share a family so reuse of a rotated token revokes the whole chain.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  userAgent: { type: String, default: '' },
+  revokedAt: { type: Date },
+  expiresAt: { type: Date, required: true, expires: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
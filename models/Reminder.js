@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Reminder Schema (a check-in schedule such as 09:00 and 18:00 on weekdays).
+// Times are wall-clock times in the user's timezone; nextRunAt is kept up to date by services/reminders.js
+const reminderSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  label: { type: String, default: 'Mood check-in', maxlength: 60 },
+  times: { type: [String], required: true }, // HH:MM
+  days: { type: [Number], default: [0, 1, 2, 3, 4, 5, 6] }, // 0 = Monday
+  enabled: { type: Boolean, default: true },
+  nextRunAt: { type: Date, default: null }, // null while disabled
+  lastSentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+reminderSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Suggestion Schema (one row per food shown as a recommendation, for analytics)
+const suggestionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  foodId: { type: mongoose.Schema.Types.ObjectId, ref: 'Food', required: true },
+  mood: { type: String },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+module.exports = mongoose.model('Suggestion', suggestionSchema);
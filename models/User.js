@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// User Schema
+const userSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String, required: true, unique: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: ['user', 'editor', 'admin'], default: 'user' },
+  emailVerified: { type: Boolean, default: false },
+  likedFoods: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Food' }],
+  dislikedFoods: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Food' }],
+  // Profile and dietary preferences
+  avatar: { type: String, default: '' },
+  dietaryRestrictions: { type: [String], default: [] },
+  allergens: { type: [String], default: [] },
+  dislikedCategories: { type: [String], default: [] },
+  spiceTolerance: { type: String, enum: ['none', 'mild', 'medium', 'hot'], default: 'hot' },
+  theme: { type: String, enum: ['light', 'dark'], default: 'light' },
+  // Check-in reminders: the timezone their times are in, and HH:MM quiet hours when none are sent ('' = off)
+  timezone: { type: String, default: 'UTC' },
+  quietStart: { type: String, default: '' },
+  quietEnd: { type: String, default: '' },
+  // Set when the user confirms deleting their account; the data is removed once this date passes
+  deletionScheduledFor: { type: Date, default: null, index: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('User', userSchema);
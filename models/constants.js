@@ -0,0 +1,10 @@
+// Values shared by the models, the validation rules and the routes
+const ROLES = ['user', 'editor', 'admin'];
+const MOOD_ANIMATIONS = ['bounce', 'float', 'shake', 'spin', 'wiggle']; // CSS classes on the mood card emoji
+const DIETARY_RESTRICTIONS = ['vegetarian', 'vegan', 'halal', 'gluten-free'];
+const ALLERGENS = ['dairy', 'eggs', 'gluten', 'nuts', 'peanuts', 'soy', 'fish', 'shellfish', 'sesame'];
+const SPICE_LEVELS = ['none', 'mild', 'medium', 'hot']; // index = Food.spiceLevel
+const CONTACT_STATUSES = ['new', 'read', 'replied', 'archived'];
+const MEALS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+module.exports = { ROLES, MOOD_ANIMATIONS, DIETARY_RESTRICTIONS, ALLERGENS, SPICE_LEVELS, CONTACT_STATUSES, MEALS };
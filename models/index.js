@@ -0,0 +1,38 @@
+// Every Mongoose model, plus the constants their enums use:
+//   const { User, Food, ROLES } = require('./models');
+const User = require('./User');
+const AuthToken = require('./AuthToken');
+const RefreshToken = require('./RefreshToken');
+const Contact = require('./Contact');
+const MoodSelection = require('./MoodSelection');
+const Food = require('./Food');
+const Recipe = require('./Recipe');
+const Collection = require('./Collection');
+const MealPlan = require('./MealPlan');
+const FoodFeedback = require('./FoodFeedback');
+const Suggestion = require('./Suggestion');
+const JournalEntry = require('./JournalEntry');
+const Post = require('./Post');
+const Mood = require('./Mood');
+const Reminder = require('./Reminder');
+const Notification = require('./Notification');
+
+module.exports = {
+  User,
+  AuthToken,
+  RefreshToken,
+  Contact,
+  MoodSelection,
+  Food,
+  Recipe,
+  Collection,
+  MealPlan,
+  FoodFeedback,
+  Suggestion,
+  JournalEntry,
+  Post,
+  Mood,
+  Reminder,
+  Notification,
+  ...require('./constants')
+};
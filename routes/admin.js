@@ -0,0 +1,339 @@
+// The admin console: contact inbox, users, feedback and analytics (mounted at /api/admin)
+const mongoose = require('mongoose');
+const { User, Contact, MoodSelection, FoodFeedback, ROLES, CONTACT_STATUSES } = require('../models');
+const { requireRole } = require('../middleware/auth');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, sendValidationError } = require('../middleware/validation');
+const {
+  activeUsersReport,
+  signupsReport,
+  moodsReport,
+  retentionReport,
+  foodsReport,
+  toCsv,
+  ANALYTICS_REPORTS
+} = require('../services/analytics');
+const { INSIGHTS_QUERY_RULES, getGranularity, resolveTimezone } = require('../services/insights');
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Read page and limit from the query string
+function parsePagination(query, defaultLimit = 20) {
+  return {
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 100)
+  };
+}
+
+const contactUpdateRules = {
+  body: {
+    status: { type: 'string', enum: CONTACT_STATUSES },
+    notes: { type: 'string', maxLength: 2000 }
+  }
+};
+
+const analyticsRules = {
+  query: {
+    ...INSIGHTS_QUERY_RULES,
+    format: { type: 'string', enum: ['json', 'csv'] }
+  }
+};
+
+// Parse from/to/granularity/tz for an analytics report or send a 400.
+// validate(analyticsRules) has already checked the types; this catches unknown timezones and reversed ranges.
+function parseAnalyticsQuery(req, res) {
+  const granularity = req.query.granularity || 'day';
+  const config = getGranularity(granularity);
+  const timezone = resolveTimezone(req.query.tz);
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - config.defaultDays * 24 * 60 * 60 * 1000);
+  const format = req.query.format || 'json';
+
+  if (!timezone) {
+    sendValidationError(res, 'Invalid timezone', { tz: 'Invalid timezone' });
+    return null;
+  }
+  if (from > to) {
+    sendValidationError(res, 'The start of the range must be before its end', { from: 'Must be before the end date' });
+    return null;
+  }
+
+  return {
+    from,
+    to,
+    granularity,
+    timezone,
+    format,
+    range: { $gte: from, $lte: to },
+    // Bucket label for a date field, e.g. "2024-05-13", "2024-W20" or "2024-05"
+    period: (field) => ({ $dateToString: { format: config.format, date: field, timezone } })
+  };
+}
+
+function createAdminRouter({ authenticateToken }) {
+  const router = asyncRouter();
+
+  // Get contact messages, newest first, with search and status filter (admin only)
+  router.get('/contacts', authenticateToken, requireRole('admin'), async (req, res) => {
+    const { q, status } = req.query;
+    const { page, limit } = parsePagination(req.query);
+
+    if (status && status !== 'all' && !CONTACT_STATUSES.includes(status)) {
+      return sendValidationError(res, `Status must be all or one of: ${CONTACT_STATUSES.join(', ')}`);
+    }
+
+    const filter = {};
+    if (status && status !== 'all') filter.status = status;
+    if (q) {
+      const pattern = new RegExp(escapeRegex(String(q)), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { message: pattern }];
+    }
+
+    const [contacts, total, statusCounts] = await Promise.all([
+      Contact.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Contact.countDocuments(filter),
+      Contact.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    // Messages saved before statuses existed count as new
+    const counts = {};
+    CONTACT_STATUSES.forEach(name => { counts[name] = 0; });
+    statusCounts.forEach(row => { counts[row._id || 'new'] += row.count; });
+
+    res.json({
+      success: true,
+      contacts,
+      counts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  });
+
+  // Update a message's status or notes (admin only)
+  router.patch('/contacts/:id', authenticateToken, requireRole('admin'), validate(contactUpdateRules), async (req, res) => {
+    const { status, notes } = req.body;
+
+    // Validation
+    if (status === undefined && notes === undefined) {
+      return sendValidationError(res, 'Please provide a status or notes');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    const updates = { updatedAt: new Date() };
+    if (status !== undefined) updates.status = status;
+    if (notes !== undefined) updates.notes = notes;
+
+    const contact = await Contact.findByIdAndUpdate(req.params.id, updates, { new: true });
+    if (!contact) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message updated',
+      contact
+    });
+  });
+
+  // Get analytics data (admin only)
+  router.get('/analytics', authenticateToken, requireRole('admin'), async (req, res) => {
+    const totalUsers = await User.countDocuments();
+    const totalMoodSelections = await MoodSelection.countDocuments();
+    const totalContacts = await Contact.countDocuments();
+    const newContacts = await Contact.countDocuments({ status: { $in: ['new', null] } });
+
+    // Mood distribution
+    const moodStats = await MoodSelection.aggregate([
+      {
+        $group: {
+          _id: '$mood',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      analytics: {
+        totalUsers,
+        totalMoodSelections,
+        totalContacts,
+        newContacts,
+        moodStats
+      }
+    });
+  });
+
+  // Per-food feedback aggregates, optionally for one mood (admin only)
+  router.get('/food-feedback', authenticateToken, requireRole('admin'), async (req, res) => {
+    const match = req.query.mood ? { mood: req.query.mood } : {};
+
+    const stats = await FoodFeedback.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$foodId',
+          upVotes: { $sum: { $cond: [{ $eq: ['$vote', 'up'] }, 1, 0] } },
+          downVotes: { $sum: { $cond: [{ $eq: ['$vote', 'down'] }, 1, 0] } },
+          timesEaten: { $sum: { $cond: ['$ate', 1, 0] } },
+          moodAfterCount: { $sum: { $cond: [{ $gt: ['$moodAfter', null] }, 1, 0] } },
+          avgMoodAfter: { $avg: '$moodAfter' }
+        }
+      },
+      { $lookup: { from: 'foods', localField: '_id', foreignField: '_id', as: 'food' } },
+      { $unwind: '$food' },
+      {
+        $project: {
+          _id: 0,
+          foodId: '$_id',
+          name: '$food.name',
+          emoji: '$food.emoji',
+          category: '$food.category',
+          upVotes: 1,
+          downVotes: 1,
+          timesEaten: 1,
+          moodAfterCount: 1,
+          avgMoodAfter: { $round: ['$avgMoodAfter', 2] }
+        }
+      },
+      { $sort: { avgMoodAfter: -1, upVotes: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      mood: req.query.mood || null,
+      stats
+    });
+  });
+
+  // List users, newest first, optionally searched by name or email (admin only)
+  router.get('/users', authenticateToken, requireRole('admin'), async (req, res) => {
+    const { page, limit } = parsePagination(req.query);
+    const filter = {};
+
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(String(req.query.q)), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  });
+
+  // Promote or demote a user (admin only)
+  router.patch('/users/:id/role', authenticateToken, requireRole('admin'),
+    validate({ body: { role: { type: 'string', required: true, enum: ROLES } } }), async (req, res) => {
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Stop admins from locking themselves out
+    if (req.params.id === String(req.user.id) && role !== 'admin') {
+      return sendValidationError(res, 'You cannot remove your own admin role', { role: 'You cannot remove your own admin role' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { role }, { new: true })
+      .select('-password');
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `${user.name} is now ${role === 'admin' ? 'an' : 'a'} ${role}`,
+      user
+    });
+  });
+
+  // Time-bucketed analytics reports as JSON or CSV (admin only).
+  // ?from=&to=&granularity=day|week|month&tz=&format=json|csv&download=true
+  router.get('/analytics/:report', authenticateToken, requireRole('admin'), validate(analyticsRules), async (req, res) => {
+    const { report } = req.params;
+    if (!ANALYTICS_REPORTS.includes(report)) {
+      return res.status(404).json({ 
+        success: false, 
+        message: `Report must be one of: ${ANALYTICS_REPORTS.join(', ')}` 
+      });
+    }
+
+    const query = parseAnalyticsQuery(req, res);
+    if (!query) return;
+
+    let data;
+    if (report === 'active-users') {
+      data = await activeUsersReport(query);
+    } else if (report === 'signups') {
+      data = await signupsReport(query);
+    } else if (report === 'moods') {
+      data = await moodsReport(query);
+    } else if (report === 'retention') {
+      data = await retentionReport(query, Math.min(Math.max(parseInt(req.query.weeks, 10) || 8, 1), 26));
+    } else {
+      data = await foodsReport(query, Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50));
+    }
+
+    const from = query.from.toISOString().slice(0, 10);
+    const to = query.to.toISOString().slice(0, 10);
+    if (req.query.download === 'true') {
+      res.attachment(`foodswing-${report}-${from}-to-${to}.${query.format}`);
+    }
+
+    if (query.format === 'csv') {
+      // The foods report holds two rankings; the CSV keeps them apart with a column
+      const rows = report === 'foods'
+        ? [
+          ...data.mostSuggested.map(row => ({ ranking: 'most-suggested', ...row })),
+          ...data.mostLiked.map(row => ({ ranking: 'most-liked', ...row }))
+        ]
+        : data;
+      return res.type('text/csv').send(toCsv(rows));
+    }
+
+    res.json({
+      success: true,
+      report,
+      from: query.from,
+      to: query.to,
+      granularity: query.granularity,
+      timezone: query.timezone,
+      data
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
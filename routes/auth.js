@@ -0,0 +1,304 @@
+// Auth routes (mounted at /api/auth): signup, login, email links and sessions
+const bcrypt = require('bcryptjs');
+const { User, RefreshToken } = require('../models');
+const { asyncRouter } = require('../middleware/errors');
+const { sendRateLimited } = require('../middleware/rateLimiter');
+const { validate, sendValidationError, EMAIL_RULE, PASSWORD_RULE } = require('../middleware/validation');
+const { REFRESH_COOKIE, hashToken, consumeAuthToken, revokeAllRefreshTokens } = require('../services/tokens');
+const { toPublicUser, bootstrapAdmin } = require('../services/users');
+
+const signupRules = {
+  body: {
+    name: { type: 'string', required: true, maxLength: 60 },
+    email: EMAIL_RULE,
+    password: PASSWORD_RULE
+  }
+};
+
+const loginRules = {
+  body: {
+    email: EMAIL_RULE,
+    password: { type: 'string', required: true }
+  }
+};
+
+const ACCOUNT_LOCKED_MESSAGE = 'Too many failed logins, so this account is locked for a little while 🔒';
+
+const resetPasswordRules = {
+  body: {
+    token: { type: 'string', required: true, label: 'Reset token' },
+    password: PASSWORD_RULE
+  }
+};
+
+function createAuthRouter({
+  config,
+  limits,
+  loginLockout,
+  authenticateToken,
+  generateToken,
+  issueRefreshToken,
+  clearRefreshCookie,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+}) {
+  const router = asyncRouter();
+
+  // Sign Up
+  router.post('/signup', limits.signup, validate(signupRules), async (req, res) => {
+    const { name, email, password } = req.body;
+
+    // Check if user exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return sendValidationError(res, 'Email already registered', { email: 'Email already registered' });
+    }
+
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Create user (the ADMIN_EMAIL account only becomes admin once its address is confirmed)
+    const user = new User({
+      name,
+      email,
+      password: hashedPassword
+    });
+
+    await user.save();
+
+    // Send the confirmation link (a mail failure shouldn't block signup)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    if (config.requireEmailVerification) {
+      return res.status(201).json({
+        success: true,
+        verificationRequired: true,
+        message: 'Account created! Please check your email to confirm your address 📧'
+      });
+    }
+
+    // Generate access token and refresh cookie
+    const token = generateToken(user);
+    await issueRefreshToken(req, res, user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully! 🎉',
+      token,
+      user: toPublicUser(user)
+    });
+  });
+
+  // Login
+  router.post('/login', limits.loginByIp, limits.loginByAccount, validate(loginRules), async (req, res) => {
+    const { email, password } = req.body;
+    const account = email.trim().toLowerCase();
+
+    const lockedFor = await loginLockout.lockedFor(account);
+    if (lockedFor) {
+      return sendRateLimited(res, lockedFor, ACCOUNT_LOCKED_MESSAGE, 'ACCOUNT_LOCKED');
+    }
+
+    // Wrong email and wrong password count the same, so the lockout can't reveal accounts
+    const failLogin = async () => {
+      const lockSeconds = await loginLockout.recordFailure(account);
+      if (lockSeconds) {
+        return sendRateLimited(res, lockSeconds, ACCOUNT_LOCKED_MESSAGE, 'ACCOUNT_LOCKED');
+      }
+      return sendValidationError(res, 'Invalid email or password', {}, 'INVALID_CREDENTIALS');
+    };
+
+    // Find user
+    const user = await User.findOne({ email });
+    if (!user) {
+      return failLogin();
+    }
+
+    // Check password
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return failLogin();
+    }
+
+    await loginLockout.reset(account);
+
+    if (config.requireEmailVerification && !user.emailVerified) {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please confirm your email address first 📧' 
+      });
+    }
+
+    // Logging in during the grace period keeps the account, as the deletion emails promise
+    const deletionCancelled = Boolean(user.deletionScheduledFor);
+    if (deletionCancelled) {
+      user.deletionScheduledFor = null;
+      await user.save();
+    }
+
+    // Generate access token and refresh cookie
+    const token = generateToken(user);
+    await issueRefreshToken(req, res, user._id);
+
+    res.json({
+      success: true,
+      message: deletionCancelled
+        ? 'Welcome back! Your scheduled account deletion has been cancelled 💙'
+        : 'Welcome back! 🎉',
+      token,
+      user: toPublicUser(user)
+    });
+  });
+
+  // Request a password reset link
+  router.post('/forgot-password', limits.emailByIp, limits.emailByAccount,
+    validate({ body: { email: EMAIL_RULE } }), async (req, res) => {
+    const { email } = req.body;
+
+    // Same answer whether or not the account exists, so emails can't be probed
+    const user = await User.findOne({ email });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If that email is registered, a reset link is on its way 📧'
+    });
+  });
+
+  // Set a new password with a reset token
+  router.post('/reset-password', validate(resetPasswordRules), async (req, res) => {
+    const { token, password } = req.body;
+
+    const userId = await consumeAuthToken(token, 'password-reset');
+    if (!userId) {
+      return sendValidationError(res, 'This reset link is invalid or has expired', {}, 'INVALID_TOKEN');
+    }
+
+    // Receiving the reset email also proves the address is real
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await User.updateOne({ _id: userId }, { password: hashedPassword, emailVerified: true });
+
+    // Sign out everywhere in case the old password was compromised
+    await revokeAllRefreshTokens(userId);
+
+    res.json({
+      success: true,
+      message: 'Password updated! You can log in now 🔒'
+    });
+  });
+
+  // Confirm an email address
+  router.get('/verify-email/:token', async (req, res) => {
+    const userId = await consumeAuthToken(req.params.token, 'email-verification');
+    if (!userId) {
+      return sendValidationError(res, 'This confirmation link is invalid or has expired', {}, 'INVALID_TOKEN');
+    }
+
+    await User.updateOne({ _id: userId }, { emailVerified: true });
+    await bootstrapAdmin(config.adminEmail);
+
+    res.json({
+      success: true,
+      message: 'Email confirmed! 🎉'
+    });
+  });
+
+  // Send a new confirmation link
+  router.post('/resend-verification', limits.emailByIp, limits.emailByAccount,
+    validate({ body: { email: EMAIL_RULE } }), async (req, res) => {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If that email needs confirming, a new link is on its way 📧'
+    });
+  });
+
+  // Swap a refresh token cookie for a new access token (and a new refresh token)
+  router.post('/refresh', async (req, res) => {
+    const token = req.cookies[REFRESH_COOKIE];
+    if (!token) {
+      return res.status(401).json({ success: false, message: 'Please log in again' });
+    }
+
+    const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+    if (!record || record.expiresAt <= new Date()) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ success: false, message: 'Please log in again' });
+    }
+
+    // A rotated token was used again: assume it was stolen and end the whole session
+    if (record.revokedAt) {
+      await RefreshToken.updateMany({ family: record.family, revokedAt: null }, { revokedAt: new Date() });
+      clearRefreshCookie(res);
+      return res.status(401).json({ success: false, message: 'Session expired. Please log in again' });
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ success: false, message: 'Please log in again' });
+    }
+
+    record.revokedAt = new Date();
+    await record.save();
+    await issueRefreshToken(req, res, user._id, record.family);
+
+    res.json({
+      success: true,
+      token: generateToken(user),
+      user: toPublicUser(user)
+    });
+  });
+
+  // Log out this device
+  router.post('/logout', async (req, res) => {
+    const token = req.cookies[REFRESH_COOKIE];
+    if (token) {
+      await RefreshToken.updateOne({ tokenHash: hashToken(token), revokedAt: null }, { revokedAt: new Date() });
+    }
+
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully! 👋'
+    });
+  });
+
+  // Log out every device (access tokens already issued expire within ACCESS_TOKEN_TTL)
+  router.post('/logout-all', authenticateToken, async (req, res) => {
+    await revokeAllRefreshTokens(req.user.id);
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out on all devices! 👋'
+    });
+  });
+
+  // Verify Token (for session validation)
+  router.get('/verify', authenticateToken, (req, res) => {
+    res.json({
+      success: true,
+      user: req.user
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,179 @@
+// The blog and its editor (mounted at /api/blog)
+const mongoose = require('mongoose');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { Post } = require('../models');
+const { requireRole } = require('../middleware/auth');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, sendValidationError } = require('../middleware/validation');
+
+const POST_FIELDS = ['slug', 'title', 'excerpt', 'body', 'tags', 'coverImage', 'icon', 'status'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Turn a title into a URL-friendly slug
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Render Markdown to HTML that is safe to put in the page
+function renderMarkdown(markdown) {
+  return sanitizeHtml(marked.parse(markdown), {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2']),
+    allowedAttributes: {
+      ...sanitizeHtml.defaults.allowedAttributes,
+      img: ['src', 'alt', 'title']
+    }
+  });
+}
+
+// Fields of a post; updates check them with partial set
+const postRules = {
+  body: {
+    title: { type: 'string', required: true, minLength: 1 },
+    body: { type: 'string', required: true, minLength: 1 },
+    slug: { type: 'string', pattern: SLUG_PATTERN, message: 'Slug may only contain lowercase letters, numbers and dashes' },
+    excerpt: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' }, message: 'Tags must be a list of words' },
+    coverImage: { type: 'string' },
+    icon: { type: 'string' },
+    status: { type: 'string', enum: ['draft', 'published'] }
+  }
+};
+
+function pickPostFields(body) {
+  const fields = {};
+  POST_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+}
+
+function createBlogRouter({ authenticateToken }) {
+  const router = asyncRouter();
+
+  // Get published blog posts (newest first), optionally by tag
+  router.get('/posts', async (req, res) => {
+    const filter = { status: 'published' };
+    if (req.query.tag) filter.tags = req.query.tag;
+
+    const posts = await Post.find(filter)
+      .select('-body')
+      .sort({ publishedAt: -1 });
+
+    res.json({
+      success: true,
+      posts
+    });
+  });
+
+  // Get one published post with its rendered HTML
+  router.get('/posts/:slug', async (req, res) => {
+    const post = await Post.findOne({ slug: req.params.slug, status: 'published' })
+      .populate('author', 'name');
+
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    res.json({
+      success: true,
+      post: {
+        ...post.toObject(),
+        html: renderMarkdown(post.body)
+      }
+    });
+  });
+
+  // Get all posts including drafts (editors and admins)
+  router.get('/admin/posts', authenticateToken, requireRole('editor', 'admin'), async (req, res) => {
+    const posts = await Post.find()
+      .populate('author', 'name')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      posts
+    });
+  });
+
+  // Create a post (editors and admins)
+  router.post('/posts', authenticateToken, requireRole('editor', 'admin'),
+    validate(postRules), async (req, res) => {
+    const fields = pickPostFields(req.body);
+    if (!fields.slug) fields.slug = slugify(fields.title);
+
+    // A title made only of symbols leaves nothing to build the slug from
+    if (!fields.slug) {
+      return sendValidationError(res, 'Please give the post a slug', { slug: 'Please give the post a slug' });
+    }
+
+    // Check if slug is taken
+    if (await Post.exists({ slug: fields.slug })) {
+      return sendValidationError(res, 'A post with this slug already exists', { slug: 'A post with this slug already exists' });
+    }
+
+    const post = new Post({ ...fields, author: req.user.id });
+    await post.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Post created',
+      post
+    });
+  });
+
+  // Update a post (editors and admins)
+  router.put('/posts/:id', authenticateToken, requireRole('editor', 'admin'),
+    validate(postRules, { partial: true }), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const fields = pickPostFields(req.body);
+
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    if (fields.slug && fields.slug !== post.slug && await Post.exists({ slug: fields.slug })) {
+      return sendValidationError(res, 'A post with this slug already exists', { slug: 'A post with this slug already exists' });
+    }
+
+    // Save through the document so read time and publish date are recalculated
+    Object.assign(post, fields);
+    await post.save();
+
+    res.json({
+      success: true,
+      message: 'Post updated',
+      post
+    });
+  });
+
+  // Delete a post (editors and admins)
+  router.delete('/posts/:id', authenticateToken, requireRole('editor', 'admin'), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const post = await Post.findByIdAndDelete(req.params.id);
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Post deleted'
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createBlogRouter };
@@ -0,0 +1,243 @@
+// Favorites and the user's own lists of foods (mounted at /api/collections)
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Food, Collection } = require('../models');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, sendValidationError } = require('../middleware/validation');
+
+const COLLECTION_FOOD_FIELDS = 'name emoji description category moods allergens nutrition';
+
+// The Favorites list is created the first time it is needed.
+// A unique index on the model keeps two racing first requests from creating two lists.
+async function getFavoritesCollection(userId) {
+  try {
+    return await Collection.findOneAndUpdate(
+      { userId, isFavorites: true },
+      { $setOnInsert: { name: 'Favorites' } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Lost the race: the other request's list is there now
+    if (error.code !== 11000) throw error;
+    return Collection.findOne({ userId, isFavorites: true });
+  }
+}
+
+// Find one of the user's collections; "favorites" stands for the built-in list
+async function findOwnCollection(req) {
+  if (req.params.id === 'favorites') {
+    return getFavoritesCollection(req.user.id);
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+  return Collection.findOne({ _id: req.params.id, userId: req.user.id });
+}
+
+function serializeCollection(collection, appUrl) {
+  return {
+    ...collection.toObject(),
+    shareUrl: collection.shareToken ? `${appUrl}/?collection=${collection.shareToken}` : null
+  };
+}
+
+const collectionRules = {
+  body: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 60 },
+    description: { type: 'string', maxLength: 200 }
+  }
+};
+
+function createCollectionRouter({ config, authenticateToken }) {
+  const router = asyncRouter();
+
+  // Get the user's collections, Favorites first
+  router.get('/', authenticateToken, async (req, res) => {
+    await getFavoritesCollection(req.user.id);
+
+    const collections = await Collection.find({ userId: req.user.id })
+      .sort({ isFavorites: -1, createdAt: 1 })
+      .populate('foods', COLLECTION_FOOD_FIELDS);
+
+    res.json({
+      success: true,
+      collections: collections.map(collection => serializeCollection(collection, config.appUrl))
+    });
+  });
+
+  // Create a list
+  router.post('/', authenticateToken, validate(collectionRules), async (req, res) => {
+    const collection = new Collection({
+      userId: req.user.id,
+      name: req.body.name.trim(),
+      description: req.body.description || ''
+    });
+    await collection.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'List created! 📁',
+      collection: serializeCollection(collection, config.appUrl)
+    });
+  });
+
+  // Get one of the user's collections
+  router.get('/:id', authenticateToken, async (req, res) => {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    await collection.populate('foods', COLLECTION_FOOD_FIELDS);
+
+    res.json({
+      success: true,
+      collection: serializeCollection(collection, config.appUrl)
+    });
+  });
+
+  // Rename a list or change its description
+  router.patch('/:id', authenticateToken, validate(collectionRules, { partial: true }), async (req, res) => {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    if (collection.isFavorites && req.body.name !== undefined) {
+      return sendValidationError(res, 'The Favorites list cannot be renamed', { name: 'The Favorites list cannot be renamed' });
+    }
+
+    if (req.body.name !== undefined) collection.name = req.body.name.trim();
+    if (req.body.description !== undefined) collection.description = req.body.description;
+    collection.updatedAt = new Date();
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'List updated',
+      collection: serializeCollection(collection, config.appUrl)
+    });
+  });
+
+  // Delete a list (the Favorites list always stays)
+  router.delete('/:id', authenticateToken, async (req, res) => {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    if (collection.isFavorites) {
+      return sendValidationError(res, 'The Favorites list cannot be deleted');
+    }
+
+    await collection.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'List deleted'
+    });
+  });
+
+  // Add a food to a collection
+  router.post('/:id/foods', authenticateToken, async (req, res) => {
+    const { foodId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(foodId) || !(await Food.exists({ _id: foodId }))) {
+      return res.status(404).json({ success: false, message: 'Food not found' });
+    }
+
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    await Collection.updateOne(
+      { _id: collection._id },
+      { $addToSet: { foods: foodId }, $set: { updatedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `Saved to ${collection.name}! ❤️`
+    });
+  });
+
+  // Remove a food from a collection
+  router.delete('/:id/foods/:foodId', authenticateToken, async (req, res) => {
+    const collection = await findOwnCollection(req);
+    if (!collection || !mongoose.Types.ObjectId.isValid(req.params.foodId)) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    await Collection.updateOne(
+      { _id: collection._id },
+      { $pull: { foods: req.params.foodId }, $set: { updatedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `Removed from ${collection.name}`
+    });
+  });
+
+  // Turn on the read-only share link
+  router.post('/:id/share', authenticateToken, async (req, res) => {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    if (!collection.shareToken) {
+      collection.shareToken = crypto.randomBytes(16).toString('hex');
+      await collection.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link ready! 🔗',
+      shareUrl: serializeCollection(collection, config.appUrl).shareUrl
+    });
+  });
+
+  // Turn off the share link (old links stop working)
+  router.delete('/:id/share', authenticateToken, async (req, res) => {
+    const collection = await findOwnCollection(req);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'Collection not found' });
+    }
+
+    collection.shareToken = undefined;
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Sharing turned off'
+    });
+  });
+
+  // View a shared collection (public, read-only)
+  router.get('/shared/:token', async (req, res) => {
+    const collection = await Collection.findOne({ shareToken: String(req.params.token) })
+      .populate('foods', COLLECTION_FOOD_FIELDS)
+      .populate('userId', 'name');
+
+    if (!collection) {
+      return res.status(404).json({ success: false, message: 'This list is not shared' });
+    }
+
+    res.json({
+      success: true,
+      collection: {
+        name: collection.name,
+        description: collection.description,
+        owner: collection.userId ? collection.userId.name : null,
+        foods: collection.foods,
+        updatedAt: collection.updatedAt
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createCollectionRouter };
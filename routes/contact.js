@@ -0,0 +1,45 @@
+// The contact form (mounted at /api/contact)
+const { Contact } = require('../models');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, EMAIL_RULE } = require('../middleware/validation');
+
+const contactRules = {
+  body: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    email: EMAIL_RULE,
+    message: { type: 'string', required: true, maxLength: 5000 }
+  }
+};
+
+const CONTACT_THANKS = 'Thank you for your message! We\'ll get back to you soon. 📧';
+
+function createContactRouter({ limits }) {
+  const router = asyncRouter();
+
+  router.post('/', limits.contact, validate(contactRules), async (req, res) => {
+    const { name, email, message, website } = req.body;
+
+    // "website" is a hidden honeypot field that only bots fill in: thank them and drop the message
+    if (website) {
+      return res.json({ success: true, message: CONTACT_THANKS });
+    }
+
+    // Save contact message
+    const contact = new Contact({
+      name,
+      email,
+      message
+    });
+
+    await contact.save();
+
+    res.json({
+      success: true,
+      message: CONTACT_THANKS
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createContactRouter };
@@ -0,0 +1,378 @@
+// The food catalog, likes and feedback, and recipes (mounted at /api/foods)
+const mongoose = require('mongoose');
+const {
+  User,
+  Food,
+  Recipe,
+  Collection,
+  MealPlan,
+  FoodFeedback,
+  DIETARY_RESTRICTIONS,
+  ALLERGENS,
+  SPICE_LEVELS
+} = require('../models');
+const { requireRole } = require('../middleware/auth');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, checkFields, sendValidationError } = require('../middleware/validation');
+const { knownMoods } = require('../middleware/moods');
+const { buildDietaryFilter, buildFoodQueryFilter } = require('../services/foods');
+
+const FOOD_FIELDS = [
+  'name', 'emoji', 'description', 'category', 'moods', 'image', 'tags', 'diets', 'allergens', 'spiceLevel', 'nutrition'
+];
+
+// Updates use the same rules with partial set
+const foodRules = {
+  body: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 80 },
+    emoji: { type: 'string', required: true, minLength: 1, maxLength: 16 },
+    description: { type: 'string', maxLength: 500 },
+    category: { type: 'string', required: true, minLength: 1, maxLength: 40 },
+    moods: { type: 'array', items: { type: 'string' } },
+    image: { type: 'string', maxLength: 500 },
+    tags: { type: 'array', items: { type: 'string' } },
+    diets: { type: 'array', items: { type: 'string', enum: DIETARY_RESTRICTIONS } },
+    allergens: { type: 'array', items: { type: 'string', enum: ALLERGENS } },
+    spiceLevel: { type: 'integer', min: 0, max: SPICE_LEVELS.length - 1 }
+  }
+};
+
+// validate() only looks one level deep, so nutrition is checked with checkNutrition
+const NUTRITION_RULE = { type: 'number', min: 0 };
+const nutritionRules = {
+  calories: NUTRITION_RULE,
+  protein: NUTRITION_RULE,
+  carbs: NUTRITION_RULE,
+  fat: NUTRITION_RULE,
+  fiber: NUTRITION_RULE,
+  sugar: NUTRITION_RULE,
+  nutrients: { type: 'array', items: { type: 'string' } }
+};
+
+// Returns { 'nutrition.calories': message, ... } for each problem
+function checkNutrition(nutrition) {
+  if (nutrition === undefined || nutrition === null) return {};
+  if (typeof nutrition !== 'object' || Array.isArray(nutrition)) {
+    return { nutrition: 'Nutrition must be an object' };
+  }
+
+  const errors = {};
+  Object.entries(checkFields(nutrition, nutritionRules)).forEach(([field, message]) => {
+    errors[`nutrition.${field}`] = message;
+  });
+  return errors;
+}
+
+const preferenceRules = {
+  body: {
+    preference: { type: 'string', required: true, enum: ['like', 'dislike', 'none'] }
+  }
+};
+
+const feedbackRules = {
+  body: {
+    vote: { type: 'string', enum: ['up', 'down'] },
+    ate: { type: 'boolean' },
+    moodAfter: { type: 'integer', min: 1, max: 5 },
+    mood: { type: 'string' }
+  }
+};
+
+// Store a like/dislike on the user, keeping the two lists mutually exclusive
+async function setFoodPreference(userId, foodId, preference) {
+  await User.updateOne({ _id: userId }, { $pull: { likedFoods: foodId, dislikedFoods: foodId } });
+
+  if (preference === 'like') {
+    await User.updateOne({ _id: userId }, { $addToSet: { likedFoods: foodId } });
+  } else if (preference === 'dislike') {
+    await User.updateOne({ _id: userId }, { $addToSet: { dislikedFoods: foodId } });
+  }
+}
+
+const RECIPE_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const recipeRules = {
+  body: {
+    ingredients: { type: 'array', required: true, message: 'Please add at least one ingredient' },
+    steps: { type: 'array', required: true, items: { type: 'string' }, message: 'Please add at least one step' },
+    prepTime: { type: 'integer', min: 0, message: 'Prep time must be whole minutes' },
+    cookTime: { type: 'integer', min: 0, message: 'Cook time must be whole minutes' },
+    servings: { type: 'integer', min: 1 },
+    difficulty: { type: 'string', enum: RECIPE_DIFFICULTIES }
+  }
+};
+
+// Checked against each ingredient
+const ingredientRules = {
+  name: { type: 'string', required: true, message: 'Every ingredient needs a name' },
+  quantity: { type: 'number', min: 0, message: 'Ingredient quantities must be positive numbers' },
+  unit: { type: 'string' }
+};
+
+// What the rules can't say: both lists need an entry, and each ingredient is an object with a name
+function checkRecipeLists({ ingredients, steps }) {
+  const errors = {};
+
+  if (ingredients.length === 0) {
+    errors.ingredients = 'Please add at least one ingredient';
+  } else {
+    const [ingredientError] = ingredients.flatMap(item => (item && typeof item === 'object'
+      ? Object.values(checkFields(item, ingredientRules))
+      : ['Every ingredient needs a name']));
+    if (ingredientError) errors.ingredients = ingredientError;
+  }
+
+  if (steps.length === 0) {
+    errors.steps = 'Please add at least one step';
+  }
+
+  return errors;
+}
+
+function createFoodRouter({ authenticateToken, optionalAuth }) {
+  const router = asyncRouter();
+
+  // Get foods, optionally filtered by mood and/or category.
+  // For a logged-in user, foods they can't eat are left out unless all=true
+  router.get('/', optionalAuth, async (req, res) => {
+    const { mood, category, all } = req.query;
+    const filter = {};
+
+    if (mood) filter.moods = mood;
+    if (category) filter.category = category;
+
+    const queryFilter = buildFoodQueryFilter(req.query);
+    if (!queryFilter) {
+      return sendValidationError(res, 'Invalid food filters');
+    }
+
+    const user = req.user && all !== 'true' ? await User.findById(req.user.id) : null;
+
+    const foods = await Food.find({ $and: [filter, queryFilter, buildDietaryFilter(user)] }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      foods
+    });
+  });
+
+  // Create a food (admin only)
+  router.post('/', authenticateToken, requireRole('admin'),
+    validate(foodRules), knownMoods({ body: ['moods'] }), async (req, res) => {
+    const {
+      name, emoji, description, category, moods, image, tags, diets, allergens, spiceLevel, nutrition
+    } = req.body;
+
+    const nutritionErrors = checkNutrition(nutrition);
+    if (Object.keys(nutritionErrors).length) {
+      return sendValidationError(res, Object.values(nutritionErrors)[0], nutritionErrors);
+    }
+
+    // Check if food exists
+    const existingFood = await Food.findOne({ name });
+    if (existingFood) {
+      return sendValidationError(res, 'A food with this name already exists', { name: 'A food with this name already exists' });
+    }
+
+    const food = new Food({
+      name, emoji, description, category, moods, image, tags, diets, allergens, spiceLevel, nutrition
+    });
+    await food.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Food created',
+      food
+    });
+  });
+
+  // Update a food (admin only)
+  router.put('/:id', authenticateToken, requireRole('admin'),
+    validate(foodRules, { partial: true }), knownMoods({ body: ['moods'] }, { findStored: req => Food.findById(req.params.id) }),
+    async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Food not found' });
+    }
+
+    const nutritionErrors = checkNutrition(req.body.nutrition);
+    if (Object.keys(nutritionErrors).length) {
+      return sendValidationError(res, Object.values(nutritionErrors)[0], nutritionErrors);
+    }
+
+    // Only update the fields that were sent
+    const updates = {};
+    FOOD_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    // Names are unique; without this check a clash would surface as a duplicate key error
+    if (updates.name !== undefined && await Food.exists({ name: updates.name.trim(), _id: { $ne: req.params.id } })) {
+      return sendValidationError(res, 'A food with this name already exists', { name: 'A food with this name already exists' });
+    }
+
+    const food = await Food.findByIdAndUpdate(req.params.id, updates, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!food) {
+      return res.status(404).json({ success: false, message: 'Food not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Food updated',
+      food
+    });
+  });
+
+  // Delete a food (admin only)
+  router.delete('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Food not found' });
+    }
+
+    const food = await Food.findByIdAndDelete(req.params.id);
+    if (!food) {
+      return res.status(404).json({ success: false, message: 'Food not found' });
+    }
+
+    await Promise.all([
+      Recipe.deleteOne({ foodId: food._id }),
+      Collection.updateMany({ foods: food._id }, { $pull: { foods: food._id } }),
+      MealPlan.updateMany({ 'entries.foodId': food._id }, { $pull: { entries: { foodId: food._id } } })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Food deleted'
+    });
+  });
+
+  // Like or dislike a food (feeds the recommendation engine)
+  router.post('/:id/preference', authenticateToken, validate(preferenceRules), async (req, res) => {
+    const { preference } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !(await Food.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ success: false, message: 'Food not found' });
+    }
+
+    await setFoodPreference(req.user.id, req.params.id, preference);
+
+    res.json({
+      success: true,
+      message: 'Preference saved',
+      preference
+    });
+  });
+
+  // Record feedback on a suggestion: thumbs up/down, "I ate this" and mood afterwards
+  router.post('/:id/feedback', authenticateToken, validate(feedbackRules), knownMoods({ body: ['mood'] }), async (req, res) => {
+    const { vote, ate, moodAfter, mood } = req.body;
+
+    // Validation
+    if (vote === undefined && !ate && moodAfter === undefined) {
+      return sendValidationError(res, 'Please provide a vote, ate or moodAfter');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !(await Food.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ success: false, message: 'Food not found' });
+    }
+
+    const feedback = new FoodFeedback({
+      userId: req.user.id,
+      foodId: req.params.id,
+      mood,
+      vote,
+      ate: Boolean(ate),
+      moodAfter
+    });
+
+    await feedback.save();
+
+    // Thumbs also update the user's likes so recommendations learn from them
+    if (vote) {
+      await setFoodPreference(req.user.id, req.params.id, vote === 'up' ? 'like' : 'dislike');
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your feedback! 💖',
+      feedback
+    });
+  });
+
+  // Get the recipe for a food
+  router.get('/:id/recipe', async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Recipe not found' });
+    }
+
+    const recipe = await Recipe.findOne({ foodId: req.params.id })
+      .populate('foodId', 'name emoji description category');
+
+    if (!recipe || !recipe.foodId) {
+      return res.status(404).json({ success: false, message: 'Recipe not found' });
+    }
+
+    res.json({
+      success: true,
+      recipe
+    });
+  });
+
+  // Create or replace the recipe for a food (admin only)
+  router.put('/:id/recipe', authenticateToken, requireRole('admin'), validate(recipeRules), async (req, res) => {
+    const errors = checkRecipeLists(req.body);
+    if (Object.keys(errors).length) {
+      return sendValidationError(res, Object.values(errors)[0], errors);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !(await Food.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ success: false, message: 'Food not found' });
+    }
+
+    const { ingredients, steps, prepTime, cookTime, servings, difficulty } = req.body;
+
+    const recipe = await Recipe.findOneAndUpdate(
+      { foodId: req.params.id },
+      {
+        ingredients: ingredients.map(({ name, quantity, unit }) => ({ name, quantity, unit })),
+        steps,
+        prepTime: prepTime ?? 0,
+        cookTime: cookTime ?? 0,
+        servings: servings ?? 1,
+        difficulty: difficulty ?? 'easy',
+        updatedAt: new Date()
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Recipe saved',
+      recipe
+    });
+  });
+
+  // Delete the recipe for a food (admin only)
+  router.delete('/:id/recipe', authenticateToken, requireRole('admin'), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Recipe not found' });
+    }
+
+    const recipe = await Recipe.findOneAndDelete({ foodId: req.params.id });
+    if (!recipe) {
+      return res.status(404).json({ success: false, message: 'Recipe not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recipe deleted'
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createFoodRouter };
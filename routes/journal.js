@@ -0,0 +1,165 @@
+// The mood journal (mounted at /api/journal)
+const mongoose = require('mongoose');
+const { JournalEntry } = require('../models');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, sendValidationError } = require('../middleware/validation');
+const { knownMoods } = require('../middleware/moods');
+
+const JOURNAL_FIELDS = ['mood', 'intensity', 'note', 'tags', 'foodId', 'date'];
+
+// Updates use the same rules with partial set, so only sent fields are checked
+const journalEntryRules = {
+  body: {
+    mood: { type: 'string', required: true },
+    intensity: { type: 'integer', required: true, min: 1, max: 5 },
+    note: { type: 'string', maxLength: 2000 },
+    tags: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 30 } },
+    foodId: { type: 'objectId', label: 'Food' },
+    date: { type: 'date' }
+  }
+};
+
+const journalListRules = {
+  query: {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 }
+  }
+};
+
+// Pick the journal fields that were sent, normalizing tags
+function pickJournalFields(body) {
+  const fields = {};
+  JOURNAL_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (fields.tags) {
+    fields.tags = [...new Set(fields.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  }
+  if (fields.foodId === '') fields.foodId = null;
+  return fields;
+}
+
+function createJournalRouter({ authenticateToken }) {
+  const router = asyncRouter();
+
+  // List journal entries with optional date range and pagination
+  router.get('/', authenticateToken, validate(journalListRules), async (req, res) => {
+    const { from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+    const filter = { userId: req.user.id };
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = new Date(from);
+      if (to) filter.date.$lte = new Date(to);
+
+      if (Object.values(filter.date).some(date => isNaN(date.getTime()))) {
+        return sendValidationError(res, 'Invalid date range');
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      JournalEntry.find(filter)
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('foodId', 'name emoji'),
+      JournalEntry.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  });
+
+  // Get a single journal entry
+  router.get('/:id', authenticateToken, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Journal entry not found' });
+    }
+
+    const entry = await JournalEntry.findOne({ _id: req.params.id, userId: req.user.id })
+      .populate('foodId', 'name emoji');
+
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Journal entry not found' });
+    }
+
+    res.json({
+      success: true,
+      entry
+    });
+  });
+
+  // Create a journal entry
+  router.post('/', authenticateToken, validate(journalEntryRules), knownMoods({ body: ['mood'] }), async (req, res) => {
+    const entry = new JournalEntry({
+      ...pickJournalFields(req.body),
+      userId: req.user.id
+    });
+
+    await entry.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Journal entry saved 📔',
+      entry
+    });
+  });
+
+  // Update a journal entry
+  router.put('/:id', authenticateToken, validate(journalEntryRules, { partial: true }),
+    knownMoods({ body: ['mood'] }, { findStored: req => JournalEntry.findOne({ _id: req.params.id, userId: req.user.id }) }),
+    async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Journal entry not found' });
+    }
+
+    const entry = await JournalEntry.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { ...pickJournalFields(req.body), updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Journal entry not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Journal entry updated',
+      entry
+    });
+  });
+
+  // Delete a journal entry
+  router.delete('/:id', authenticateToken, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Journal entry not found' });
+    }
+
+    const entry = await JournalEntry.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Journal entry not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Journal entry deleted'
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createJournalRouter };
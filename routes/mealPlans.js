@@ -0,0 +1,320 @@
+// The weekly meal planner (mounted at /api/meal-plans)
+const mongoose = require('mongoose');
+const { User, MoodSelection, Food, Recipe, MealPlan, MEALS } = require('../models');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, sendValidationError } = require('../middleware/validation');
+const { buildDietaryFilter } = require('../services/foods');
+const { resolveTimezone } = require('../services/insights');
+const { rankFoods } = require('../services/recommendations');
+
+const PLAN_FOOD_FIELDS = 'name emoji category moods';
+
+// Food categories that suit each meal when filling a plan automatically
+const MEAL_CATEGORIES = {
+  breakfast: ['Healthy', 'Beverage'],
+  lunch: null, // null = any main-meal category
+  dinner: null,
+  snack: ['Snack', 'Dessert', 'Beverage', 'Healthy']
+};
+const NON_MAIN_CATEGORIES = ['Snack', 'Dessert', 'Beverage'];
+
+// Normalize any YYYY-MM-DD date to the Monday of its week, or null if invalid
+function toWeekStart(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date.getTime())) return null;
+
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+// The saved plan for a week, or an empty unsaved one
+async function findMealPlan(userId, weekStart) {
+  const plan = await MealPlan.findOne({ userId, weekStart }).populate('entries.foodId', PLAN_FOOD_FIELDS);
+  return plan || new MealPlan({ userId, weekStart, entries: [] });
+}
+
+// Guess the mood of each weekday (0 = Monday) from the last 90 days of mood selections
+async function predictWeekMoods(userId, timezone) {
+  const rows = await MoodSelection.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        timestamp: { $gte: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000) }
+      }
+    },
+    {
+      $group: {
+        _id: { weekday: { $dayOfWeek: { date: '$timestamp', timezone } }, mood: '$mood' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  const overall = {};
+  rows.forEach(row => { overall[row._id.mood] = (overall[row._id.mood] || 0) + row.count; });
+  const overallTop = Object.keys(overall).sort((a, b) => overall[b] - overall[a])[0] || null;
+
+  return Array.from({ length: 7 }, (_, day) => {
+    // $dayOfWeek is 1 (Sunday) to 7 (Saturday)
+    const dayRows = rows.filter(row => (row._id.weekday + 5) % 7 === day);
+    const total = dayRows.reduce((sum, row) => sum + row.count, 0);
+
+    return {
+      day,
+      mood: dayRows.length ? dayRows[0]._id.mood : overallTop,
+      confidence: total ? Math.round((dayRows[0].count / total) * 100) / 100 : 0,
+      samples: total
+    };
+  });
+}
+
+// Pick a food for a meal, preferring the right category and foods not used yet this week
+function pickFoodForMeal(ranked, meal, usage) {
+  const suitsMeal = (food) => MEAL_CATEGORIES[meal]
+    ? MEAL_CATEGORIES[meal].includes(food.category)
+    : !NON_MAIN_CATEGORIES.includes(food.category);
+
+  const candidates = ranked.filter(suitsMeal).length ? ranked.filter(suitsMeal) : ranked;
+  if (!candidates.length) return null;
+
+  // Least used first; ranked order breaks ties
+  return candidates.reduce((best, food) =>
+    (usage[String(food._id)] || 0) < (usage[String(best._id)] || 0) ? food : best
+  );
+}
+
+const mealPlanEntryRules = {
+  body: {
+    day: { type: 'integer', required: true, min: 0, max: 6, message: 'Day must be 0 (Monday) to 6 (Sunday)' },
+    meal: { type: 'string', required: true, enum: MEALS },
+    foodId: { type: 'string', required: true, label: 'Food' }
+  }
+};
+
+const fillRules = {
+  body: {
+    tz: { type: 'string', maxLength: 100, label: 'Timezone' },
+    overwrite: { type: 'boolean' }
+  }
+};
+
+const shoppingListRules = {
+  query: {
+    servings: { type: 'integer', min: 1, max: 50 }
+  }
+};
+
+function createMealPlanRouter({ authenticateToken }) {
+  const router = asyncRouter();
+
+  // Get the plan for the week containing ?week=YYYY-MM-DD (this week by default)
+  router.get('/', authenticateToken, async (req, res) => {
+    const weekStart = toWeekStart(req.query.week || new Date().toISOString().slice(0, 10));
+    if (!weekStart) {
+      return sendValidationError(res, 'Week must be a date like 2024-05-13', { week: 'Week must be a date like 2024-05-13' });
+    }
+
+    const plan = await findMealPlan(req.user.id, weekStart);
+
+    res.json({
+      success: true,
+      plan
+    });
+  });
+
+  // Put a food into one slot of the week (replaces what was there)
+  router.put('/:week/entries', authenticateToken, validate(mealPlanEntryRules), async (req, res) => {
+    const { day, meal, foodId } = req.body;
+    const weekStart = toWeekStart(req.params.week);
+
+    // Validation
+    if (!weekStart) {
+      return sendValidationError(res, 'Week must be a date like 2024-05-13', { week: 'Week must be a date like 2024-05-13' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(foodId) || !(await Food.exists({ _id: foodId }))) {
+      return res.status(404).json({ success: false, message: 'Food not found' });
+    }
+
+    await MealPlan.updateOne(
+      { userId: req.user.id, weekStart },
+      { $pull: { entries: { day, meal } } },
+      { upsert: true }
+    );
+    await MealPlan.updateOne(
+      { userId: req.user.id, weekStart },
+      { $push: { entries: { day, meal, foodId } }, $set: { updatedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Added to your plan! 📅',
+      plan: await findMealPlan(req.user.id, weekStart)
+    });
+  });
+
+  // Empty one slot
+  router.delete('/:week/entries/:day/:meal', authenticateToken, async (req, res) => {
+    const weekStart = toWeekStart(req.params.week);
+    const day = Number(req.params.day);
+
+    if (!weekStart || !Number.isInteger(day) || !MEALS.includes(req.params.meal)) {
+      return res.status(404).json({ success: false, message: 'Meal not found' });
+    }
+
+    await MealPlan.updateOne(
+      { userId: req.user.id, weekStart },
+      { $pull: { entries: { day, meal: req.params.meal } }, $set: { updatedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Removed from your plan',
+      plan: await findMealPlan(req.user.id, weekStart)
+    });
+  });
+
+  // Clear a whole week
+  router.delete('/:week', authenticateToken, async (req, res) => {
+    const weekStart = toWeekStart(req.params.week);
+    if (!weekStart) {
+      return res.status(404).json({ success: false, message: 'Meal plan not found' });
+    }
+
+    await MealPlan.deleteOne({ userId: req.user.id, weekStart });
+
+    res.json({
+      success: true,
+      message: 'Week cleared'
+    });
+  });
+
+  // Fill the empty slots (or all, with overwrite) with foods for the mood each day usually brings
+  router.post('/:week/fill', authenticateToken, validate(fillRules), async (req, res) => {
+    const weekStart = toWeekStart(req.params.week);
+    const timezone = resolveTimezone(req.body.tz);
+
+    if (!weekStart) {
+      return sendValidationError(res, 'Week must be a date like 2024-05-13', { week: 'Week must be a date like 2024-05-13' });
+    }
+    if (!timezone) {
+      return sendValidationError(res, 'Invalid timezone', { tz: 'Invalid timezone' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const [predictions, foods, existing] = await Promise.all([
+      predictWeekMoods(req.user.id, timezone),
+      Food.find(buildDietaryFilter(user)),
+      MealPlan.findOne({ userId: req.user.id, weekStart })
+    ]);
+
+    if (!predictions.some(prediction => prediction.mood)) {
+      return sendValidationError(res, 'Pick a few moods first so we can learn your week! 😊');
+    }
+
+    const keep = existing && !req.body.overwrite ? existing.entries : [];
+    const usage = {};
+    keep.forEach(entry => { usage[String(entry.foodId)] = (usage[String(entry.foodId)] || 0) + 1; });
+
+    const entries = [...keep.map(({ day, meal, foodId }) => ({ day, meal, foodId }))];
+    const likedIds = new Set(user.likedFoods.map(String));
+    const dislikedIds = new Set(user.dislikedFoods.map(String));
+
+    predictions.forEach(({ day, mood }) => {
+      if (!mood) return;
+      const ranked = rankFoods(foods, { mood, likedIds, dislikedIds, moodCounts: {}, popularity: {} })
+        .filter(food => food.moods.includes(mood));
+
+      MEALS.forEach(meal => {
+        if (entries.some(entry => entry.day === day && entry.meal === meal)) return;
+
+        const food = pickFoodForMeal(ranked, meal, usage);
+        if (!food) return;
+
+        usage[String(food._id)] = (usage[String(food._id)] || 0) + 1;
+        entries.push({ day, meal, foodId: food._id });
+      });
+    });
+
+    await MealPlan.updateOne(
+      { userId: req.user.id, weekStart },
+      { $set: { entries, updatedAt: new Date() } },
+      { upsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Your week is planned! ✨',
+      predictions,
+      plan: await findMealPlan(req.user.id, weekStart)
+    });
+  });
+
+  // Combined shopping list from the recipes in a week, scaled to ?servings= people per meal
+  router.get('/:week/shopping-list', authenticateToken, validate(shoppingListRules), async (req, res) => {
+    const weekStart = toWeekStart(req.params.week);
+    const servings = req.query.servings === undefined ? 1 : Number(req.query.servings);
+
+    if (!weekStart) {
+      return res.status(404).json({ success: false, message: 'Meal plan not found' });
+    }
+
+    const plan = await MealPlan.findOne({ userId: req.user.id, weekStart }).populate('entries.foodId', 'name');
+    const entries = plan ? plan.entries.filter(entry => entry.foodId) : [];
+
+    const recipes = await Recipe.find({ foodId: { $in: entries.map(entry => entry.foodId._id) } });
+    const recipesByFood = {};
+    recipes.forEach(recipe => { recipesByFood[String(recipe.foodId)] = recipe; });
+
+    // Merge the same ingredient in the same unit across every planned meal
+    const items = {};
+    const missingRecipes = new Set();
+
+    entries.forEach(entry => {
+      const recipe = recipesByFood[String(entry.foodId._id)];
+      if (!recipe) {
+        missingRecipes.add(entry.foodId.name);
+        return;
+      }
+
+      const scale = servings / recipe.servings;
+      recipe.ingredients.forEach(ingredient => {
+        const key = `${ingredient.name.toLowerCase()}|${ingredient.unit}`;
+        if (!items[key]) {
+          items[key] = { name: ingredient.name, unit: ingredient.unit, quantity: null, foods: [] };
+        }
+
+        const item = items[key];
+        if (typeof ingredient.quantity === 'number') {
+          item.quantity = (item.quantity || 0) + ingredient.quantity * scale;
+        }
+        if (!item.foods.includes(entry.foodId.name)) item.foods.push(entry.foodId.name);
+      });
+    });
+
+    const shoppingList = Object.values(items)
+      .map(item => ({
+        ...item,
+        quantity: item.quantity === null ? null : Math.round(item.quantity * 100) / 100
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.json({
+      success: true,
+      weekStart,
+      servings,
+      items: shoppingList,
+      missingRecipes: [...missingRecipes]
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createMealPlanRouter };
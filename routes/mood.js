@@ -0,0 +1,301 @@
+// Mood check-ins and the insights built from them (mounted at /api/mood)
+const mongoose = require('mongoose');
+const { MoodSelection, Food, FoodFeedback, JournalEntry } = require('../models');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, sendValidationError } = require('../middleware/validation');
+const { knownMoods } = require('../middleware/moods');
+const { INSIGHTS_QUERY_RULES, getGranularity, resolveTimezone } = require('../services/insights');
+
+// Selections made offline are sent later with the time they were made (see the offline queue in script.js)
+const moodSelectRules = {
+  body: {
+    mood: { type: 'string', required: true },
+    timestamp: { type: 'date' }
+  }
+};
+
+// How far ahead of the server's clock a device may be
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// Build the $match stage for the current user's mood selections in a date range
+function buildInsightsMatch(req, defaultDays) {
+  const match = { userId: new mongoose.Types.ObjectId(req.user.id) };
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return null;
+  }
+
+  if (from || to || defaultDays) {
+    match.timestamp = {};
+    if (from) {
+      match.timestamp.$gte = from;
+    } else if (defaultDays) {
+      match.timestamp.$gte = new Date(Date.now() - defaultDays * 24 * 60 * 60 * 1000);
+    }
+    if (to) match.timestamp.$lte = to;
+  }
+
+  return match;
+}
+
+const insightsRules = { query: INSIGHTS_QUERY_RULES };
+
+// Parse the shared insights query (range + timezone) or send a 400.
+// validate(insightsRules) has already checked the types; this catches unknown timezone names.
+function parseInsightsQuery(req, res, defaultDays) {
+  const timezone = resolveTimezone(req.query.tz);
+  const match = buildInsightsMatch(req, defaultDays);
+
+  if (!timezone) {
+    sendValidationError(res, 'Invalid timezone', { tz: 'Invalid timezone' });
+    return null;
+  }
+  if (!match) {
+    sendValidationError(res, 'Invalid date range', { from: 'Invalid date range' });
+    return null;
+  }
+
+  return { timezone, match };
+}
+
+function createMoodRouter({ authenticateToken }) {
+  const router = asyncRouter();
+
+  // Track mood selection (for analytics)
+  router.post('/select', authenticateToken, validate(moodSelectRules), knownMoods({ body: ['mood'] }), async (req, res) => {
+    const { mood, timestamp } = req.body;
+
+    const selectedAt = timestamp ? new Date(timestamp) : new Date();
+    if (selectedAt.getTime() > Date.now() + MAX_CLOCK_SKEW) {
+      return sendValidationError(res, 'Timestamp cannot be in the future', { timestamp: 'Timestamp cannot be in the future' });
+    }
+
+    const moodSelection = new MoodSelection({
+      userId: req.user.id,
+      mood,
+      timestamp: selectedAt
+    });
+
+    await moodSelection.save();
+
+    res.json({
+      success: true,
+      message: 'Mood tracked successfully'
+    });
+  });
+
+  // Get user's mood history
+  router.get('/history', authenticateToken, async (req, res) => {
+    const moodHistory = await MoodSelection.find({ userId: req.user.id })
+      .sort({ timestamp: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      history: moodHistory
+    });
+  });
+
+  // Mood counts per day, week or month
+  router.get('/insights/timeline', authenticateToken, validate(insightsRules), async (req, res) => {
+    const granularity = req.query.granularity || 'day';
+    const config = getGranularity(granularity);
+    const query = parseInsightsQuery(req, res, config.defaultDays);
+    if (!query) return;
+
+    const rows = await MoodSelection.aggregate([
+      { $match: query.match },
+      {
+        $group: {
+          _id: {
+            period: { $dateToString: { format: config.format, date: '$timestamp', timezone: query.timezone } },
+            mood: '$mood'
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.period': 1 } }
+    ]);
+
+    // Reshape into one row per period with a count for each mood
+    const periods = [];
+    rows.forEach(({ _id, count }) => {
+      let period = periods[periods.length - 1];
+      if (!period || period.period !== _id.period) {
+        period = { period: _id.period, total: 0, moods: {} };
+        periods.push(period);
+      }
+      period.moods[_id.mood] = count;
+      period.total += count;
+    });
+
+    res.json({
+      success: true,
+      granularity,
+      timeline: periods
+    });
+  });
+
+  // Current and longest streak of days with at least one check-in
+  router.get('/insights/streaks', authenticateToken, validate(insightsRules), async (req, res) => {
+    const query = parseInsightsQuery(req, res);
+    if (!query) return;
+
+    const days = await MoodSelection.aggregate([
+      { $match: query.match },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone: query.timezone } } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const dayNumbers = days.map(day => Date.parse(`${day._id}T00:00:00Z`) / DAY_MS);
+
+    let longest = 0;
+    let run = 0;
+    dayNumbers.forEach((day, i) => {
+      run = i > 0 && day - dayNumbers[i - 1] === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    });
+
+    // The current streak is still alive if the last check-in was today or yesterday
+    const today = Date.parse(`${new Date().toLocaleDateString('en-CA', { timeZone: query.timezone })}T00:00:00Z`) / DAY_MS;
+    const lastDay = dayNumbers[dayNumbers.length - 1];
+    const current = lastDay !== undefined && today - lastDay <= 1 ? run : 0;
+
+    res.json({
+      success: true,
+      streaks: {
+        current,
+        longest,
+        activeDays: dayNumbers.length,
+        lastCheckIn: days.length ? days[days.length - 1]._id : null
+      }
+    });
+  });
+
+  // Most common mood by weekday and by hour of day
+  router.get('/insights/patterns', authenticateToken, validate(insightsRules), async (req, res) => {
+    const query = parseInsightsQuery(req, res);
+    if (!query) return;
+
+    const groupBy = (unit) => [
+      {
+        $group: {
+          _id: { slot: { [unit]: { date: '$timestamp', timezone: query.timezone } }, mood: '$mood' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.slot': 1, count: -1 } }
+    ];
+
+    const [result] = await MoodSelection.aggregate([
+      { $match: query.match },
+      {
+        $facet: {
+          weekday: groupBy('$dayOfWeek'),
+          hour: groupBy('$hour')
+        }
+      }
+    ]);
+
+    // Collapse (slot, mood) counts into one entry per slot with its top mood
+    const summarize = (rows, slots) => slots.map(slot => {
+      const slotRows = rows.filter(row => row._id.slot === slot);
+      const moods = {};
+      slotRows.forEach(row => { moods[row._id.mood] = row.count; });
+      return {
+        slot,
+        total: slotRows.reduce((sum, row) => sum + row.count, 0),
+        topMood: slotRows.length ? slotRows[0]._id.mood : null,
+        moods
+      };
+    });
+
+    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    res.json({
+      success: true,
+      patterns: {
+        // $dayOfWeek is 1 (Sunday) to 7 (Saturday)
+        weekday: summarize(result.weekday, [1, 2, 3, 4, 5, 6, 7])
+          .map(entry => ({ ...entry, slot: WEEKDAYS[entry.slot - 1] })),
+        hour: summarize(result.hour, Array.from({ length: 24 }, (_, hour) => hour))
+      }
+    });
+  });
+
+  // Which foods the user eats in each mood, and how they felt afterwards
+  router.get('/insights/foods', authenticateToken, async (req, res) => {
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+
+    const [feedbackRows, journalRows] = await Promise.all([
+      FoodFeedback.aggregate([
+        { $match: { userId, ate: true, mood: { $ne: null } } },
+        {
+          $group: {
+            _id: { mood: '$mood', foodId: '$foodId' },
+            count: { $sum: 1 },
+            avgMoodAfter: { $avg: '$moodAfter' }
+          }
+        }
+      ]),
+      JournalEntry.aggregate([
+        { $match: { userId, foodId: { $ne: null } } },
+        {
+          $group: {
+            _id: { mood: '$mood', foodId: '$foodId' },
+            count: { $sum: 1 },
+            avgIntensity: { $avg: '$intensity' }
+          }
+        }
+      ])
+    ]);
+
+    // Merge both sources per (mood, food)
+    const pairs = {};
+    const pairFor = ({ mood, foodId }) => {
+      const key = `${mood}:${foodId}`;
+      if (!pairs[key]) {
+        pairs[key] = { mood, foodId, count: 0, avgMoodAfter: null, avgIntensity: null };
+      }
+      return pairs[key];
+    };
+
+    feedbackRows.forEach(row => {
+      const pair = pairFor(row._id);
+      pair.count += row.count;
+      pair.avgMoodAfter = row.avgMoodAfter === null ? null : Math.round(row.avgMoodAfter * 100) / 100;
+    });
+    journalRows.forEach(row => {
+      const pair = pairFor(row._id);
+      pair.count += row.count;
+      pair.avgIntensity = Math.round(row.avgIntensity * 100) / 100;
+    });
+
+    const foods = await Food.find({ _id: { $in: Object.values(pairs).map(pair => pair.foodId) } })
+      .select('name emoji');
+    const foodsById = {};
+    foods.forEach(food => { foodsById[String(food._id)] = food; });
+
+    const correlations = Object.values(pairs)
+      .filter(pair => foodsById[String(pair.foodId)])
+      .map(pair => ({
+        ...pair,
+        name: foodsById[String(pair.foodId)].name,
+        emoji: foodsById[String(pair.foodId)].emoji
+      }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 20);
+
+    res.json({
+      success: true,
+      correlations
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createMoodRouter };
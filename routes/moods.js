@@ -0,0 +1,180 @@
+// The mood taxonomy, editable by admins (mounted at /api/moods)
+const { Mood, MoodSelection, JournalEntry, Food, FoodFeedback, MOOD_ANIMATIONS } = require('../models');
+const { requireRole } = require('../middleware/auth');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, checkFields, sendValidationError, toLabel } = require('../middleware/validation');
+
+const MOOD_FIELDS = [
+  'key', 'label', 'emoji', 'tagline', 'gradient', 'color', 'animation', 'valence', 'energy', 'healing', 'order', 'active'
+];
+const KEY_PATTERN = /^[a-z]+(?:-[a-z]+)*$/;
+const COLOR_RULE = { type: 'string', required: true, pattern: /^#[0-9a-f]{6}$/i, message: 'Colours must look like #ff69b4' };
+
+// Updates use the same rules with partial set; the key can't change once moods point at it
+const moodRules = {
+  body: {
+    key: { type: 'string', required: true, maxLength: 30, pattern: KEY_PATTERN, message: 'Key may only contain lowercase letters and dashes' },
+    label: { type: 'string', required: true, minLength: 1, maxLength: 30 },
+    emoji: { type: 'string', required: true, minLength: 1, maxLength: 16 },
+    tagline: { type: 'string', maxLength: 60 },
+    color: COLOR_RULE,
+    animation: { type: 'string', enum: MOOD_ANIMATIONS },
+    valence: { type: 'number', min: -1, max: 1 },
+    energy: { type: 'number', min: -1, max: 1 },
+    order: { type: 'integer', min: 0 },
+    active: { type: 'boolean' }
+  }
+};
+
+// validate() only looks one level deep, so the nested objects are checked here.
+// Each is replaced as a whole, so its rules apply in full on updates too.
+const nestedRules = {
+  gradient: {
+    from: COLOR_RULE,
+    to: COLOR_RULE
+  },
+  healing: {
+    title: { type: 'string', maxLength: 80 },
+    description: { type: 'string', maxLength: 500 },
+    tips: { type: 'array', maxItems: 6, items: { type: 'string', maxLength: 120 } }
+  }
+};
+
+// Returns { 'gradient.from': message, ... } for each problem
+function checkNestedFields(body, partial) {
+  const errors = {};
+
+  Object.entries(nestedRules).forEach(([name, rules]) => {
+    const value = body[name];
+    if (value === undefined) {
+      if (name === 'gradient' && !partial) errors.gradient = 'Gradient is required';
+      return;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors[name] = `${toLabel(name)} must be an object`;
+      return;
+    }
+    Object.entries(checkFields(value, rules)).forEach(([field, message]) => {
+      errors[`${name}.${field}`] = message;
+    });
+  });
+
+  return errors;
+}
+
+function pickMoodFields(body) {
+  const fields = {};
+  MOOD_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+}
+
+// Whether any history, journal entry, food or feedback still points at a mood
+async function isMoodInUse(key) {
+  const uses = await Promise.all([
+    MoodSelection.exists({ mood: key }),
+    JournalEntry.exists({ mood: key }),
+    Food.exists({ moods: key }),
+    FoodFeedback.exists({ mood: key })
+  ]);
+  return uses.some(Boolean);
+}
+
+// The app can't work without a mood to pick
+const isLastActiveMood = async (mood) => mood.active && (await Mood.countDocuments({ active: true })) === 1;
+
+function createMoodTaxonomyRouter({ authenticateToken }) {
+  const router = asyncRouter();
+
+  // Every mood in menu order. Hidden ones are included (active: false) so old history
+  // keeps its emoji and colours; only active ones can be picked.
+  router.get('/', async (req, res) => {
+    const moods = await Mood.find().sort({ order: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      moods
+    });
+  });
+
+  // Add a mood (admin only); new moods go to the end of the menu unless order is sent
+  router.post('/', authenticateToken, requireRole('admin'), validate(moodRules), async (req, res) => {
+    const errors = checkNestedFields(req.body, false);
+    if (Object.keys(errors).length) {
+      return sendValidationError(res, Object.values(errors)[0], errors);
+    }
+
+    const fields = pickMoodFields(req.body);
+    if (await Mood.exists({ key: fields.key })) {
+      return sendValidationError(res, 'A mood with this key already exists', { key: 'A mood with this key already exists' });
+    }
+
+    if (fields.order === undefined) {
+      const last = await Mood.findOne().sort({ order: -1 }).select('order');
+      fields.order = last ? last.order + 1 : 0;
+    }
+
+    const mood = await Mood.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: 'Mood added 🎭',
+      mood
+    });
+  });
+
+  // Update a mood (admin only); hide it with { active: false }
+  router.patch('/:key', authenticateToken, requireRole('admin'), validate(moodRules, { partial: true }), async (req, res) => {
+    const mood = await Mood.findOne({ key: req.params.key });
+    if (!mood) {
+      return res.status(404).json({ success: false, message: 'Mood not found' });
+    }
+
+    const errors = checkNestedFields(req.body, true);
+    if (req.body.key !== undefined && req.body.key !== mood.key) {
+      errors.key = 'The key of a mood cannot be changed';
+    }
+    if (Object.keys(errors).length) {
+      return sendValidationError(res, Object.values(errors)[0], errors);
+    }
+    if (req.body.active === false && await isLastActiveMood(mood)) {
+      return sendValidationError(res, 'At least one mood must stay active', { active: 'At least one mood must stay active' });
+    }
+
+    mood.set({ ...pickMoodFields(req.body), updatedAt: new Date() });
+    await mood.save();
+
+    res.json({
+      success: true,
+      message: 'Mood updated',
+      mood
+    });
+  });
+
+  // Delete a mood nobody has used yet (admin only); used moods can only be hidden
+  router.delete('/:key', authenticateToken, requireRole('admin'), async (req, res) => {
+    const mood = await Mood.findOne({ key: req.params.key });
+    if (!mood) {
+      return res.status(404).json({ success: false, message: 'Mood not found' });
+    }
+
+    if (await isMoodInUse(mood.key)) {
+      return sendValidationError(res, 'This mood is already in use. Hide it instead so past check-ins keep it', {}, 'MOOD_IN_USE');
+    }
+    if (await isLastActiveMood(mood)) {
+      return sendValidationError(res, 'At least one mood must stay active', {});
+    }
+
+    await mood.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Mood deleted'
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createMoodTaxonomyRouter };
@@ -0,0 +1,67 @@
+// The in-app notification inbox (mounted at /api/notifications)
+const mongoose = require('mongoose');
+const { Notification } = require('../models');
+const { asyncRouter } = require('../middleware/errors');
+const { validate } = require('../middleware/validation');
+
+const notificationListRules = {
+  query: {
+    unread: { type: 'boolean' },
+    limit: { type: 'integer', min: 1, max: 50 }
+  }
+};
+
+function createNotificationRouter({ authenticateToken }) {
+  const router = asyncRouter();
+
+  // Newest notifications first, with the unread count for the bell badge
+  router.get('/', authenticateToken, validate(notificationListRules), async (req, res) => {
+    const filter = { userId: req.user.id };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(parseInt(req.query.limit, 10) || 20),
+      Notification.countDocuments({ userId: req.user.id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount
+    });
+  });
+
+  // Mark every notification as read
+  router.post('/read-all', authenticateToken, async (req, res) => {
+    await Notification.updateMany({ userId: req.user.id, readAt: null }, { readAt: new Date() });
+
+    res.json({
+      success: true,
+      message: 'All caught up ✅'
+    });
+  });
+
+  // Mark one notification as read
+  router.post('/:id/read', authenticateToken, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    // Keep the first read time: only unread ones are updated, already read ones are just returned
+    const filter = { _id: req.params.id, userId: req.user.id };
+    const notification = await Notification.findOneAndUpdate({ ...filter, readAt: null }, { readAt: new Date() }, { new: true }) ||
+      await Notification.findOne(filter);
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    res.json({
+      success: true,
+      notification
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createNotificationRouter };
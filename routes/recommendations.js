@@ -0,0 +1,78 @@
+// Personalized food recommendations (mounted at /api/recommendations)
+const mongoose = require('mongoose');
+const { User, MoodSelection, Food, Suggestion } = require('../models');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, sendValidationError } = require('../middleware/validation');
+const { knownMoods } = require('../middleware/moods');
+const { buildDietaryFilter, buildFoodQueryFilter } = require('../services/foods');
+const { rankFoods } = require('../services/recommendations');
+
+const recommendationsRules = {
+  query: {
+    mood: { type: 'string', required: true },
+    limit: { type: 'integer', min: 1, max: 40 }
+  }
+};
+
+function createRecommendationRouter({ authenticateToken }) {
+  const router = asyncRouter();
+
+  // Get personalized food recommendations for a mood
+  router.get('/', authenticateToken, validate(recommendationsRules), knownMoods({ query: ['mood'] }), async (req, res) => {
+    const { mood } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 8, 40);
+
+    const queryFilter = buildFoodQueryFilter(req.query);
+    if (!queryFilter) {
+      return sendValidationError(res, 'Invalid food filters');
+    }
+
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+
+    const user = await User.findById(userId);
+
+    const [foods, history, sameMoodUserIds] = await Promise.all([
+      Food.find({ $and: [buildDietaryFilter(user), queryFilter] }),
+      MoodSelection.aggregate([
+        { $match: { userId } },
+        { $group: { _id: '$mood', count: { $sum: 1 } } }
+      ]),
+      MoodSelection.distinct('userId', { mood, userId: { $ne: userId } })
+    ]);
+
+    // How many other users who picked this mood liked each food
+    const popularityStats = await User.aggregate([
+      { $match: { _id: { $in: sameMoodUserIds } } },
+      { $unwind: '$likedFoods' },
+      { $group: { _id: '$likedFoods', count: { $sum: 1 } } }
+    ]);
+
+    const moodCounts = {};
+    history.forEach(entry => { moodCounts[entry._id] = entry.count; });
+
+    const popularity = {};
+    popularityStats.forEach(entry => { popularity[String(entry._id)] = entry.count; });
+
+    const recommendations = rankFoods(foods, {
+      mood,
+      likedIds: new Set((user ? user.likedFoods : []).map(String)),
+      dislikedIds: new Set((user ? user.dislikedFoods : []).map(String)),
+      moodCounts,
+      popularity
+    }).slice(0, limit);
+
+    // Log what was shown for the "most suggested" analytics (never blocks the response)
+    Suggestion.insertMany(recommendations.map(food => ({ userId, foodId: food._id, mood })))
+      .catch(error => console.error('Suggestion log error:', error));
+
+    res.json({
+      success: true,
+      mood,
+      recommendations
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createRecommendationRouter };
@@ -0,0 +1,187 @@
+// Check-in reminder schedules, their timezone and quiet hours (mounted at /api/reminders)
+const mongoose = require('mongoose');
+const { User, Reminder } = require('../models');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, sendValidationError } = require('../middleware/validation');
+const { resolveTimezone } = require('../services/insights');
+const { TIME_PATTERN, scheduleReminder, rescheduleUserReminders } = require('../services/reminders');
+
+const REMINDER_FIELDS = ['label', 'times', 'days', 'enabled'];
+const MAX_REMINDERS = 10;
+
+const TIME_RULE = { type: 'string', pattern: TIME_PATTERN, message: 'Times must look like 09:00 or 18:30' };
+
+// Updates use the same rules with partial set, so only sent fields are checked
+const reminderRules = {
+  body: {
+    label: { type: 'string', minLength: 1, maxLength: 60 },
+    times: { type: 'array', required: true, maxItems: 6, items: TIME_RULE, message: 'Times must look like 09:00 or 18:30' },
+    days: { type: 'array', maxItems: 7, items: { type: 'integer', min: 0, max: 6 }, message: 'Days must be numbers from 0 (Monday) to 6 (Sunday)' },
+    enabled: { type: 'boolean' }
+  }
+};
+
+// Quiet hours are turned off by sending both as ''
+const settingsRules = {
+  body: {
+    timezone: { type: 'string', maxLength: 100 },
+    quietStart: { ...TIME_RULE, message: 'Quiet hours must look like 22:00' },
+    quietEnd: { ...TIME_RULE, message: 'Quiet hours must look like 07:00' }
+  }
+};
+
+const toSettings = (user) => ({
+  timezone: user.timezone,
+  quietStart: user.quietStart,
+  quietEnd: user.quietEnd
+});
+
+// Pick the reminder fields that were sent, dropping duplicate times and days
+function pickReminderFields(body) {
+  const fields = {};
+  REMINDER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (fields.label) fields.label = fields.label.trim();
+  if (fields.times) fields.times = [...new Set(fields.times)].sort();
+  if (fields.days) fields.days = [...new Set(fields.days)].sort((a, b) => a - b);
+  return fields;
+}
+
+// An empty list of times or days would never fire
+function checkSchedule(fields) {
+  const errors = {};
+  if (fields.times && fields.times.length === 0) errors.times = 'Pick at least one time';
+  if (fields.days && fields.days.length === 0) errors.days = 'Pick at least one day';
+  return errors;
+}
+
+function createReminderRouter({ authenticateToken }) {
+  const router = asyncRouter();
+
+  // My reminders and the settings they use
+  router.get('/', authenticateToken, async (req, res) => {
+    const [user, reminders] = await Promise.all([
+      User.findById(req.user.id),
+      Reminder.find({ userId: req.user.id }).sort({ createdAt: 1 })
+    ]);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      reminders,
+      settings: toSettings(user)
+    });
+  });
+
+  // Change the timezone and quiet hours (every reminder is rescheduled)
+  router.put('/settings', authenticateToken, validate(settingsRules), async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    ['timezone', 'quietStart', 'quietEnd'].forEach(field => {
+      if (req.body[field] !== undefined) user[field] = req.body[field];
+    });
+
+    if (!resolveTimezone(user.timezone)) {
+      return sendValidationError(res, 'Invalid timezone', { timezone: 'Invalid timezone' });
+    }
+    if (!user.quietStart !== !user.quietEnd) {
+      const missing = user.quietStart ? 'quietEnd' : 'quietStart';
+      return sendValidationError(res, 'Set both ends of your quiet hours', { [missing]: 'Set both ends of your quiet hours' });
+    }
+
+    await user.save();
+    await rescheduleUserReminders(user);
+
+    res.json({
+      success: true,
+      message: 'Reminder settings saved ⏰',
+      settings: toSettings(user)
+    });
+  });
+
+  // Add a check-in schedule, e.g. { times: ['09:00', '18:00'], days: [0, 1, 2, 3, 4] }
+  router.post('/', authenticateToken, validate(reminderRules), async (req, res) => {
+    const fields = pickReminderFields(req.body);
+    const errors = checkSchedule(fields);
+    if (Object.keys(errors).length) {
+      return sendValidationError(res, Object.values(errors)[0], errors);
+    }
+
+    const [user, count] = await Promise.all([
+      User.findById(req.user.id),
+      Reminder.countDocuments({ userId: req.user.id })
+    ]);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (count >= MAX_REMINDERS) {
+      return sendValidationError(res, `You can have up to ${MAX_REMINDERS} reminders`);
+    }
+
+    const reminder = scheduleReminder(new Reminder({ ...fields, userId: user._id }), user);
+    await reminder.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Reminder set ⏰',
+      reminder
+    });
+  });
+
+  // Change a schedule, or pause it with { enabled: false }
+  router.patch('/:id', authenticateToken, validate(reminderRules, { partial: true }), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Reminder not found' });
+    }
+
+    const fields = pickReminderFields(req.body);
+    const errors = checkSchedule(fields);
+    if (Object.keys(errors).length) {
+      return sendValidationError(res, Object.values(errors)[0], errors);
+    }
+
+    const [user, reminder] = await Promise.all([
+      User.findById(req.user.id),
+      Reminder.findOne({ _id: req.params.id, userId: req.user.id })
+    ]);
+    if (!user || !reminder) {
+      return res.status(404).json({ success: false, message: 'Reminder not found' });
+    }
+
+    reminder.set({ ...fields, updatedAt: new Date() });
+    await scheduleReminder(reminder, user).save();
+
+    res.json({
+      success: true,
+      message: reminder.enabled ? 'Reminder updated ⏰' : 'Reminder paused',
+      reminder
+    });
+  });
+
+  // Delete a reminder
+  router.delete('/:id', authenticateToken, async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Reminder not found' });
+    }
+
+    const reminder = await Reminder.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!reminder) {
+      return res.status(404).json({ success: false, message: 'Reminder not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reminder deleted'
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createReminderRouter };
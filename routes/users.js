@@ -0,0 +1,217 @@
+// Profile routes for the logged-in user (mounted at /api/users)
+const bcrypt = require('bcryptjs');
+const { User, Food, DIETARY_RESTRICTIONS, ALLERGENS, SPICE_LEVELS } = require('../models');
+const { asyncRouter } = require('../middleware/errors');
+const { validate, sendValidationError, PASSWORD_RULE } = require('../middleware/validation');
+const { revokeAllRefreshTokens, consumeAuthToken } = require('../services/tokens');
+const { toPublicUser } = require('../services/users');
+const { EXPORT_SECTIONS, buildUserExport, toCsvRows } = require('../services/accounts');
+const { toCsv } = require('../services/analytics');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const PROFILE_FIELDS = ['name', 'avatar', 'dietaryRestrictions', 'allergens', 'dislikedCategories', 'spiceTolerance', 'theme'];
+
+// Every profile field is optional on update, but must be valid when sent
+const profileRules = {
+  body: {
+    name: { type: 'string', minLength: 1, maxLength: 60 },
+    avatar: { type: 'string', pattern: /^https?:\/\//, maxLength: 500, message: 'Avatar must be an http(s) image URL' },
+    dietaryRestrictions: { type: 'array', items: { type: 'string', enum: DIETARY_RESTRICTIONS } },
+    allergens: { type: 'array', items: { type: 'string', enum: ALLERGENS } },
+    dislikedCategories: { type: 'array', items: { type: 'string' } },
+    spiceTolerance: { type: 'string', enum: SPICE_LEVELS },
+    theme: { type: 'string', enum: ['light', 'dark'] }
+  }
+};
+
+// The profile as shown on the profile page
+const toProfile = (user) => ({
+  ...toPublicUser(user),
+  emailVerified: user.emailVerified,
+  dietaryRestrictions: user.dietaryRestrictions,
+  allergens: user.allergens,
+  dislikedCategories: user.dislikedCategories,
+  spiceTolerance: user.spiceTolerance,
+  createdAt: user.createdAt
+});
+
+const changePasswordRules = {
+  body: {
+    currentPassword: { type: 'string', required: true },
+    newPassword: PASSWORD_RULE
+  }
+};
+
+const confirmPasswordRules = {
+  body: {
+    password: { type: 'string', required: true, message: 'Please confirm with your password' }
+  }
+};
+
+const exportRules = {
+  query: {
+    format: { type: 'string', enum: ['json', 'csv'] },
+    section: { type: 'string', enum: EXPORT_SECTIONS }
+  }
+};
+
+function createUserRouter({
+  config,
+  limits,
+  authenticateToken,
+  generateToken,
+  issueRefreshToken,
+  clearRefreshCookie,
+  sendAccountDeletionEmail
+}) {
+  const router = asyncRouter();
+
+  // Get my profile
+  router.get('/me', authenticateToken, async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      profile: toProfile(user),
+      options: {
+        dietaryRestrictions: DIETARY_RESTRICTIONS,
+        allergens: ALLERGENS,
+        spiceTolerance: SPICE_LEVELS,
+        categories: await Food.distinct('category')
+      }
+    });
+  });
+
+  // Update my profile and preferences
+  router.patch('/me', authenticateToken, validate(profileRules), async (req, res) => {
+    const updates = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (updates.name) updates.name = updates.name.trim();
+
+    const user = await User.findByIdAndUpdate(req.user.id, updates, { new: true, runValidators: true });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile saved! ✨',
+      profile: toProfile(user)
+    });
+  });
+
+  // Change my password (signs out every other device)
+  router.post('/me/password', authenticateToken, validate(changePasswordRules), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user || !(await bcrypt.compare(currentPassword, user.password))) {
+      return sendValidationError(res, 'Current password is incorrect', { currentPassword: 'Current password is incorrect' });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    await revokeAllRefreshTokens(user._id);
+    await issueRefreshToken(req, res, user._id);
+
+    res.json({
+      success: true,
+      message: 'Password changed! Other devices have been logged out 🔒',
+      token: generateToken(user)
+    });
+  });
+
+  // Download everything we hold about me: the whole archive as JSON, or one section as CSV.
+  // ?format=json|csv&section=profile|moods|journal|collections|meal-plans|feedback|contact
+  router.get('/me/export', authenticateToken, validate(exportRules), async (req, res) => {
+    const { format = 'json', section } = req.query;
+    if (format === 'csv' && !section) {
+      return sendValidationError(res, 'Choose a section to export as CSV', {
+        section: `Section must be one of: ${EXPORT_SECTIONS.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const data = await buildUserExport(user);
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`foodswing-${section || 'export'}-${date}.${format}`);
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(toCsv(toCsvRows(data[section])));
+    }
+
+    res.json({
+      success: true,
+      exportedAt: new Date(),
+      ...(section ? { [section]: data[section] } : data)
+    });
+  });
+
+  // Ask to delete my account. Nothing is removed yet: we email a link to confirm,
+  // then the data stays for a grace period in case the user changes their mind.
+  router.delete('/me', authenticateToken, limits.emailByIp, validate(confirmPasswordRules), async (req, res) => {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+      return sendValidationError(res, 'Please confirm with your password', { password: 'Incorrect password' });
+    }
+
+    await sendAccountDeletionEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Almost done: open the link we emailed you to confirm 📧'
+    });
+  });
+
+  // Confirm with the emailed link: schedules the deletion and logs out every device.
+  // No login needed, as the link may be opened on another device.
+  router.post('/me/deletion/confirm', validate({ body: { token: { type: 'string', required: true } } }), async (req, res) => {
+    const userId = await consumeAuthToken(req.body.token, 'account-deletion');
+    if (!userId) {
+      return sendValidationError(res, 'This confirmation link is invalid or has expired', {}, 'INVALID_TOKEN');
+    }
+
+    const deletionScheduledFor = new Date(Date.now() + config.accountDeletionGraceDays * DAY);
+    await User.updateOne({ _id: userId }, { deletionScheduledFor });
+    await revokeAllRefreshTokens(userId);
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${deletionScheduledFor.toDateString()}. Log in before then if you change your mind 💙`,
+      deletionScheduledFor
+    });
+  });
+
+  // Keep my account after all
+  router.post('/me/deletion/cancel', authenticateToken, async (req, res) => {
+    const user = await User.findByIdAndUpdate(req.user.id, { deletionScheduledFor: null }, { new: true });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Deletion cancelled. Glad you are staying! 💙',
+      profile: toProfile(user)
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createUserRouter };
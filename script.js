@@ -1,17 +1,44 @@
-// API Configuration
-const API_BASE_URL = 'http://localhost:5000/api'; // Change this to your production URL
-
-// Authentication token management
-let authToken = localStorage.getItem('foodswing_token');
+// API Configuration: set with <meta name="api-base-url"> in index.html, same-origin /api by default.
+// An API on another origin must also be listed in the server's API_ORIGINS (Content Security Policy).
+const apiBaseMeta = document.querySelector('meta[name="api-base-url"]');
+const API_BASE_URL = ((apiBaseMeta && apiBaseMeta.content) || '/api').replace(/\/+$/, '');
+
+// Authentication token management.
+// The short-lived access token is kept in memory only; the refresh token lives in an httpOnly cookie.
+let authToken = null;
 let currentUser = null;
+let refreshPromise = null;
+
+// Endpoints that must not trigger a token refresh and retry
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/signup', '/auth/refresh', '/auth/logout'];
+
+// Same checks the server makes (see validation.js)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PASSWORD_MIN_LENGTH = 6;
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
+    // Handle links from password reset and confirmation emails
+    await handleEmailLinks();
+
+    // Cache the app shell and show when we're offline
+    initializeOfflineSupport();
+
     // Check if user is logged in
-    if (authToken) {
-        await verifyToken();
-    }
+    await restoreSession();
+
+    // Build the mood picker from the moods on the server
+    await loadMoods();
+
+    // Shared lists open as ?collection=<token>, with or without an account
+    redirectSharedCollectionLink();
     
+    // Build the allergen filter chips on the home page
+    renderCheckboxGroup('allergenFilters', allergenOptions, []);
+
+    // Show the page in the URL (or the landing page)
+    startRouter();
+
     // Start emoji rain animation
     createEmojiRain();
     
@@ -22,8 +49,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 // ============= DARK MODE =============
 
 function initializeDarkMode() {
-    // Load dark mode preference
-    const isDark = localStorage.getItem('darkMode') === 'true';
+    // Load dark mode preference (the server copy is applied after login)
+    const isDark = document.body.classList.contains('dark-mode') || localStorage.getItem('darkMode') === 'true';
     if (isDark) {
         document.body.classList.add('dark-mode');
     }
@@ -39,24 +66,42 @@ function initializeDarkMode() {
 }
 
 function toggleDarkMode() {
-    document.body.classList.toggle('dark-mode');
+    const isDark = !document.body.classList.contains('dark-mode');
+    applyTheme(isDark ? 'dark' : 'light');
+
+    // Save preference to the user's profile
+    if (currentUser) {
+        currentUser.theme = isDark ? 'dark' : 'light';
+        apiRequest('/users/me', {
+            method: 'PATCH',
+            body: JSON.stringify({ theme: currentUser.theme })
+        }).catch(error => console.error('Failed to save theme:', error));
+    }
     
-    // Save preference to localStorage
-    const isDark = document.body.classList.contains('dark-mode');
+    // Show toast notification
+    showToast(isDark ? '🌙 Dark mode enabled' : '☀️ Light mode enabled', 'success');
+}
+
+function applyTheme(theme) {
+    const isDark = theme === 'dark';
+    document.body.classList.toggle('dark-mode', isDark);
+
+    // Keep a local copy so the landing page matches before login
     localStorage.setItem('darkMode', isDark);
-    
+
     // Update toggle button icon
     const toggleBtn = document.querySelector('.dark-mode-toggle');
-    toggleBtn.textContent = isDark ? '☀️' : '🌙';
-    
-    // Show toast notification
-    showToast(isDark ? '🌙 Dark mode enabled' : '☀️ Light mode enabled', 'success');
+    if (toggleBtn) {
+        toggleBtn.textContent = isDark ? '☀️' : '🌙';
+    }
 }
 
 // ============= API HELPER FUNCTIONS =============
 
-async function apiRequest(endpoint, options = {}) {
+// Pass { blob: true } for downloads: the body comes back as a Blob instead of parsed JSON
+async function apiRequest(endpoint, options = {}, isRetry = false) {
     try {
+        const { blob: asBlob, ...fetchOptions } = options;
         const headers = {
             'Content-Type': 'application/json',
             ...options.headers
@@ -67,15 +112,45 @@ async function apiRequest(endpoint, options = {}) {
             headers['Authorization'] = `Bearer ${authToken}`;
         }
 
-        const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-            ...options,
-            headers
-        });
+        let response;
+        try {
+            response = await fetch(`${API_BASE_URL}${endpoint}`, {
+                ...fetchOptions,
+                headers,
+                credentials: 'include'
+            });
+        } catch (networkError) {
+            // fetch only rejects when the request never reached the server
+            throw createOfflineError();
+        }
+
+        if (asBlob && response.ok) {
+            return response.blob();
+        }
 
         const data = await response.json();
 
+        // Access token missing or expired: refresh it once and retry
+        if ((response.status === 401 || response.status === 403) && !isRetry &&
+            !NO_REFRESH_ENDPOINTS.includes(endpoint)) {
+            if (await refreshAccessToken()) {
+                return apiRequest(endpoint, options, true);
+            }
+        }
+
         if (!response.ok) {
-            throw new Error(data.message || 'Something went wrong');
+            const apiError = new Error(data.message || 'Something went wrong');
+
+            // Rate limited: say how long to wait (Retry-After is in seconds)
+            if (response.status === 429) {
+                apiError.retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter;
+                apiError.message = `${data.message || 'Too many tries!'} ${formatRetryAfter(apiError.retryAfter)}`;
+            }
+
+            apiError.status = response.status;
+            apiError.code = data.code;
+            apiError.fields = data.fields || {}; // { fieldName: message } for validation errors
+            throw apiError;
         }
 
         return data;
@@ -85,23 +160,301 @@ async function apiRequest(endpoint, options = {}) {
     }
 }
 
-// ============= AUTHENTICATION =============
+// "Try again in 2 minutes" from a Retry-After value
+function formatRetryAfter(seconds) {
+    if (!seconds) return 'Please try again later.';
+    if (seconds < 60) return `Try again in ${seconds} second${seconds === 1 ? '' : 's'}.`;
 
-async function verifyToken() {
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+
+    const hours = Math.ceil(minutes / 60);
+    return `Try again in ${hours} hour${hours === 1 ? '' : 's'}.`;
+}
+
+// ============= OFFLINE SUPPORT =============
+
+// IndexedDB keeps two things for offline use: actions waiting to be sent ("queue")
+// and the last food catalog we saw ("catalog")
+const OFFLINE_DB_NAME = 'foodswing';
+const OFFLINE_DB_VERSION = 1;
+const OFFLINE_USER_KEY = 'foodswing_user';
+
+let offlineDbPromise = null;
+let replayingOfflineQueue = false;
+
+function initializeOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.error('Service worker registration failed:', error));
+    }
+
+    updateOfflineBanner();
+    window.addEventListener('offline', updateOfflineBanner);
+    window.addEventListener('online', async () => {
+        updateOfflineBanner();
+
+        // A session resumed offline has no access token yet
+        if (currentUser && !authToken) await refreshAccessToken();
+        replayOfflineQueue();
+    });
+}
+
+function updateOfflineBanner() {
+    document.getElementById('offlineBanner').classList.toggle('hidden', navigator.onLine);
+}
+
+// Thrown by apiRequest when the request never reached the server
+function createOfflineError() {
+    const error = new Error("You're offline. Please try again when you're back online 📡");
+    error.offline = true;
+    return error;
+}
+
+function openOfflineDb() {
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+                db.createObjectStore('catalog', { keyPath: '_id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let the next call try again (e.g. private mode blocked it)
+        offlineDbPromise.catch(() => {
+            offlineDbPromise = null;
+        });
+    }
+    return offlineDbPromise;
+}
+
+// Run fn against an object store and resolve with its request's result once the transaction commits
+async function withOfflineStore(storeName, mode, fn) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = fn(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Keep a POST for later; replayed in order by replayOfflineQueue
+async function queueOfflineAction(endpoint, body) {
     try {
-        const response = await apiRequest('/auth/verify');
-        if (response.success) {
-            currentUser = response.user;
-            updateUIForLoggedInUser();
-            return true;
+        await withOfflineStore('queue', 'readwrite', store => store.add({
+            endpoint,
+            body,
+            userId: currentUser.id,
+            queuedAt: new Date().toISOString()
+        }));
+    } catch (error) {
+        console.error('Failed to queue offline action:', error);
+    }
+}
+
+// Send everything the current user queued while offline
+async function replayOfflineQueue() {
+    if (replayingOfflineQueue || !currentUser || !authToken || !navigator.onLine) return;
+    replayingOfflineQueue = true;
+
+    let synced = 0;
+    try {
+        const queued = await withOfflineStore('queue', 'readonly', store => store.getAll());
+
+        for (const action of queued.filter(item => item.userId === currentUser.id)) {
+            try {
+                await apiRequest(action.endpoint, { method: 'POST', body: JSON.stringify(action.body) });
+                synced++;
+            } catch (error) {
+                // Still offline, logged out or the server is struggling: keep the rest for next time
+                if (error.offline || !error.status || error.status >= 500 || [401, 403, 429].includes(error.status)) break;
+
+                // Rejected outright (e.g. a stale food): sending it again won't help
+                console.error('Dropping queued action:', action, error);
+            }
+            await withOfflineStore('queue', 'readwrite', store => store.delete(action.id));
+        }
+    } catch (error) {
+        console.error('Failed to replay offline queue:', error);
+    } finally {
+        replayingOfflineQueue = false;
+    }
+
+    if (synced) {
+        showToast(`Synced ${synced} entr${synced === 1 ? 'y' : 'ies'} saved while you were offline ✅`, 'success');
+    }
+}
+
+// Save the whole catalog so mood suggestions still work without a network
+async function syncOfflineCatalog() {
+    if (!navigator.onLine) return;
+
+    try {
+        const response = await apiRequest('/foods');
+        const foods = response.foods || [];
+        await withOfflineStore('catalog', 'readwrite', store => {
+            store.clear();
+            foods.forEach(food => store.put(food));
+        });
+    } catch (error) {
+        console.error('Failed to save offline catalog:', error);
+    }
+}
+
+async function loadOfflineCatalog() {
+    try {
+        return await withOfflineStore('catalog', 'readonly', store => store.getAll());
+    } catch (error) {
+        console.error('Failed to load offline catalog:', error);
+        return [];
+    }
+}
+
+// Apply the same mood, allergen and calorie filters as GET /foods
+function filterOfflineFoods(foods, params) {
+    const mood = params.get('mood');
+    const excluded = (params.get('excludeAllergens') || '').split(',').filter(Boolean);
+    const maxCalories = params.get('maxCalories') ? Number(params.get('maxCalories')) : null;
+
+    return foods.filter(food => {
+        if (mood && !(food.moods || []).includes(mood)) return false;
+        if ((food.allergens || []).some(allergen => excluded.includes(allergen))) return false;
+        if (maxCalories !== null) {
+            const calories = food.nutrition ? food.nutrition.calories : undefined;
+            if (calories === undefined || calories === null || calories > maxCalories) return false;
         }
+        return true;
+    });
+}
+
+// The access token is memory-only, so remember who was logged in for offline page loads
+function saveOfflineUser(user) {
+    if (user) {
+        localStorage.setItem(OFFLINE_USER_KEY, JSON.stringify(user));
+    } else {
+        localStorage.removeItem(OFFLINE_USER_KEY);
+    }
+}
+
+function loadOfflineUser() {
+    try {
+        return JSON.parse(localStorage.getItem(OFFLINE_USER_KEY));
     } catch (error) {
-        // Token invalid or expired
-        localStorage.removeItem('foodswing_token');
-        authToken = null;
-        currentUser = null;
-        return false;
+        return null;
+    }
+}
+
+// ============= FORM FIELD ERRORS =============
+
+// Highlight the inputs named in a validation error and show each message under its input.
+// inputIds maps the API's field names to input ids, e.g. { email: 'authEmail' }
+function showFieldErrors(fields, inputIds) {
+    clearFieldErrors(inputIds);
+
+    Object.entries(fields || {}).forEach(([field, message]) => {
+        const input = document.getElementById(inputIds[field]);
+        if (!input) return;
+
+        const hint = document.createElement('small');
+        hint.className = 'field-error';
+        hint.textContent = message;
+        input.classList.add('input-error');
+        input.insertAdjacentElement('afterend', hint);
+    });
+}
+
+function clearFieldError(input) {
+    input.classList.remove('input-error');
+    const hint = input.nextElementSibling;
+    if (hint && hint.classList.contains('field-error')) hint.remove();
+}
+
+function clearFieldErrors(inputIds) {
+    Object.values(inputIds).forEach(id => {
+        const input = document.getElementById(id);
+        if (input) clearFieldError(input);
+    });
+}
+
+// Check a form before sending it: highlights problems and toasts the first one.
+// Returns true when there is nothing to fix.
+function checkFormFields(fields, inputIds) {
+    showFieldErrors(fields, inputIds);
+    const [firstError] = Object.values(fields);
+    if (firstError) showToast(firstError, 'error');
+    return !firstError;
+}
+
+// Fixing a highlighted input clears its message
+document.addEventListener('input', (e) => {
+    if (e.target.classList && e.target.classList.contains('input-error')) {
+        clearFieldError(e.target);
+    }
+});
+
+// ============= AUTHENTICATION =============
+
+const AUTH_INPUTS = { name: 'authName', email: 'authEmail', password: 'authPassword' };
+
+// Get a new access token from the refresh cookie (shared between concurrent callers)
+function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+            method: 'POST',
+            credentials: 'include'
+        })
+            .catch(() => {
+                throw createOfflineError();
+            })
+            .then(async response => {
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.message);
+                }
+                authToken = data.token;
+                currentUser = data.user;
+                return true;
+            })
+            .catch(error => {
+                // Offline isn't logged out: keep the session and refresh once we're back
+                if (error.offline) return false;
+
+                // Refresh token missing, expired or revoked: the session is over
+                if (currentUser) {
+                    showLandingPage();
+                    showToast('Your session has expired. Please log in again 🔒', 'error');
+                }
+                authToken = null;
+                currentUser = null;
+                return false;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+}
+
+// Resume the session from the refresh cookie on page load
+async function restoreSession() {
+    if (await refreshAccessToken()) {
+        updateUIForLoggedInUser();
+        replayOfflineQueue();
+        return true;
+    }
+
+    // Opened without a network: carry on as the last user until we can refresh
+    const offlineUser = !navigator.onLine && loadOfflineUser();
+    if (offlineUser) {
+        currentUser = offlineUser;
+        updateUIForLoggedInUser();
+        return true;
     }
+    return false;
 }
 
 function switchAuth(type) {
@@ -110,6 +463,8 @@ function switchAuth(type) {
     const nameField = document.getElementById('nameField');
     const authBtnText = document.getElementById('authBtnText');
 
+    clearFieldErrors(AUTH_INPUTS);
+
     if (type === 'login') {
         loginTab.classList.add('active');
         signupTab.classList.remove('active');
@@ -130,28 +485,17 @@ async function handleAuth() {
     const isSignup = document.getElementById('signupTab').classList.contains('active');
 
     // Validation
-    if (!email || !password) {
-        showToast('Please fill in all fields! 📝', 'error');
-        return;
-    }
-
+    const fields = {};
     if (isSignup && !name) {
-        showToast('Please enter your name! 👤', 'error');
-        return;
+        fields.name = 'Please enter your name! 👤';
     }
-
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-        showToast('Please enter a valid email! 📧', 'error');
-        return;
+    if (!EMAIL_PATTERN.test(email)) {
+        fields.email = email ? 'Please enter a valid email! 📧' : 'Please enter your email! 📧';
     }
-
-    // Password validation
-    if (password.length < 6) {
-        showToast('Password must be at least 6 characters! 🔒', 'error');
-        return;
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        fields.password = `Password must be at least ${PASSWORD_MIN_LENGTH} characters! 🔒`;
     }
+    if (!checkFormFields(fields, AUTH_INPUTS)) return;
 
     try {
         const endpoint = isSignup ? '/auth/signup' : '/auth/login';
@@ -162,10 +506,16 @@ async function handleAuth() {
             body: JSON.stringify(body)
         });
 
+        if (response.success && response.verificationRequired) {
+            // Account created, but it has to be confirmed before logging in
+            showToast(response.message, 'success');
+            switchAuth('login');
+            return;
+        }
+
         if (response.success) {
-            // Store token
+            // Keep the access token in memory (the refresh cookie is set by the server)
             authToken = response.token;
-            localStorage.setItem('foodswing_token', authToken);
             currentUser = response.user;
 
             // Show success message
@@ -173,185 +523,371 @@ async function handleAuth() {
 
             // Update UI
             updateUIForLoggedInUser();
+            replayOfflineQueue();
 
-            // Navigate to home
-            setTimeout(() => {
-                showPage('home');
-            }, 1000);
+            // Navigate to home, or wherever they were heading before logging in
+            setTimeout(navigateAfterLogin, 1000);
         }
     } catch (error) {
+        if (error.code === 'EMAIL_NOT_VERIFIED') {
+            document.getElementById('resendVerificationLink').classList.remove('hidden');
+        }
+        showFieldErrors(error.fields, AUTH_INPUTS);
         showToast(error.message || 'Authentication failed! 😕', 'error');
     }
 }
 
+// ============= PASSWORD RESET & EMAIL CONFIRMATION =============
+
+let passwordResetToken = null;
+
+// Email links land on the app as ?resetPassword=<token>, ?verifyEmail=<token> or ?confirmDeletion=<token>
+async function handleEmailLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const resetToken = params.get('resetPassword');
+    const verifyToken = params.get('verifyEmail');
+    const deletionToken = params.get('confirmDeletion');
+
+    if (!resetToken && !verifyToken && !deletionToken) return;
+
+    // Drop the token from the address bar
+    window.history.replaceState({}, '', window.location.pathname);
+
+    if (resetToken) {
+        passwordResetToken = resetToken;
+        document.getElementById('authForm').classList.add('hidden');
+        document.querySelector('.auth-tabs').classList.add('hidden');
+        document.getElementById('resetPasswordForm').classList.remove('hidden');
+        return;
+    }
+
+    if (deletionToken) {
+        await confirmAccountDeletion(deletionToken);
+        return;
+    }
+
+    try {
+        const response = await apiRequest(`/auth/verify-email/${encodeURIComponent(verifyToken)}`);
+        showToast(response.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Could not confirm your email! 😕', 'error');
+    }
+}
+
+async function forgotPassword() {
+    const email = document.getElementById('authEmail').value.trim();
+
+    if (!email) {
+        showToast('Enter your email above first! 📧', 'error');
+        return;
+    }
+
+    try {
+        const response = await apiRequest('/auth/forgot-password', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+        showToast(response.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Could not send reset email! 😕', 'error');
+    }
+}
+
+async function submitPasswordReset() {
+    const password = document.getElementById('resetPassword').value;
+    const confirmPassword = document.getElementById('resetPasswordConfirm').value;
+    const inputs = { password: 'resetPassword', confirmPassword: 'resetPasswordConfirm' };
+
+    const fields = {};
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        fields.password = `Password must be at least ${PASSWORD_MIN_LENGTH} characters! 🔒`;
+    } else if (password !== confirmPassword) {
+        fields.confirmPassword = 'Passwords do not match! 🔒';
+    }
+    if (!checkFormFields(fields, inputs)) return;
+
+    try {
+        const response = await apiRequest('/auth/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({ token: passwordResetToken, password })
+        });
+
+        showToast(response.message, 'success');
+        passwordResetToken = null;
+        document.getElementById('resetPasswordForm').classList.add('hidden');
+        document.getElementById('authForm').classList.remove('hidden');
+        document.querySelector('.auth-tabs').classList.remove('hidden');
+        switchAuth('login');
+    } catch (error) {
+        showFieldErrors(error.fields, inputs);
+        showToast(error.message || 'Could not reset password! 😕', 'error');
+    }
+}
+
+async function resendVerification() {
+    const email = document.getElementById('authEmail').value.trim();
+
+    if (!email) {
+        showToast('Enter your email above first! 📧', 'error');
+        return;
+    }
+
+    try {
+        const response = await apiRequest('/auth/resend-verification', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+        showToast(response.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Could not send confirmation email! 😕', 'error');
+    }
+}
+
 function updateUIForLoggedInUser() {
     // Hide landing page, show navbar
     document.getElementById('landingPage').style.display = 'none';
     document.getElementById('mainNavbar').style.display = 'block';
     
-    // Update user button
+    // Update user button and theme
     const userBtn = document.getElementById('userBtn');
     if (currentUser) {
         userBtn.textContent = `Logout (${currentUser.name})`;
+        if (currentUser.theme) {
+            applyTheme(currentUser.theme);
+        }
+    }
+
+    // Admin links are only shown to admins (the API checks the role again)
+    document.querySelectorAll('.admin-only').forEach(link => link.classList.toggle('hidden', !isAdmin()));
+
+    // Load favorites so hearts show up filled
+    loadCollections().catch(error => console.error('Failed to load collections:', error));
+
+    // Remember who's logged in and keep a copy of the catalog for offline use
+    saveOfflineUser(currentUser);
+    syncOfflineCatalog();
+
+    // Check the inbox for reminders now and then
+    startNotificationPolling();
+}
+
+async function logoutUser(allDevices = false) {
+    // Revoke the refresh token(s) on the server
+    try {
+        await apiRequest(allDevices ? '/auth/logout-all' : '/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Logout request failed:', error);
     }
+
+    showLandingPage();
+    showToast(allDevices ? 'Logged out on all devices! 👋' : 'Logged out successfully! 👋', 'success');
 }
 
-function logoutUser() {
+function showLandingPage() {
     // Clear auth data
-    localStorage.removeItem('foodswing_token');
     authToken = null;
     currentUser = null;
+    saveOfflineUser(null);
+    collections = [];
+    updateFavoriteCount();
+    stopNotificationPolling();
+    document.querySelectorAll('.admin-only').forEach(link => link.classList.add('hidden'));
 
     // Show landing page
-    document.getElementById('mainNavbar').style.display = 'none';
-    document.getElementById('landingPage').style.display = 'block';
-    document.getElementById('landingPage').classList.add('active');
-    
-    // Hide all other pages
-    document.querySelectorAll('.page').forEach(page => {
-        if (page.id !== 'landingPage') {
-            page.classList.remove('active');
-        }
-    });
-
-    showToast('Logged out successfully! 👋', 'success');
+    navigate('/', { replace: true });
 }
 
 // ============= MOOD SELECTION =============
 
-async function selectMood(mood) {
-    if (!currentUser) {
-        showToast('Please login first! 🔒', 'error');
-        return;
+// The moods from /api/moods, hidden ones included so old check-ins keep their emoji and colours.
+// A copy is kept for offline visits.
+const MOODS_STORAGE_KEY = 'foodswing_moods';
+let moods = [];
+
+async function loadMoods() {
+    try {
+        const response = await apiRequest('/moods');
+        moods = response.moods;
+        localStorage.setItem(MOODS_STORAGE_KEY, JSON.stringify(moods));
+    } catch (error) {
+        moods = JSON.parse(localStorage.getItem(MOODS_STORAGE_KEY) || '[]');
     }
 
-    // Track mood selection in backend
+    renderMoodPickers();
+}
+
+// The moods that can be picked, in menu order
+function getActiveMoods() {
+    return moods.filter(mood => mood.active);
+}
+
+// A mood that is no longer on the server still gets a neutral look
+function getMood(key) {
+    return moods.find(mood => mood.key === key) || {
+        key,
+        label: key,
+        emoji: '📝',
+        gradient: { from: '#ff69b4', to: '#ff1493' },
+        color: '#ff69b4',
+        valence: 0,
+        healing: {}
+    };
+}
+
+function getMoodGradient(key) {
+    const { gradient } = getMood(key);
+    return `linear-gradient(135deg, ${gradient.from} 0%, ${gradient.to} 100%)`;
+}
+
+// The mood cards on the home page and the journal's mood menu
+function renderMoodPickers() {
+    document.getElementById('moodsGrid').innerHTML = getActiveMoods().map(mood => `
+        <div class="mood-card" style="background: ${getMoodGradient(mood.key)}" data-mood="${escapeHtml(mood.key)}" onclick="selectMood(this.dataset.mood)">
+            <div class="mood-emoji ${escapeHtml(mood.animation)}">${escapeHtml(mood.emoji)}</div>
+            <h3>${escapeHtml(mood.label)}</h3>
+            <p>${escapeHtml(mood.tagline)}</p>
+        </div>
+    `).join('');
+
+    document.getElementById('journalMood').innerHTML = getActiveMoods().map(mood => `
+        <option value="${escapeHtml(mood.key)}">${escapeHtml(mood.emoji)} ${escapeHtml(mood.label)}</option>
+    `).join('');
+}
+
+async function selectMood(mood) {
+    // Track mood selection in backend, or keep it for later when offline
+    const selection = { mood, timestamp: new Date().toISOString() };
     try {
         await apiRequest('/mood/select', {
             method: 'POST',
-            body: JSON.stringify({ mood })
+            body: JSON.stringify(selection)
         });
     } catch (error) {
-        console.error('Failed to track mood:', error);
+        if (error.offline) {
+            await queueOfflineAction('/mood/select', selection);
+            showToast('Offline: your mood is saved and will sync later 📡', 'info');
+        } else {
+            console.error('Failed to track mood:', error);
+        }
         // Don't block the user experience if tracking fails
     }
 
     // Show food suggestions
-    displayFoodSuggestions(mood);
+    navigate(`/mood/${mood}`);
 }
 
 // ============= FOOD SUGGESTIONS =============
 
-const foodDatabase = {
-    happy: [
-        { name: "Pizza Party", emoji: "🍕", description: "Celebrate with a classic!", category: "Italian" },
-        { name: "Ice Cream Sundae", emoji: "🍦", description: "Sweet moments!", category: "Dessert" },
-        { name: "Sushi Rolls", emoji: "🍣", description: "Fresh and delightful", category: "Japanese" },
-        { name: "Birthday Cake", emoji: "🎂", description: "Every day's a celebration!", category: "Dessert" },
-        { name: "Tacos", emoji: "🌮", description: "Fiesta vibes!", category: "Mexican" },
-        { name: "Fruit Salad", emoji: "🍓", description: "Refreshing happiness", category: "Healthy" },
-        { name: "Smoothie Bowl", emoji: "🥣", description: "Colorful energy", category: "Healthy" },
-        { name: "Donuts", emoji: "🍩", description: "Sweet circle of joy", category: "Dessert" }
-    ],
-    sad: [
-        { name: "Mac & Cheese", emoji: "🧀", description: "Ultimate comfort food", category: "Comfort" },
-        { name: "Hot Chocolate", emoji: "☕", description: "Warm hugs in a mug", category: "Beverage" },
-        { name: "Chicken Soup", emoji: "🍲", description: "Healing warmth", category: "Comfort" },
-        { name: "Mashed Potatoes", emoji: "🥔", description: "Soft and soothing", category: "Comfort" },
-        { name: "Chocolate Cake", emoji: "🍫", description: "Sweet therapy", category: "Dessert" },
-        { name: "Grilled Cheese", emoji: "🧀", description: "Melty goodness", category: "Comfort" },
-        { name: "Ramen", emoji: "🍜", description: "Slurp your sorrows away", category: "Asian" },
-        { name: "Cookies", emoji: "🍪", description: "Bite-sized happiness", category: "Dessert" }
-    ],
-    angry: [
-        { name: "Spicy Wings", emoji: "🍗", description: "Fire meets fire!", category: "Spicy" },
-        { name: "Hot Curry", emoji: "🍛", description: "Release the heat", category: "Indian" },
-        { name: "Jalapeño Poppers", emoji: "🌶️", description: "Explosive flavor", category: "Spicy" },
-        { name: "Spicy Ramen", emoji: "🍜", description: "Burn the anger away", category: "Asian" },
-        { name: "Buffalo Chicken", emoji: "🍗", description: "Fiery satisfaction", category: "Spicy" },
-        { name: "Sriracha Noodles", emoji: "🍝", description: "Spice therapy", category: "Spicy" },
-        { name: "Hot Salsa", emoji: "🌶️", description: "Chip away the anger", category: "Mexican" },
-        { name: "Wasabi Sushi", emoji: "🍣", description: "Clear your mind", category: "Japanese" }
-    ],
-    stressed: [
-        { name: "Dark Chocolate", emoji: "🍫", description: "Stress relief in a bite", category: "Dessert" },
-        { name: "Green Tea", emoji: "🍵", description: "Zen in a cup", category: "Beverage" },
-        { name: "Salmon", emoji: "🐟", description: "Omega-3 calm", category: "Healthy" },
-        { name: "Avocado Toast", emoji: "🥑", description: "Smooth operator", category: "Healthy" },
-        { name: "Nuts Mix", emoji: "🥜", description: "Crunchy stress relief", category: "Snack" },
-        { name: "Chamomile Tea", emoji: "☕", description: "Peaceful sips", category: "Beverage" },
-        { name: "Berries", emoji: "🫐", description: "Antioxidant boost", category: "Healthy" },
-        { name: "Yogurt Parfait", emoji: "🥣", description: "Calming layers", category: "Healthy" }
-    ],
-    excited: [
-        { name: "Energy Bowl", emoji: "🥗", description: "Fuel your adventure!", category: "Healthy" },
-        { name: "Burger Combo", emoji: "🍔", description: "Big bold flavors", category: "Fast Food" },
-        { name: "Pasta Carbonara", emoji: "🍝", description: "Rich excitement", category: "Italian" },
-        { name: "BBQ Ribs", emoji: "🍖", description: "Party starter", category: "BBQ" },
-        { name: "Nachos", emoji: "🧀", description: "Share the joy", category: "Mexican" },
-        { name: "Fried Chicken", emoji: "🍗", description: "Crispy celebration", category: "Comfort" },
-        { name: "Milkshake", emoji: "🥤", description: "Sweet rush", category: "Beverage" },
-        { name: "Spring Rolls", emoji: "🥢", description: "Fresh excitement", category: "Asian" }
-    ]
-};
+// Mood the food grid is currently showing (sent along with feedback)
+let currentMood = null;
 
-const healingMessages = {
-    sad: {
-        title: "💙 We're Here For You",
-        description: "It's okay to feel sad sometimes. These comfort foods are scientifically proven to boost serotonin levels and provide emotional warmth. Remember, this feeling is temporary, and brighter days are ahead.",
-        tips: [
-            "💭 Take deep breaths and be kind to yourself",
-            "🤗 Reach out to a friend or loved one",
-            "🌟 Focus on one small positive thing today",
-            "🎵 Listen to your favorite uplifting music"
-        ]
-    },
-    angry: {
-        title: "🔥 Channel That Energy",
-        description: "Anger is a natural emotion. These spicy foods can help release endorphins and provide a healthy outlet for your feelings. Transform that fire into fuel for positive action.",
-        tips: [
-            "🏃 Get some physical exercise to release tension",
-            "📝 Write down what's bothering you",
-            "🧘 Try 5 minutes of meditation",
-            "💪 Use this energy for something productive"
-        ]
-    },
-    stressed: {
-        title: "🌊 Take a Breath",
-        description: "Stress is overwhelming, but you've got this. These foods contain natural stress-reducing compounds that can help your body and mind relax. One step at a time.",
-        tips: [
-            "⏰ Take a 5-minute break right now",
-            "📋 Write a to-do list to clear your mind",
-            "🛀 Plan a relaxing activity for later",
-            "🙅 It's okay to say no to extra commitments"
-        ]
+// Load foods from the catalog API, optionally filtered by mood
+async function fetchFoods(mood) {
+    const params = getFoodFilterParams();
+    if (mood) params.set('mood', mood);
+
+    try {
+        const response = await apiRequest(`/foods?${params}`);
+        return response.foods || [];
+    } catch (error) {
+        // Offline: answer from the copy of the catalog saved at login
+        if (!error.offline) throw error;
+        const catalog = await loadOfflineCatalog();
+        if (!catalog.length) throw error;
+        return filterOfflineFoods(catalog, params);
     }
-};
+}
+
+// Load personalized, scored suggestions for a mood
+async function fetchRecommendations(mood) {
+    const params = getFoodFilterParams();
+    params.set('mood', mood);
+
+    const response = await apiRequest(`/recommendations?${params}`);
+    return response.recommendations || [];
+}
+
+// ============= ALLERGENS & NUTRITION =============
+
+// Same allergen names as the server
+const allergenOptions = ['dairy', 'eggs', 'gluten', 'nuts', 'peanuts', 'soy', 'fish', 'shellfish', 'sesame'];
+
+// Filters chosen on the home page, passed to every food request
+function getFoodFilterParams() {
+    const params = new URLSearchParams();
+    const excluded = getCheckedValues('allergenFilters');
+    const maxCalories = document.getElementById('maxCaloriesFilter').value;
+
+    if (excluded.length) params.set('excludeAllergens', excluded.join(','));
+    if (maxCalories) params.set('maxCalories', maxCalories);
+
+    return params;
+}
+
+// Re-run the current suggestions when the filters change
+function refreshFoodSuggestions() {
+    if (currentMood) {
+        displayFoodSuggestions(currentMood);
+    }
+}
+
+function renderAllergenBadges(food) {
+    if (!food.allergens || food.allergens.length === 0) return '';
+
+    return `
+        <div class="allergen-badges" title="Contains allergens">
+            ${food.allergens.map(allergen => `<span class="allergen-badge">⚠️ ${escapeHtml(allergen)}</span>`).join('')}
+        </div>
+    `;
+}
+
+function renderNutritionPanel(food) {
+    const nutrition = food.nutrition;
+    if (!nutrition || nutrition.calories === undefined) return '';
+
+    return `
+        <div class="nutrition-grid">
+            <div><strong>${nutrition.calories}</strong><span>kcal</span></div>
+            <div><strong>${nutrition.protein}g</strong><span>protein</span></div>
+            <div><strong>${nutrition.carbs}g</strong><span>carbs</span></div>
+            <div><strong>${nutrition.fat}g</strong><span>fat</span></div>
+            <div><strong>${nutrition.fiber}g</strong><span>fiber</span></div>
+            <div><strong>${nutrition.sugar}g</strong><span>sugar</span></div>
+        </div>
+        ${nutrition.nutrients.length ? `<p class="nutrition-nutrients">✨ Rich in ${nutrition.nutrients.map(escapeHtml).join(', ')}</p>` : ''}
+    `;
+}
+
+function toggleNutrition(button) {
+    const panel = button.closest('.food-card').querySelector('.nutrition-panel');
+    panel.classList.toggle('hidden');
+    button.classList.toggle('selected');
+}
 
 /* ============================================
    SURPRISE ME FEATURE - ADD TO script.js
-   (Add this code after the foodDatabase object)
    ============================================ */
 
 // Surprise Me - Random Food Generator
-function surpriseMe() {
-    if (!currentUser) {
-        showToast('Please login first! 🔒', 'error');
+async function surpriseMe() {
+    // Get all foods from the catalog
+    let allFoods;
+    try {
+        allFoods = await fetchFoods();
+    } catch (error) {
+        showToast('Could not load foods! 😕', 'error');
         return;
     }
 
-    // Get all foods from all moods
-    const allFoods = [];
-    const allMoods = Object.keys(foodDatabase);
-    
-    allMoods.forEach(mood => {
-        foodDatabase[mood].forEach(food => {
-            allFoods.push({ ...food, mood: mood });
-        });
-    });
+    if (allFoods.length === 0) {
+        showToast('No foods available yet! 🍽️', 'info');
+        return;
+    }
 
-    // Pick a random food
-    const randomFood = allFoods[Math.floor(Math.random() * allFoods.length)];
+    // Pick a random food and one of its moods
+    const food = allFoods[Math.floor(Math.random() * allFoods.length)];
+    const foodMoods = food.moods && food.moods.length ? food.moods : getActiveMoods().map(mood => mood.key);
+    const randomFood = { ...food, mood: foodMoods[Math.floor(Math.random() * foodMoods.length)] };
     
     // Display in a special modal/popup
     showSurpriseModal(randomFood);
@@ -368,23 +904,7 @@ function showSurpriseModal(food) {
         existingModal.remove();
     }
 
-    // Get mood emoji
-    const moodEmojis = {
-        happy: '😊',
-        sad: '😢',
-        angry: '😠',
-        stressed: '😰',
-        excited: '🤩'
-    };
-
-    // Get mood color
-    const moodColors = {
-        happy: 'linear-gradient(135deg, #ffb6c1 0%, #ff69b4 100%)',
-        sad: 'linear-gradient(135deg, #dda0dd 0%, #ba55d3 100%)',
-        angry: 'linear-gradient(135deg, #ff69b4 0%, #ff1493 100%)',
-        stressed: 'linear-gradient(135deg, #ffb6d9 0%, #ff85c0 100%)',
-        excited: 'linear-gradient(135deg, #ff77ff 0%, #ff1493 100%)'
-    };
+    const mood = getMood(food.mood);
 
     // Create modal
     const modal = document.createElement('div');
@@ -396,21 +916,27 @@ function showSurpriseModal(food) {
             <div class="surprise-header">
                 <h2>🎉 Your Surprise Food! 🎉</h2>
             </div>
-            <div class="surprise-food-card" style="background: ${moodColors[food.mood]}">
-                <div class="surprise-emoji">${food.emoji}</div>
-                <h3 class="surprise-food-name">${food.name}</h3>
-                <p class="surprise-food-description">${food.description}</p>
+            <div class="surprise-food-card" style="background: ${getMoodGradient(food.mood)}">
+                ${renderFavoriteIcon(food)}
+                <div class="surprise-emoji">${escapeHtml(food.emoji)}</div>
+                <h3 class="surprise-food-name">${escapeHtml(food.name)}</h3>
+                <p class="surprise-food-description">${escapeHtml(food.description)}</p>
                 <div class="surprise-tags">
-                    <span class="surprise-tag category-tag">${food.category}</span>
-                    <span class="surprise-tag mood-tag">${moodEmojis[food.mood]} ${food.mood}</span>
+                    <span class="surprise-tag category-tag">${escapeHtml(food.category)}</span>
+                    <span class="surprise-tag mood-tag">${escapeHtml(mood.emoji)} ${escapeHtml(mood.label)}</span>
                 </div>
+                ${renderAllergenBadges(food)}
+                <div class="nutrition-panel">${renderNutritionPanel(food)}</div>
             </div>
             <div class="surprise-actions">
-                <button class="surprise-btn surprise-again" onclick="surpriseMe()">
+                <button class="surprise-btn surprise-again" onclick="navigate('/surprise')">
                     🎲 Surprise Me Again!
                 </button>
-                <button class="surprise-btn surprise-view-mood" onclick="viewMoodFromSurprise('${food.mood}')">
-                    View All ${food.mood} Foods
+                <button class="surprise-btn surprise-recipe" onclick="closeSurpriseModal(); openRecipe('${food._id}')">
+                    🍳 Get the Recipe
+                </button>
+                <button class="surprise-btn surprise-view-mood" data-mood="${escapeHtml(food.mood)}" onclick="viewMoodFromSurprise(this.dataset.mood)">
+                    View All ${escapeHtml(mood.label)} Foods
                 </button>
             </div>
         </div>
@@ -428,6 +954,12 @@ function closeSurpriseModal() {
         modal.classList.remove('show');
         setTimeout(() => modal.remove(), 300);
     }
+
+    // Leave #/surprise quietly so a reload doesn't pick another food
+    if (currentPath() === '/surprise') {
+        history.replaceState(null, '', '#/home');
+        renderedPath = '/home';
+    }
 }
 
 function viewMoodFromSurprise(mood) {
@@ -439,33 +971,32 @@ function viewMoodFromSurprise(mood) {
 document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
         closeSurpriseModal();
+        closeRecipeModal();
     }
 });
 
-function displayFoodSuggestions(mood) {
+function hideFoodSuggestions() {
+    currentMood = null;
+    document.getElementById('foodSuggestions').classList.add('hidden');
+}
+
+async function displayFoodSuggestions(mood) {
     const suggestionsDiv = document.getElementById('foodSuggestions');
     const titleDiv = document.getElementById('suggestionTitle');
     const foodGrid = document.getElementById('foodGrid');
     const healingMessage = document.getElementById('healingMessage');
+    currentMood = mood;
 
     // Set title with emoji
-    const moodEmojis = {
-        happy: '😊',
-        sad: '😢',
-        angry: '😠',
-        stressed: '😰',
-        excited: '🤩'
-    };
-
-    titleDiv.innerHTML = `${moodEmojis[mood]} Perfect for when you're feeling ${mood}!`;
+    const { emoji, label, healing, valence } = getMood(mood);
+    titleDiv.textContent = `${emoji} Perfect for when you're feeling ${label.toLowerCase()}!`;
 
-    // Show/hide healing message for negative moods
-    if (healingMessages[mood]) {
-        const message = healingMessages[mood];
-        document.getElementById('healingTitle').textContent = message.title;
-        document.getElementById('healingDescription').textContent = message.description;
+    // Show/hide the healing message (moods with healing copy, e.g. sad or stressed)
+    if (healing && healing.title) {
+        document.getElementById('healingTitle').textContent = healing.title;
+        document.getElementById('healingDescription').textContent = healing.description;
         
-        const tipsHtml = message.tips.map(tip => `<div class="healing-tip">${tip}</div>`).join('');
+        const tipsHtml = healing.tips.map(tip => `<div class="healing-tip">${escapeHtml(tip)}</div>`).join('');
         document.getElementById('healingTips').innerHTML = tipsHtml;
         
         healingMessage.classList.remove('hidden');
@@ -473,14 +1004,43 @@ function displayFoodSuggestions(mood) {
         healingMessage.classList.add('hidden');
     }
 
-    // Display food suggestions
-    const foods = foodDatabase[mood];
+    // Display food suggestions (personalized, falling back to the plain catalog)
+    let foods;
+    try {
+        foods = await fetchRecommendations(mood);
+    } catch (error) {
+        try {
+            foods = await fetchFoods(mood);
+        } catch (fallbackError) {
+            showToast('Could not load food suggestions! 😕', 'error');
+            return;
+        }
+    }
+
     foodGrid.innerHTML = foods.map(food => `
-        <div class="food-card food-item" style="background: linear-gradient(135deg, ${getMoodColor(mood)})">
-            <div class="food-emoji">${food.emoji}</div>
-            <h3>${food.name}</h3>
-            <p class="food-description">${food.description}</p>
-            <span class="food-category">${food.category}</span>
+        <div class="food-card food-item" style="background: ${getMoodGradient(mood)}">
+            ${renderFavoriteIcon(food)}
+            <div class="food-emoji">${escapeHtml(food.emoji)}</div>
+            <h3>${escapeHtml(food.name)}</h3>
+            <p class="food-description">${escapeHtml(food.description)}</p>
+            <span class="food-category">${escapeHtml(food.category)}</span>
+            ${food.reason ? `<p class="food-reason">${escapeHtml(food.reason)}</p>` : ''}
+            ${renderAllergenBadges(food)}
+            <button class="recipe-btn" onclick="openRecipe('${food._id}')">🍳 View Recipe</button>
+            <div class="nutrition-panel hidden">${renderNutritionPanel(food)}</div>
+            <div class="food-feedback">
+                <button class="feedback-btn" title="Nutrition" onclick="toggleNutrition(this)">📊</button>
+                <button class="feedback-btn" title="Good suggestion" onclick="sendFoodFeedback(this, '${food._id}', { vote: 'up' })">👍</button>
+                <button class="feedback-btn" title="Not for me" onclick="sendFoodFeedback(this, '${food._id}', { vote: 'down' })">👎</button>
+                <button class="feedback-btn" title="I ate this" onclick="showMoodAfter(this)">🍽️</button>
+                <button class="feedback-btn" title="Add to a list" onclick="showCollectionPicker(this, '${food._id}')">📁</button>
+            </div>
+            <div class="collection-picker hidden"></div>
+            <div class="mood-after hidden">
+                <p>How do you feel now?</p>
+                ${moodAfterOptions.map((emoji, i) => `<button class="feedback-btn" onclick="sendFoodFeedback(this, '${food._id}', { ate: true, moodAfter: ${i + 1} })">${emoji}</button>`).join('')}
+                <button class="feedback-skip" onclick="sendFoodFeedback(this, '${food._id}', { ate: true })">Skip</button>
+            </div>
         </div>
     `).join('');
 
@@ -488,21 +1048,437 @@ function displayFoodSuggestions(mood) {
     suggestionsDiv.classList.remove('hidden');
     suggestionsDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 
-    // Trigger confetti for positive moods
-    if (mood === 'happy' || mood === 'excited') {
+    // Trigger confetti for clearly pleasant moods
+    if (valence >= 0.5) {
         triggerConfetti();
     }
 }
 
-function getMoodColor(mood) {
-    const colors = {
-        happy: '#ffb6c1 0%, #ff69b4 100%',
-        sad: '#dda0dd 0%, #ba55d3 100%',
-        angry: '#ff69b4 0%, #ff1493 100%',
-        stressed: '#ffb6d9 0%, #ff85c0 100%',
-        excited: '#ff77ff 0%, #ff1493 100%'
-    };
-    return colors[mood] || '#ff69b4 0%, #ff1493 100%';
+// ============= RECIPES =============
+
+let currentRecipe = null;
+let recipeServings = 1;
+
+const difficultyLabels = {
+    easy: '🟢 Easy',
+    medium: '🟡 Medium',
+    hard: '🔴 Hard'
+};
+
+async function openRecipe(foodId) {
+    try {
+        const response = await apiRequest(`/foods/${foodId}/recipe`);
+        currentRecipe = response.recipe;
+        recipeServings = currentRecipe.servings;
+        showRecipeModal();
+    } catch (error) {
+        if (error.status === 404) {
+            showToast('No recipe for this one yet! 📝', 'info');
+        } else {
+            showToast('Could not load the recipe! 😕', 'error');
+        }
+    }
+}
+
+function showRecipeModal() {
+    closeRecipeModal();
+
+    const recipe = currentRecipe;
+    const food = recipe.foodId;
+    const totalTime = recipe.prepTime + recipe.cookTime;
+
+    const modal = document.createElement('div');
+    modal.className = 'recipe-modal';
+    modal.innerHTML = `
+        <div class="recipe-overlay" onclick="closeRecipeModal()"></div>
+        <div class="recipe-content">
+            <button class="recipe-close" onclick="closeRecipeModal()">×</button>
+            <div class="recipe-header">
+                <div class="recipe-emoji">${escapeHtml(food.emoji)}</div>
+                <h2>${escapeHtml(food.name)}</h2>
+                <p>${escapeHtml(food.description)}</p>
+                <div class="recipe-meta">
+                    <span>🔪 Prep ${recipe.prepTime} min</span>
+                    <span>🔥 Cook ${recipe.cookTime} min</span>
+                    <span>⏱️ Total ${totalTime} min</span>
+                    <span>${difficultyLabels[recipe.difficulty]}</span>
+                </div>
+            </div>
+            <div class="recipe-body">
+                <div>
+                    <h3>🛒 Ingredients</h3>
+                    <div class="servings-control">
+                        <button onclick="changeRecipeServings(-1)" title="Fewer servings">−</button>
+                        <span id="recipeServings"></span>
+                        <button onclick="changeRecipeServings(1)" title="More servings">+</button>
+                    </div>
+                    <ul class="ingredient-list" id="recipeIngredients"></ul>
+                </div>
+                <div>
+                    <h3>👩‍🍳 Method</h3>
+                    <ol class="step-list">
+                        ${recipe.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}
+                    </ol>
+                </div>
+            </div>
+            <div class="recipe-actions">
+                <button class="surprise-btn surprise-again" onclick="window.print()">🖨️ Print Recipe</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.classList.add('recipe-open');
+    renderRecipeIngredients();
+
+    // Animate in
+    setTimeout(() => modal.classList.add('show'), 10);
+}
+
+function closeRecipeModal() {
+    const modal = document.querySelector('.recipe-modal');
+    if (modal) {
+        modal.classList.remove('show');
+        document.body.classList.remove('recipe-open');
+        setTimeout(() => modal.remove(), 300);
+    }
+}
+
+function changeRecipeServings(delta) {
+    recipeServings = Math.min(50, Math.max(1, recipeServings + delta));
+    renderRecipeIngredients();
+}
+
+// Scale every ingredient from the recipe's own servings to the chosen number
+function renderRecipeIngredients() {
+    const scale = recipeServings / currentRecipe.servings;
+
+    document.getElementById('recipeServings').textContent =
+        `${recipeServings} ${recipeServings === 1 ? 'serving' : 'servings'}`;
+
+    document.getElementById('recipeIngredients').innerHTML = currentRecipe.ingredients.map(item => {
+        const amount = item.quantity === undefined || item.quantity === null
+            ? ''
+            : `${formatQuantity(item.quantity * scale)} ${escapeHtml(item.unit)}`.trim();
+
+        return `<li><span class="ingredient-amount">${amount}</span>${escapeHtml(item.name)}</li>`;
+    }).join('');
+}
+
+// 1.5 -> "1½", 0.333 -> "⅓", 12.4 -> "12"
+function formatQuantity(value) {
+    const fractions = { 0.25: '¼', 0.33: '⅓', 0.5: '½', 0.67: '⅔', 0.75: '¾' };
+
+    if (value >= 10) return String(Math.round(value));
+
+    const whole = Math.floor(value);
+    const rest = Math.round((value - whole) * 100) / 100;
+
+    if (rest === 0) return String(whole);
+    if (fractions[rest]) return `${whole || ''}${fractions[rest]}`;
+    return String(Math.round(value * 10) / 10);
+}
+
+// ============= FAVORITES & COLLECTIONS =============
+
+// The user's lists; the built-in Favorites list comes first
+let collections = [];
+
+async function loadCollections() {
+    const response = await apiRequest('/collections');
+    collections = response.collections;
+    updateFavoriteCount();
+}
+
+function getFavoritesCollection() {
+    return collections.find(collection => collection.isFavorites);
+}
+
+function isFavorite(foodId) {
+    const favorites = getFavoritesCollection();
+    return Boolean(favorites && favorites.foods.some(food => food._id === foodId));
+}
+
+function updateFavoriteCount() {
+    const badge = document.getElementById('favoriteCount');
+    const favorites = getFavoritesCollection();
+    const count = favorites ? favorites.foods.length : 0;
+
+    badge.textContent = count;
+    badge.classList.toggle('hidden', count === 0);
+}
+
+function renderFavoriteIcon(food) {
+    const favorited = isFavorite(food._id);
+    return `<span class="favorite-icon ${favorited ? 'favorited' : ''}" title="${favorited ? 'Remove from favorites' : 'Add to favorites'}" onclick="toggleFavorite(this, '${food._id}')">${favorited ? '❤️' : '🤍'}</span>`;
+}
+
+async function toggleFavorite(icon, foodId) {
+    const favorited = isFavorite(foodId);
+
+    try {
+        const response = favorited
+            ? await apiRequest(`/collections/favorites/foods/${foodId}`, { method: 'DELETE' })
+            : await apiRequest('/collections/favorites/foods', {
+                method: 'POST',
+                body: JSON.stringify({ foodId })
+            });
+
+        await loadCollections();
+
+        icon.textContent = favorited ? '🤍' : '❤️';
+        icon.title = favorited ? 'Add to favorites' : 'Remove from favorites';
+        icon.classList.toggle('favorited', !favorited);
+        icon.classList.toggle('just-added', !favorited);
+        showToast(response.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Could not update favorites! 😕', 'error');
+    }
+}
+
+// Show the user's own lists under a food card
+function showCollectionPicker(button, foodId) {
+    const picker = button.closest('.food-card').querySelector('.collection-picker');
+    const lists = collections.filter(collection => !collection.isFavorites);
+
+    picker.innerHTML = lists.length
+        ? `<p>Add to...</p>${lists.map(list => `<button class="feedback-skip" onclick="addToCollection('${list._id}', '${foodId}')">📁 ${escapeHtml(list.name)}</button>`).join('')}`
+        : `<p>No lists yet! <a href="#/favorites">Create one</a></p>`;
+
+    picker.classList.toggle('hidden');
+}
+
+async function addToCollection(collectionId, foodId) {
+    try {
+        const response = await apiRequest(`/collections/${collectionId}/foods`, {
+            method: 'POST',
+            body: JSON.stringify({ foodId })
+        });
+        showToast(response.message, 'success');
+        await loadCollections();
+    } catch (error) {
+        showToast(error.message || 'Could not save to list! 😕', 'error');
+    }
+}
+
+async function loadFavoritesPage() {
+    const list = document.getElementById('collectionsList');
+
+    try {
+        await loadCollections();
+    } catch (error) {
+        list.innerHTML = '<p class="journal-empty">Could not load your favorites 😕</p>';
+        return;
+    }
+
+    const hasAnything = collections.some(collection => !collection.isFavorites || collection.foods.length);
+    if (!hasAnything) {
+        list.innerHTML = `
+            <div class="empty-favorites">
+                <div class="empty-icon">💝</div>
+                <h2>No favorites yet</h2>
+                <p>Tap the 🤍 on any food suggestion to keep it here, or create a list above for things like exam week snacks.</p>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = collections.map(collection => `
+        <div class="favorites-section">
+            <h2 class="favorites-mood-title">${collection.isFavorites ? '❤️' : '📁'} ${escapeHtml(collection.name)} <span class="collection-count">${collection.foods.length}</span></h2>
+            ${collection.description ? `<p class="collection-description">${escapeHtml(collection.description)}</p>` : ''}
+            <div class="collection-actions">
+                ${collection.shareUrl
+                    ? `<button class="journal-filter-btn" data-url="${escapeHtml(collection.shareUrl)}" onclick="copyShareLink(this.dataset.url)">🔗 Copy link</button>
+                       <button class="journal-filter-btn" onclick="unshareCollection('${collection._id}')">🚫 Stop sharing</button>`
+                    : `<button class="journal-filter-btn" onclick="shareCollection('${collection._id}')">🔗 Share</button>`}
+                ${collection.isFavorites ? '' : `
+                    <button class="journal-filter-btn" onclick="renameCollection('${collection._id}')">✏️ Rename</button>
+                    <button class="journal-filter-btn" onclick="deleteCollection('${collection._id}')">🗑️ Delete</button>
+                `}
+            </div>
+            ${collection.foods.length
+                ? `<div class="collection-foods">${collection.foods.map(food => renderCollectionFood(food, collection._id)).join('')}</div>`
+                : '<p class="collection-empty">Nothing here yet</p>'}
+        </div>
+    `).join('');
+}
+
+// Small food card; read-only when there is no collection to remove it from
+function renderCollectionFood(food, collectionId) {
+    return `
+        <div class="collection-food">
+            <div class="collection-food-emoji">${escapeHtml(food.emoji)}</div>
+            <h3>${escapeHtml(food.name)}</h3>
+            <span class="food-category">${escapeHtml(food.category)}</span>
+            <div class="collection-food-actions">
+                <button class="feedback-btn" title="Recipe" onclick="openRecipe('${food._id}')">🍳</button>
+                ${collectionId ? `<button class="feedback-btn" title="Remove" onclick="removeFromCollection('${collectionId}', '${food._id}')">✖️</button>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+async function createCollection() {
+    const nameInput = document.getElementById('collectionName');
+    const descriptionInput = document.getElementById('collectionDescription');
+    const name = nameInput.value.trim();
+    const inputs = { name: 'collectionName', description: 'collectionDescription' };
+
+    if (!checkFormFields(name ? {} : { name: 'Please give your list a name! 📁' }, inputs)) return;
+
+    try {
+        const response = await apiRequest('/collections', {
+            method: 'POST',
+            body: JSON.stringify({ name, description: descriptionInput.value.trim() })
+        });
+        showToast(response.message, 'success');
+        nameInput.value = '';
+        descriptionInput.value = '';
+        loadFavoritesPage();
+    } catch (error) {
+        showFieldErrors(error.fields, inputs);
+        showToast(error.message || 'Could not create list! 😕', 'error');
+    }
+}
+
+async function renameCollection(id) {
+    const collection = collections.find(item => item._id === id);
+    const name = prompt('New name for this list:', collection.name);
+    if (!name || !name.trim()) return;
+
+    try {
+        const response = await apiRequest(`/collections/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ name: name.trim() })
+        });
+        showToast(response.message, 'success');
+        loadFavoritesPage();
+    } catch (error) {
+        showToast(error.message || 'Could not rename list! 😕', 'error');
+    }
+}
+
+async function deleteCollection(id) {
+    if (!confirm('Delete this list? The foods themselves stay in the app.')) return;
+
+    try {
+        const response = await apiRequest(`/collections/${id}`, { method: 'DELETE' });
+        showToast(response.message, 'success');
+        loadFavoritesPage();
+    } catch (error) {
+        showToast(error.message || 'Could not delete list! 😕', 'error');
+    }
+}
+
+async function removeFromCollection(collectionId, foodId) {
+    try {
+        const response = await apiRequest(`/collections/${collectionId}/foods/${foodId}`, { method: 'DELETE' });
+        showToast(response.message, 'success');
+        loadFavoritesPage();
+    } catch (error) {
+        showToast(error.message || 'Could not remove food! 😕', 'error');
+    }
+}
+
+async function shareCollection(id) {
+    try {
+        const response = await apiRequest(`/collections/${id}/share`, { method: 'POST' });
+        await copyShareLink(response.shareUrl);
+        loadFavoritesPage();
+    } catch (error) {
+        showToast(error.message || 'Could not share list! 😕', 'error');
+    }
+}
+
+async function unshareCollection(id) {
+    try {
+        const response = await apiRequest(`/collections/${id}/share`, { method: 'DELETE' });
+        showToast(response.message, 'success');
+        loadFavoritesPage();
+    } catch (error) {
+        showToast(error.message || 'Could not turn off sharing! 😕', 'error');
+    }
+}
+
+async function copyShareLink(url) {
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast('Share link copied! 🔗', 'success');
+    } catch (error) {
+        prompt('Copy this link to share your list:', url);
+    }
+}
+
+// Share links from the API look like ?collection=<token>; open them as #/shared/<token>
+function redirectSharedCollectionLink() {
+    const token = new URLSearchParams(window.location.search).get('collection');
+    if (!token) return;
+
+    history.replaceState(null, '', `${window.location.pathname}#/shared/${encodeURIComponent(token)}`);
+}
+
+// Read-only view of someone's shared list
+async function loadSharedCollection(token) {
+    const container = document.getElementById('sharedCollection');
+
+    try {
+        const response = await apiRequest(`/collections/shared/${encodeURIComponent(token)}`);
+        const collection = response.collection;
+
+        container.innerHTML = `
+            <h1 class="page-title">📁 ${escapeHtml(collection.name)}</h1>
+            <p class="page-intro">${collection.owner ? `Shared by ${escapeHtml(collection.owner)}` : 'A shared FoodSwing list'}</p>
+            ${collection.description ? `<p class="collection-description">${escapeHtml(collection.description)}</p>` : ''}
+            ${collection.foods.length
+                ? `<div class="collection-foods">${collection.foods.map(food => renderCollectionFood(food)).join('')}</div>`
+                : '<p class="collection-empty">This list is empty</p>'}
+            <button class="submit-btn" onclick="navigate('/')">Open FoodSwing 🍔</button>
+        `;
+    } catch (error) {
+        container.innerHTML = `
+            <div class="empty-favorites">
+                <div class="empty-icon">🔒</div>
+                <h2>List not available</h2>
+                <p>This link has been turned off or never existed.</p>
+                <button class="submit-btn" onclick="navigate('/')">Open FoodSwing 🍔</button>
+            </div>
+        `;
+    }
+}
+
+// ============= FOOD FEEDBACK =============
+
+// Mood-after scale, from 1 (much worse) to 5 (much better)
+const moodAfterOptions = ['😞', '😕', '😐', '🙂', '😄'];
+
+function showMoodAfter(button) {
+    const card = button.closest('.food-card');
+    card.querySelector('.mood-after').classList.remove('hidden');
+}
+
+async function sendFoodFeedback(button, foodId, feedback) {
+    const card = button.closest('.food-card');
+
+    try {
+        const response = await apiRequest(`/foods/${foodId}/feedback`, {
+            method: 'POST',
+            body: JSON.stringify({ ...feedback, mood: currentMood })
+        });
+
+        if (feedback.vote) {
+            card.querySelectorAll('.food-feedback .feedback-btn').forEach(btn => btn.classList.remove('selected'));
+            button.classList.add('selected');
+        }
+
+        if (feedback.ate) {
+            card.querySelector('.mood-after').classList.add('hidden');
+        }
+
+        showToast(response.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Failed to save feedback! 😕', 'error');
+    }
 }
 
 function shuffleFoods() {
@@ -518,78 +1494,2047 @@ function shuffleFoods() {
     showToast('Shuffled! 🎲', 'success');
 }
 
-// ============= CONTACT FORM =============
+// ============= MEAL PLANNER =============
 
-async function submitContact() {
-    const name = document.getElementById('contactName').value.trim();
-    const email = document.getElementById('contactEmail').value.trim();
-    const message = document.getElementById('contactMessage').value.trim();
+const plannerMeals = ['breakfast', 'lunch', 'dinner', 'snack'];
+const plannerMealLabels = {
+    breakfast: '🌅 Breakfast',
+    lunch: '🥪 Lunch',
+    dinner: '🍽️ Dinner',
+    snack: '🍪 Snack'
+};
+const plannerDays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
 
-    if (!name || !email || !message) {
-        showToast('Please fill in all fields! 📝', 'error');
-        return;
-    }
+let plannerWeekStart = null; // Monday, YYYY-MM-DD
+let plannerFoods = [];
+let plannerPredictions = null;
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-        showToast('Please enter a valid email! 📧', 'error');
-        return;
+// Monday of the week containing a date, as YYYY-MM-DD (local time)
+function getWeekStart(date) {
+    const monday = new Date(date);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return `${monday.getFullYear()}-${String(monday.getMonth() + 1).padStart(2, '0')}-${String(monday.getDate()).padStart(2, '0')}`;
+}
+
+// Date of a plan day (0 = Monday) as a UTC date, for display only
+function getPlannerDate(day) {
+    const date = new Date(`${plannerWeekStart}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + day);
+    return date;
+}
+
+async function loadPlanner() {
+    if (!plannerWeekStart) {
+        plannerWeekStart = getWeekStart(new Date());
     }
 
     try {
-        const response = await apiRequest('/contact', {
-            method: 'POST',
-            body: JSON.stringify({ name, email, message })
-        });
-
-        if (response.success) {
-            showToast(response.message, 'success');
-            
-            // Clear form
-            document.getElementById('contactName').value = '';
-            document.getElementById('contactEmail').value = '';
-            document.getElementById('contactMessage').value = '';
+        if (!plannerFoods.length) {
+            const foodsResponse = await apiRequest('/foods');
+            plannerFoods = foodsResponse.foods;
         }
+
+        const response = await apiRequest(`/meal-plans?week=${plannerWeekStart}`);
+        renderPlanner(response.plan);
+        loadShoppingList();
     } catch (error) {
-        showToast(error.message || 'Failed to send message! 😕', 'error');
+        showToast(error.message || 'Could not load your meal plan! 😕', 'error');
     }
 }
 
-// ============= PAGE NAVIGATION =============
+function renderPlanner(plan) {
+    const options = plannerFoods
+        .map(food => `<option value="${food._id}">${escapeHtml(food.emoji)} ${escapeHtml(food.name)}</option>`)
+        .join('');
+
+    document.getElementById('plannerWeekLabel').textContent =
+        `Week of ${getPlannerDate(0).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })}`;
+
+    const header = plannerDays.map((label, day) => {
+        const prediction = plannerPredictions && plannerPredictions[day];
+        return `
+            <th>
+                ${label}
+                <span class="planner-date">${getPlannerDate(day).getUTCDate()}</span>
+                ${prediction && prediction.mood ? `<span class="planner-prediction" title="You often feel ${escapeHtml(prediction.mood)} on ${label}">${escapeHtml(getMood(prediction.mood).emoji)} ${escapeHtml(getMood(prediction.mood).label)}</span>` : ''}
+            </th>
+        `;
+    }).join('');
+
+    const rows = plannerMeals.map(meal => `
+        <tr>
+            <th class="planner-meal">${plannerMealLabels[meal]}</th>
+            ${plannerDays.map((_, day) => {
+                const entry = plan.entries.find(item => item.day === day && item.meal === meal && item.foodId);
+                return `<td>${entry
+                    ? `<div class="planner-food">
+                           <span onclick="openRecipe('${entry.foodId._id}')" title="View recipe">${escapeHtml(entry.foodId.emoji)} ${escapeHtml(entry.foodId.name)}</span>
+                           <button onclick="removeMealPlanEntry(${day}, '${meal}')" title="Remove">✖</button>
+                       </div>`
+                    : `<select class="planner-select" onchange="setMealPlanEntry(${day}, '${meal}', this.value)">
+                           <option value="">+ Add</option>${options}
+                       </select>`}</td>`;
+            }).join('')}
+        </tr>
+    `).join('');
 
-function showPage(pageId) {
-    if (!currentUser && pageId !== 'landing') {
-        showToast('Please login first! 🔒', 'error');
-        return;
-    }
+    document.getElementById('plannerGrid').innerHTML = `
+        <thead><tr><th></th>${header}</tr></thead>
+        <tbody>${rows}</tbody>
+    `;
+}
 
-    document.querySelectorAll('.page').forEach(page => {
-        page.classList.remove('active');
-    });
+function changePlannerWeek(delta) {
+    const date = new Date(`${plannerWeekStart}T00:00:00`);
+    date.setDate(date.getDate() + delta * 7);
+    plannerWeekStart = getWeekStart(date);
+    plannerPredictions = null;
+    loadPlanner();
+}
 
-    const targetPage = document.getElementById(`${pageId}Page`);
-    if (targetPage) {
-        targetPage.classList.add('active');
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+async function setMealPlanEntry(day, meal, foodId) {
+    if (!foodId) return;
+
+    try {
+        const response = await apiRequest(`/meal-plans/${plannerWeekStart}/entries`, {
+            method: 'PUT',
+            body: JSON.stringify({ day, meal, foodId })
+        });
+        renderPlanner(response.plan);
+        loadShoppingList();
+    } catch (error) {
+        showToast(error.message || 'Could not update your plan! 😕', 'error');
     }
+}
 
-    // Close mobile menu if open
-    const mobileMenu = document.getElementById('mobileMenu');
-    if (mobileMenu.classList.contains('active')) {
-        mobileMenu.classList.remove('active');
+async function removeMealPlanEntry(day, meal) {
+    try {
+        const response = await apiRequest(`/meal-plans/${plannerWeekStart}/entries/${day}/${meal}`, {
+            method: 'DELETE'
+        });
+        renderPlanner(response.plan);
+        loadShoppingList();
+    } catch (error) {
+        showToast(error.message || 'Could not update your plan! 😕', 'error');
     }
 }
 
-function toggleMobileMenu() {
-    const mobileMenu = document.getElementById('mobileMenu');
-    mobileMenu.classList.toggle('active');
+async function fillMealPlan() {
+    try {
+        const response = await apiRequest(`/meal-plans/${plannerWeekStart}/fill`, {
+            method: 'POST',
+            body: JSON.stringify({ tz: getUserTimezone() })
+        });
+        plannerPredictions = response.predictions;
+        renderPlanner(response.plan);
+        loadShoppingList();
+        showToast(response.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Could not fill your plan! 😕', 'error');
+    }
 }
 
-function openBlogPost(postId) {
-    showToast('Blog post coming soon! 📚', 'info');
+async function clearMealPlan() {
+    if (!confirm('Clear every meal planned for this week?')) return;
+
+    try {
+        const response = await apiRequest(`/meal-plans/${plannerWeekStart}`, { method: 'DELETE' });
+        showToast(response.message, 'success');
+        plannerPredictions = null;
+        loadPlanner();
+    } catch (error) {
+        showToast(error.message || 'Could not clear your plan! 😕', 'error');
+    }
 }
 
-// ============= UI EFFECTS =============
+async function loadShoppingList() {
+    const container = document.getElementById('shoppingList');
+    const servings = document.getElementById('shoppingServings').value || 1;
+
+    try {
+        const response = await apiRequest(`/meal-plans/${plannerWeekStart}/shopping-list?servings=${servings}`);
+
+        if (response.items.length === 0) {
+            container.innerHTML = '<p class="journal-empty">Add some meals with recipes to build your list 🛒</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <ul class="shopping-items">
+                ${response.items.map(item => `
+                    <li title="For ${escapeHtml(item.foods.join(', '))}">
+                        <label>
+                            <input type="checkbox">
+                            <span class="ingredient-amount">${item.quantity === null ? '' : `${formatQuantity(item.quantity)} ${escapeHtml(item.unit)}`}</span>
+                            <span>${escapeHtml(item.name)}</span>
+                        </label>
+                    </li>
+                `).join('')}
+            </ul>
+            ${response.missingRecipes.length ? `<p class="shopping-missing">No recipe yet for: ${escapeHtml(response.missingRecipes.join(', '))}</p>` : ''}
+        `;
+    } catch (error) {
+        container.innerHTML = '<p class="journal-empty">Could not build your shopping list 😕</p>';
+    }
+}
+
+// ============= MOOD JOURNAL =============
+
+let journalEntries = [];
+let currentJournalPage = 1;
+let editingJournalId = null;
+let journalFoodsLoaded = false;
+
+async function loadJournal(page = currentJournalPage) {
+    currentJournalPage = page;
+    loadJournalFoods();
+
+    const from = document.getElementById('journalFrom').value;
+    const to = document.getElementById('journalTo').value;
+
+    const params = new URLSearchParams({ page, limit: 10 });
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+
+    try {
+        const response = await apiRequest(`/journal?${params}`);
+        journalEntries = response.entries;
+        renderJournalEntries();
+        renderJournalPagination(response.pagination);
+    } catch (error) {
+        showToast(error.message || 'Failed to load journal! 😕', 'error');
+    }
+}
+
+// Fill the "food eaten" dropdown from the catalog (once)
+async function loadJournalFoods() {
+    if (journalFoodsLoaded) return;
+
+    try {
+        const foods = await fetchFoods();
+        const select = document.getElementById('journalFood');
+        select.innerHTML = '<option value="">None</option>' + foods.map(food =>
+            `<option value="${food._id}">${escapeHtml(food.emoji)} ${escapeHtml(food.name)}</option>`
+        ).join('');
+        journalFoodsLoaded = true;
+    } catch (error) {
+        console.error('Failed to load foods for journal:', error);
+    }
+}
+
+function renderJournalEntries() {
+    const list = document.getElementById('journalList');
+
+    if (journalEntries.length === 0) {
+        list.innerHTML = '<p class="journal-empty">No entries yet. How are you feeling today? ✨</p>';
+        return;
+    }
+
+    list.innerHTML = journalEntries.map(entry => `
+        <div class="journal-entry">
+            <div class="journal-entry-header">
+                <span class="journal-entry-mood">${escapeHtml(getMood(entry.mood).emoji)} ${escapeHtml(getMood(entry.mood).label)}</span>
+                <span class="journal-entry-intensity">${'●'.repeat(entry.intensity)}${'○'.repeat(5 - entry.intensity)}</span>
+                <span class="journal-entry-date">${new Date(entry.date).toLocaleString()}</span>
+            </div>
+            ${entry.note ? `<p class="journal-entry-note">${escapeHtml(entry.note)}</p>` : ''}
+            <div class="journal-entry-meta">
+                ${entry.tags.map(tag => `<span class="journal-tag">#${escapeHtml(tag)}</span>`).join('')}
+                ${entry.foodId ? `<span class="journal-food">${escapeHtml(entry.foodId.emoji)} ${escapeHtml(entry.foodId.name)}</span>` : ''}
+            </div>
+            <div class="journal-entry-actions">
+                <button onclick="editJournalEntry('${entry._id}')">✏️ Edit</button>
+                <button onclick="deleteJournalEntry('${entry._id}')">🗑️ Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderJournalPagination({ page, pages }) {
+    const pagination = document.getElementById('journalPagination');
+
+    if (pages <= 1) {
+        pagination.innerHTML = '';
+        return;
+    }
+
+    pagination.innerHTML = `
+        <button ${page <= 1 ? 'disabled' : ''} onclick="loadJournal(${page - 1})">← Newer</button>
+        <span>Page ${page} of ${pages}</span>
+        <button ${page >= pages ? 'disabled' : ''} onclick="loadJournal(${page + 1})">Older →</button>
+    `;
+}
+
+const JOURNAL_INPUTS = {
+    mood: 'journalMood',
+    intensity: 'journalIntensity',
+    note: 'journalNote',
+    tags: 'journalTags',
+    foodId: 'journalFood'
+};
+
+async function saveJournalEntry() {
+    const body = {
+        mood: document.getElementById('journalMood').value,
+        intensity: parseInt(document.getElementById('journalIntensity').value, 10),
+        note: document.getElementById('journalNote').value.trim(),
+        tags: document.getElementById('journalTags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+        foodId: document.getElementById('journalFood').value,
+        date: editingJournalId ? undefined : new Date().toISOString()
+    };
+
+    try {
+        const response = await apiRequest(editingJournalId ? `/journal/${editingJournalId}` : '/journal', {
+            method: editingJournalId ? 'PUT' : 'POST',
+            body: JSON.stringify(body)
+        });
+
+        showToast(response.message, 'success');
+        resetJournalForm();
+        loadJournal(editingJournalId ? currentJournalPage : 1);
+    } catch (error) {
+        // New entries wait in the offline queue; edits need the saved entry, so they need the network
+        if (error.offline && !editingJournalId) {
+            await queueOfflineAction('/journal', body);
+            showToast('Offline: your entry is saved and will sync later 📡', 'info');
+            resetJournalForm();
+            return;
+        }
+        showFieldErrors(error.fields, JOURNAL_INPUTS);
+        showToast(error.message || 'Failed to save entry! 😕', 'error');
+    }
+}
+
+function editJournalEntry(id) {
+    const entry = journalEntries.find(e => e._id === id);
+    if (!entry) return;
+
+    editingJournalId = id;
+    document.getElementById('journalFormTitle').textContent = '✏️ Edit Entry';
+    document.getElementById('journalMood').value = entry.mood;
+    document.getElementById('journalIntensity').value = entry.intensity;
+    document.getElementById('journalIntensityValue').textContent = entry.intensity;
+    document.getElementById('journalNote').value = entry.note;
+    document.getElementById('journalTags').value = entry.tags.join(', ');
+    document.getElementById('journalFood').value = entry.foodId ? entry.foodId._id : '';
+    document.getElementById('journalCancelBtn').classList.remove('hidden');
+    document.getElementById('journalFormTitle').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+async function deleteJournalEntry(id) {
+    if (!confirm('Delete this journal entry?')) return;
+
+    try {
+        const response = await apiRequest(`/journal/${id}`, { method: 'DELETE' });
+        showToast(response.message, 'success');
+        if (editingJournalId === id) resetJournalForm();
+        loadJournal();
+    } catch (error) {
+        showToast(error.message || 'Failed to delete entry! 😕', 'error');
+    }
+}
+
+function resetJournalForm() {
+    editingJournalId = null;
+    clearFieldErrors(JOURNAL_INPUTS);
+    document.getElementById('journalFormTitle').textContent = '✍️ New Entry';
+    document.getElementById('journalIntensity').value = 3;
+    document.getElementById('journalIntensityValue').textContent = 3;
+    document.getElementById('journalNote').value = '';
+    document.getElementById('journalTags').value = '';
+    document.getElementById('journalFood').value = '';
+    document.getElementById('journalCancelBtn').classList.add('hidden');
+}
+
+// ============= MOOD INSIGHTS =============
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function getUserTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+async function loadInsights() {
+    renderMoodLegend();
+    loadTimelineChart();
+
+    const tz = encodeURIComponent(getUserTimezone());
+
+    try {
+        const [streaks, patterns, foods] = await Promise.all([
+            apiRequest(`/mood/insights/streaks?tz=${tz}`),
+            apiRequest(`/mood/insights/patterns?tz=${tz}`),
+            apiRequest('/mood/insights/foods')
+        ]);
+
+        renderStreaks(streaks.streaks);
+        renderStackedBarChart(document.getElementById('weekdayChart'), patterns.patterns.weekday.map(toMoodBar));
+        renderStackedBarChart(document.getElementById('hourChart'), patterns.patterns.hour.map(entry =>
+            toMoodBar({ ...entry, slot: `${entry.slot}h` })
+        ), { labelEvery: 3 });
+        renderFoodCorrelations(foods.correlations);
+    } catch (error) {
+        showToast(error.message || 'Failed to load insights! 😕', 'error');
+    }
+}
+
+async function loadTimelineChart() {
+    const granularity = document.getElementById('insightsGranularity').value;
+    const tz = encodeURIComponent(getUserTimezone());
+
+    try {
+        const response = await apiRequest(`/mood/insights/timeline?granularity=${granularity}&tz=${tz}`);
+        const bars = response.timeline.map(entry => toMoodBar({ ...entry, slot: entry.period }));
+        renderStackedBarChart(document.getElementById('timelineChart'), bars, {
+            labelEvery: Math.ceil(bars.length / 8)
+        });
+    } catch (error) {
+        showToast(error.message || 'Failed to load mood timeline! 😕', 'error');
+    }
+}
+
+// Turn a { slot, moods: { mood: count } } entry into a stacked bar
+function toMoodBar(entry) {
+    return {
+        label: String(entry.slot),
+        segments: Object.keys(entry.moods).map(mood => ({
+            value: entry.moods[mood],
+            color: getMood(mood).color,
+            title: `${getMood(mood).label}: ${entry.moods[mood]}`
+        }))
+    };
+}
+
+function renderMoodLegend() {
+    document.getElementById('insightsLegend').innerHTML = getActiveMoods().map(mood => `
+        <span class="legend-item"><span class="legend-swatch" style="background: ${mood.color}"></span>${escapeHtml(mood.label)}</span>
+    `).join('');
+}
+
+function renderStreaks(streaks) {
+    const cards = [
+        { icon: '🔥', value: streaks.current, label: 'Current streak (days)' },
+        { icon: '🏆', value: streaks.longest, label: 'Longest streak (days)' },
+        { icon: '📆', value: streaks.activeDays, label: 'Days checked in' }
+    ];
+
+    document.getElementById('insightsStreaks').innerHTML = cards.map(card => `
+        <div class="streak-card">
+            <div class="streak-icon">${card.icon}</div>
+            <div class="streak-value">${card.value}</div>
+            <div class="streak-label">${card.label}</div>
+        </div>
+    `).join('');
+}
+
+function createSvgElement(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.keys(attrs).forEach(key => el.setAttribute(key, attrs[key]));
+    return el;
+}
+
+// Draw a stacked bar chart as SVG. bars: [{ label, segments: [{ value, color, title }] }]
+function renderStackedBarChart(container, bars, { height = 220, labelEvery = 1 } = {}) {
+    container.innerHTML = '';
+
+    if (bars.length === 0 || bars.every(bar => bar.segments.length === 0)) {
+        container.innerHTML = '<p class="insights-empty">No check-ins yet. Pick a mood to get started! ✨</p>';
+        return;
+    }
+
+    const width = 600;
+    const padding = { top: 20, right: 10, bottom: 30, left: 30 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const maxTotal = Math.max(1, ...bars.map(bar => bar.segments.reduce((sum, s) => sum + s.value, 0)));
+    const slotWidth = chartWidth / bars.length;
+    const barWidth = Math.max(slotWidth * 0.7, 2);
+
+    const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart-svg', role: 'img' });
+
+    // Axes and max value label
+    svg.appendChild(createSvgElement('line', {
+        x1: padding.left, y1: padding.top + chartHeight, x2: width - padding.right, y2: padding.top + chartHeight, class: 'chart-axis'
+    }));
+    const maxLabel = createSvgElement('text', { x: padding.left - 6, y: padding.top + 4, 'text-anchor': 'end', class: 'chart-label' });
+    maxLabel.textContent = maxTotal;
+    svg.appendChild(maxLabel);
+
+    bars.forEach((bar, i) => {
+        const x = padding.left + i * slotWidth + (slotWidth - barWidth) / 2;
+        let y = padding.top + chartHeight;
+
+        bar.segments.forEach(segment => {
+            const segmentHeight = (segment.value / maxTotal) * chartHeight;
+            y -= segmentHeight;
+            const rect = createSvgElement('rect', {
+                x, y, width: barWidth, height: segmentHeight, fill: segment.color, rx: 2
+            });
+            const title = createSvgElement('title');
+            title.textContent = `${bar.label} · ${segment.title}`;
+            rect.appendChild(title);
+            svg.appendChild(rect);
+        });
+
+        if (i % labelEvery === 0) {
+            const label = createSvgElement('text', {
+                x: x + barWidth / 2, y: height - 10, 'text-anchor': 'middle', class: 'chart-label'
+            });
+            label.textContent = bar.label;
+            svg.appendChild(label);
+        }
+    });
+
+    container.appendChild(svg);
+}
+
+// Horizontal bars of how often each food was eaten in each mood
+function renderFoodCorrelations(correlations) {
+    const container = document.getElementById('foodCorrelationChart');
+    container.innerHTML = '';
+
+    if (correlations.length === 0) {
+        container.innerHTML = '<p class="insights-empty">Log what you eat in your journal or with 🍽️ on a suggestion to see patterns here.</p>';
+        return;
+    }
+
+    const rowHeight = 30;
+    const width = 600;
+    const labelWidth = 220;
+    const height = correlations.length * rowHeight + 10;
+    const maxCount = Math.max(...correlations.map(c => c.count));
+
+    const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart-svg', role: 'img' });
+
+    correlations.forEach((item, i) => {
+        const y = i * rowHeight + 5;
+        const barWidth = ((width - labelWidth - 60) * item.count) / maxCount;
+
+        const label = createSvgElement('text', { x: labelWidth - 8, y: y + 17, 'text-anchor': 'end', class: 'chart-label' });
+        label.textContent = `${item.emoji} ${item.name} (${item.mood})`;
+        svg.appendChild(label);
+
+        const rect = createSvgElement('rect', {
+            x: labelWidth, y, width: barWidth, height: rowHeight - 8, rx: 4, fill: getMood(item.mood).color
+        });
+        const title = createSvgElement('title');
+        title.textContent = item.avgMoodAfter ? `Felt ${item.avgMoodAfter}/5 afterwards on average` : `${item.count} times`;
+        rect.appendChild(title);
+        svg.appendChild(rect);
+
+        const value = createSvgElement('text', { x: labelWidth + barWidth + 6, y: y + 17, class: 'chart-label' });
+        value.textContent = item.avgMoodAfter ? `${item.count}× · ${item.avgMoodAfter}/5` : `${item.count}×`;
+        svg.appendChild(value);
+    });
+
+    container.appendChild(svg);
+}
+
+// ============= PROFILE =============
+
+async function loadProfile() {
+    try {
+        const { profile, options } = await apiRequest('/users/me');
+
+        document.getElementById('profileTitle').textContent = profile.name;
+        document.getElementById('profileEmail').textContent = `${profile.email}${profile.emailVerified ? ' ✅' : ''}`;
+        document.getElementById('profileName').value = profile.name;
+        document.getElementById('profileAvatar').value = profile.avatar;
+        document.getElementById('profileSpice').value = profile.spiceTolerance;
+        document.getElementById('profileTheme').value = profile.theme;
+        updateAvatarPreview(profile.avatar);
+
+        renderCheckboxGroup('profileDiets', options.dietaryRestrictions, profile.dietaryRestrictions);
+        renderCheckboxGroup('profileAllergens', options.allergens, profile.allergens);
+        renderCheckboxGroup('profileCategories', options.categories, profile.dislikedCategories);
+        renderDeletionNotice(profile.deletionScheduledFor);
+    } catch (error) {
+        showToast(error.message || 'Failed to load profile! 😕', 'error');
+    }
+
+    loadReminders();
+}
+
+function renderCheckboxGroup(containerId, values, selected) {
+    document.getElementById(containerId).innerHTML = values.map(value => `
+        <label class="checkbox-pill">
+            <input type="checkbox" value="${escapeHtml(value)}" ${selected.includes(value) ? 'checked' : ''}>
+            <span>${escapeHtml(value)}</span>
+        </label>
+    `).join('');
+}
+
+function getCheckedValues(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input:checked`)).map(input => input.value);
+}
+
+function updateAvatarPreview(url) {
+    const preview = document.getElementById('profileAvatarPreview');
+    if (url) {
+        preview.src = url;
+        preview.classList.remove('hidden');
+    } else {
+        preview.classList.add('hidden');
+    }
+}
+
+async function saveProfile() {
+    const body = {
+        name: document.getElementById('profileName').value.trim(),
+        avatar: document.getElementById('profileAvatar').value.trim(),
+        dietaryRestrictions: getCheckedValues('profileDiets'),
+        allergens: getCheckedValues('profileAllergens'),
+        dislikedCategories: getCheckedValues('profileCategories'),
+        spiceTolerance: document.getElementById('profileSpice').value,
+        theme: document.getElementById('profileTheme').value
+    };
+    const inputs = { name: 'profileName', avatar: 'profileAvatar' };
+
+    if (!checkFormFields(body.name ? {} : { name: 'Please enter your name! 👤' }, inputs)) return;
+
+    try {
+        const { profile, message } = await apiRequest('/users/me', {
+            method: 'PATCH',
+            body: JSON.stringify(body)
+        });
+
+        currentUser = { ...currentUser, name: profile.name, avatar: profile.avatar, theme: profile.theme };
+        updateUIForLoggedInUser();
+        document.getElementById('profileTitle').textContent = profile.name;
+        updateAvatarPreview(profile.avatar);
+        showToast(message, 'success');
+    } catch (error) {
+        showFieldErrors(error.fields, inputs);
+        showToast(error.message || 'Failed to save profile! 😕', 'error');
+    }
+}
+
+async function changePassword() {
+    const currentPassword = document.getElementById('currentPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    const inputs = { currentPassword: 'currentPassword', newPassword: 'newPassword' };
+
+    const fields = {};
+    if (!currentPassword) {
+        fields.currentPassword = 'Please enter your current password! 🔒';
+    }
+    if (newPassword.length < PASSWORD_MIN_LENGTH) {
+        fields.newPassword = `Password must be at least ${PASSWORD_MIN_LENGTH} characters! 🔒`;
+    }
+    if (!checkFormFields(fields, inputs)) return;
+
+    try {
+        const response = await apiRequest('/users/me/password', {
+            method: 'POST',
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+
+        authToken = response.token;
+        document.getElementById('currentPassword').value = '';
+        document.getElementById('newPassword').value = '';
+        showToast(response.message, 'success');
+    } catch (error) {
+        showFieldErrors(error.fields, inputs);
+        showToast(error.message || 'Failed to change password! 😕', 'error');
+    }
+}
+
+async function deleteAccount() {
+    const password = document.getElementById('deletePassword').value;
+    const inputs = { password: 'deletePassword' };
+
+    if (!checkFormFields(password ? {} : { password: 'Please confirm with your password! 🔒' }, inputs)) return;
+
+    if (!confirm('Delete your account and all your data? We will email you a link to confirm.')) return;
+
+    try {
+        const response = await apiRequest('/users/me', {
+            method: 'DELETE',
+            body: JSON.stringify({ password })
+        });
+
+        document.getElementById('deletePassword').value = '';
+        showToast(response.message, 'success');
+    } catch (error) {
+        showFieldErrors(error.fields, inputs);
+        showToast(error.message || 'Failed to delete account! 😕', 'error');
+    }
+}
+
+// Deletion links land on the app as ?confirmDeletion=<token> (see handleEmailLinks)
+async function confirmAccountDeletion(token) {
+    if (!confirm('Delete your FoodSwing account? Your data is kept for a few days in case you change your mind, then removed for good.')) {
+        showToast('Nothing was deleted. Your account is safe 💙', 'info');
+        return;
+    }
+
+    try {
+        const response = await apiRequest('/users/me/deletion/confirm', {
+            method: 'POST',
+            body: JSON.stringify({ token })
+        });
+        showToast(response.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Could not confirm the deletion! 😕', 'error');
+    }
+}
+
+async function cancelAccountDeletion() {
+    try {
+        const response = await apiRequest('/users/me/deletion/cancel', { method: 'POST' });
+        currentUser.deletionScheduledFor = null;
+        renderDeletionNotice(null);
+        showToast(response.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Could not cancel the deletion! 😕', 'error');
+    }
+}
+
+// While a deletion is scheduled, offer to cancel it instead of asking again
+function renderDeletionNotice(deletionScheduledFor) {
+    document.getElementById('deletionNotice').classList.toggle('hidden', !deletionScheduledFor);
+    document.getElementById('deleteAccountForm').classList.toggle('hidden', Boolean(deletionScheduledFor));
+
+    if (deletionScheduledFor) {
+        document.getElementById('deletionDate').textContent = new Date(deletionScheduledFor)
+            .toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+    }
+}
+
+// Download my data: everything as JSON, or the chosen section as CSV
+async function downloadMyData(format) {
+    const section = document.getElementById('exportSection').value;
+    const params = new URLSearchParams({ format });
+    if (format === 'csv') params.set('section', section);
+
+    try {
+        const file = await apiRequest(`/users/me/export?${params}`, { blob: true });
+
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `foodswing-${format === 'csv' ? section : 'export'}.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showToast(error.message || 'Could not download your data! 😕', 'error');
+    }
+}
+
+// ============= CHECK-IN REMINDERS =============
+
+// The server counts days from 0 = Monday
+const reminderDayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+let reminders = [];
+// The stored timezone; 'UTC' is the server default until the user picks one
+let savedReminderTimezone = 'UTC';
+
+async function loadReminders() {
+    try {
+        const response = await apiRequest('/reminders');
+        reminders = response.reminders;
+
+        renderReminders();
+        renderCheckboxGroup('reminderDays', reminderDayNames, reminderDayNames);
+        savedReminderTimezone = response.settings.timezone;
+        // Suggest the device timezone until one has been saved
+        document.getElementById('reminderTimezone').value = savedReminderTimezone === 'UTC'
+            ? getUserTimezone()
+            : savedReminderTimezone;
+        document.getElementById('quietStart').value = response.settings.quietStart;
+        document.getElementById('quietEnd').value = response.settings.quietEnd;
+    } catch (error) {
+        showToast(error.message || 'Failed to load reminders! 😕', 'error');
+    }
+}
+
+function formatReminderDays(days) {
+    if (days.length === 7) return 'Every day';
+    if (days.join() === '0,1,2,3,4') return 'Weekdays';
+    if (days.join() === '5,6') return 'Weekends';
+    return days.map(day => reminderDayNames[day]).join(', ');
+}
+
+function renderReminders() {
+    const list = document.getElementById('reminderList');
+
+    if (reminders.length === 0) {
+        list.innerHTML = '<p class="reminder-empty">No reminders yet. Add one below 👇</p>';
+        return;
+    }
+
+    list.innerHTML = reminders.map(reminder => `
+        <div class="reminder-item ${reminder.enabled ? '' : 'paused'}">
+            <div class="reminder-info">
+                <strong>${escapeHtml(reminder.label)}</strong>
+                <span>${reminder.times.join(', ')} · ${formatReminderDays(reminder.days)}</span>
+            </div>
+            <div class="journal-entry-actions">
+                <button onclick="toggleReminder('${reminder._id}', ${!reminder.enabled})">${reminder.enabled ? '⏸️ Pause' : '▶️ Resume'}</button>
+                <button onclick="deleteReminder('${reminder._id}')">🗑️</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function createReminder() {
+    const label = document.getElementById('reminderLabel').value.trim();
+    const times = document.getElementById('reminderTimes').value.split(',').map(time => time.trim()).filter(Boolean);
+    const days = getCheckedValues('reminderDays').map(name => reminderDayNames.indexOf(name));
+    const inputs = { label: 'reminderLabel', times: 'reminderTimes' };
+
+    if (!checkFormFields(times.length ? {} : { times: 'Please add a time, e.g. 09:00 ⏰' }, inputs)) return;
+    if (days.length === 0) {
+        showToast('Pick at least one day! 📅', 'error');
+        return;
+    }
+
+    const body = { times, days };
+    if (label) body.label = label;
+
+    try {
+        // Without this the first reminder would go out on UTC time
+        if (reminders.length === 0 && savedReminderTimezone === 'UTC' && getUserTimezone() !== 'UTC') {
+            await apiRequest('/reminders/settings', {
+                method: 'PUT',
+                body: JSON.stringify({ timezone: getUserTimezone() })
+            });
+            savedReminderTimezone = getUserTimezone();
+        }
+
+        const response = await apiRequest('/reminders', {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+
+        reminders.push(response.reminder);
+        renderReminders();
+        document.getElementById('reminderLabel').value = '';
+        document.getElementById('reminderTimes').value = '';
+        showToast(response.message, 'success');
+    } catch (error) {
+        showFieldErrors(error.fields, inputs);
+        showToast(error.message || 'Failed to add reminder! 😕', 'error');
+    }
+}
+
+async function toggleReminder(id, enabled) {
+    try {
+        const response = await apiRequest(`/reminders/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ enabled })
+        });
+
+        reminders = reminders.map(reminder => (reminder._id === id ? response.reminder : reminder));
+        renderReminders();
+        showToast(response.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Failed to update reminder! 😕', 'error');
+    }
+}
+
+async function deleteReminder(id) {
+    if (!confirm('Delete this reminder?')) return;
+
+    try {
+        const response = await apiRequest(`/reminders/${id}`, { method: 'DELETE' });
+        reminders = reminders.filter(reminder => reminder._id !== id);
+        renderReminders();
+        showToast(response.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Failed to delete reminder! 😕', 'error');
+    }
+}
+
+function useDeviceTimezone() {
+    document.getElementById('reminderTimezone').value = getUserTimezone();
+}
+
+// Quiet hours are off when both ends are left empty
+async function saveReminderSettings() {
+    const body = {
+        timezone: document.getElementById('reminderTimezone').value.trim(),
+        quietStart: document.getElementById('quietStart').value,
+        quietEnd: document.getElementById('quietEnd').value
+    };
+    const inputs = { timezone: 'reminderTimezone', quietStart: 'quietStart', quietEnd: 'quietEnd' };
+
+    const fields = {};
+    if (!body.timezone) {
+        fields.timezone = 'Please enter a timezone, e.g. Europe/Berlin 🌍';
+    }
+    if (!body.quietStart !== !body.quietEnd) {
+        fields[body.quietStart ? 'quietEnd' : 'quietStart'] = 'Set both ends of your quiet hours 🌙';
+    }
+    if (!checkFormFields(fields, inputs)) return;
+
+    try {
+        const response = await apiRequest('/reminders/settings', {
+            method: 'PUT',
+            body: JSON.stringify(body)
+        });
+
+        // Next run times change with the timezone
+        await loadReminders();
+        showToast(response.message, 'success');
+    } catch (error) {
+        showFieldErrors(error.fields, inputs);
+        showToast(error.message || 'Failed to save reminder settings! 😕', 'error');
+    }
+}
+
+// ============= NOTIFICATIONS =============
+
+const NOTIFICATION_POLL_INTERVAL = 60 * 1000;
+
+let notifications = [];
+let notificationTimer = null;
+
+function startNotificationPolling() {
+    if (notificationTimer) return;
+
+    loadNotifications();
+    notificationTimer = setInterval(loadNotifications, NOTIFICATION_POLL_INTERVAL);
+}
+
+function stopNotificationPolling() {
+    clearInterval(notificationTimer);
+    notificationTimer = null;
+    notifications = [];
+    document.getElementById('notificationPanel').classList.add('hidden');
+    updateNotificationBadge(0);
+}
+
+async function loadNotifications() {
+    // Nothing new can arrive while offline
+    if (!navigator.onLine) return;
+
+    try {
+        const response = await apiRequest('/notifications');
+        notifications = response.notifications;
+        updateNotificationBadge(response.unreadCount);
+        renderNotifications();
+    } catch (error) {
+        console.error('Failed to load notifications:', error);
+    }
+}
+
+function updateNotificationBadge(count) {
+    const badge = document.getElementById('notificationBadge');
+    badge.textContent = count > 9 ? '9+' : count;
+    badge.classList.toggle('hidden', count === 0);
+}
+
+function renderNotifications() {
+    const list = document.getElementById('notificationList');
+
+    if (notifications.length === 0) {
+        list.innerHTML = '<p class="notification-empty">You\'re all caught up ✨</p>';
+        return;
+    }
+
+    list.innerHTML = notifications.map(notification => `
+        <button class="notification-item ${notification.readAt ? '' : 'unread'}" onclick="openNotification('${notification._id}')">
+            <strong>${escapeHtml(notification.title)}</strong>
+            <span>${escapeHtml(notification.body)}</span>
+            <small>${new Date(notification.createdAt).toLocaleString()}</small>
+        </button>
+    `).join('');
+}
+
+function toggleNotifications() {
+    const panel = document.getElementById('notificationPanel');
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) loadNotifications();
+}
+
+// Mark it read and go where it points (reminders open the mood picker)
+async function openNotification(id) {
+    const notification = notifications.find(item => item._id === id);
+    if (!notification) return;
+
+    document.getElementById('notificationPanel').classList.add('hidden');
+    navigate(notification.link);
+
+    if (!notification.readAt) {
+        try {
+            await apiRequest(`/notifications/${id}/read`, { method: 'POST' });
+            loadNotifications();
+        } catch (error) {
+            console.error('Failed to mark notification as read:', error);
+        }
+    }
+}
+
+async function markAllNotificationsRead() {
+    try {
+        await apiRequest('/notifications/read-all', { method: 'POST' });
+        loadNotifications();
+    } catch (error) {
+        showToast(error.message || 'Failed to update notifications! 😕', 'error');
+    }
+}
+
+// ============= CONTACT FORM =============
+
+const CONTACT_INPUTS = { name: 'contactName', email: 'contactEmail', message: 'contactMessage' };
+
+async function submitContact() {
+    const name = document.getElementById('contactName').value.trim();
+    const email = document.getElementById('contactEmail').value.trim();
+    const message = document.getElementById('contactMessage').value.trim();
+    const website = document.getElementById('contactWebsite').value; // honeypot, left empty by people
+
+    const fields = {};
+    if (!name) fields.name = 'Please enter your name! 👤';
+    if (!EMAIL_PATTERN.test(email)) {
+        fields.email = email ? 'Please enter a valid email! 📧' : 'Please enter your email! 📧';
+    }
+    if (!message) fields.message = 'Please write a message! 📝';
+    if (!checkFormFields(fields, CONTACT_INPUTS)) return;
+
+    try {
+        const response = await apiRequest('/contact', {
+            method: 'POST',
+            body: JSON.stringify({ name, email, message, website })
+        });
+
+        if (response.success) {
+            showToast(response.message, 'success');
+            
+            // Clear form
+            document.getElementById('contactName').value = '';
+            document.getElementById('contactEmail').value = '';
+            document.getElementById('contactMessage').value = '';
+        }
+    } catch (error) {
+        showFieldErrors(error.fields, CONTACT_INPUTS);
+        showToast(error.message || 'Failed to send message! 😕', 'error');
+    }
+}
+
+// ============= PAGE NAVIGATION =============
+
+// Hash routes, e.g. #/home, #/mood/stressed, #/blog/why-soup-soothes.
+// page is the <div id="...Page"> to show; enter loads its data with the :params from the URL.
+// Routes are for logged-in users unless marked public; roles limits them further.
+const ROUTES = [
+    { path: '/', page: 'landing', public: true },
+    { path: '/home', page: 'home', enter: () => hideFoodSuggestions() },
+    { path: '/mood/:mood', page: 'home', enter: ({ mood }) => displayFoodSuggestions(mood) },
+    { path: '/surprise', page: 'home', enter: () => surpriseMe() },
+    { path: '/favorites', page: 'favorites', enter: () => loadFavoritesPage() },
+    { path: '/planner', page: 'planner', enter: () => loadPlanner() },
+    { path: '/journal', page: 'journal', enter: () => loadJournal() },
+    { path: '/insights', page: 'insights', enter: () => loadInsights() },
+    { path: '/blog', page: 'blog', enter: () => loadBlogPosts() },
+    { path: '/blog/:slug', page: 'blog', enter: ({ slug }) => showBlogPost(slug) },
+    { path: '/about', page: 'about' },
+    { path: '/contact', page: 'contact' },
+    { path: '/profile', page: 'profile', enter: () => loadProfile() },
+    { path: '/admin', page: 'admin', roles: ['admin'], enter: () => loadAdmin() },
+    { path: '/shared/:token', page: 'sharedCollection', public: true, enter: ({ token }) => loadSharedCollection(token) }
+];
+
+// Where a logged-out visitor was heading, so login can take them there
+let pendingRoute = null;
+let renderedPath = null;
+
+function startRouter() {
+    window.addEventListener('popstate', () => renderRoute());
+    window.addEventListener('hashchange', () => renderRoute());
+    renderRoute();
+}
+
+// Go to a route, adding a history entry unless replace is set.
+// Navigating to the current route runs it again (e.g. another surprise).
+function navigate(path, { replace = false } = {}) {
+    const url = `#${path}`;
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else if (window.location.hash !== url) {
+        history.pushState(null, '', url);
+    }
+    renderRoute(true);
+}
+
+function currentPath() {
+    return window.location.hash.replace(/^#/, '') || '/';
+}
+
+// Match a path against ROUTES, returning the route and its decoded :params
+function matchRoute(path) {
+    const segments = path.split('/').filter(Boolean);
+
+    for (const route of ROUTES) {
+        const parts = route.path.split('/').filter(Boolean);
+        if (parts.length !== segments.length) continue;
+
+        const params = {};
+        const matches = parts.every((part, i) => {
+            if (part.startsWith(':')) {
+                try {
+                    params[part.slice(1)] = decodeURIComponent(segments[i]);
+                } catch (error) {
+                    return false;
+                }
+                return true;
+            }
+            return part === segments[i];
+        });
+        if (matches) return { route, params };
+    }
+    return null;
+}
+
+// Show the page for the current URL (popstate and hashchange can both fire for one change)
+function renderRoute(force = false) {
+    const path = currentPath();
+    if (!force && path === renderedPath) return;
+
+    const match = matchRoute(path);
+    if (!match || (match.route.path === '/mood/:mood' && !getActiveMoods().some(mood => mood.key === match.params.mood))) {
+        navigate(currentUser ? '/home' : '/', { replace: true });
+        return;
+    }
+
+    const { route, params } = match;
+
+    // Auth guards
+    if (!route.public && !currentUser) {
+        pendingRoute = path;
+        showToast('Please login first! 🔒', 'error');
+        navigate('/', { replace: true });
+        return;
+    }
+    if (route.roles && !route.roles.includes(currentUser.role)) {
+        showToast('Admins only! 🔒', 'error');
+        navigate('/home', { replace: true });
+        return;
+    }
+    if (route.page === 'landing' && currentUser) {
+        navigate('/home', { replace: true });
+        return;
+    }
+
+    renderedPath = path;
+    showPageElement(route.page);
+    if (route.enter) route.enter(params);
+}
+
+// After logging in, continue to the page that asked for it
+function navigateAfterLogin() {
+    const path = pendingRoute || '/home';
+    pendingRoute = null;
+    navigate(path, { replace: true });
+}
+
+function showPageElement(pageId) {
+    const landingPage = document.getElementById('landingPage');
+    landingPage.style.display = pageId === 'landing' ? 'block' : 'none';
+    document.getElementById('mainNavbar').style.display = currentUser ? 'block' : 'none';
+
+    document.querySelectorAll('.page').forEach(page => {
+        page.classList.toggle('active', page.id === `${pageId}Page`);
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+
+    // Close mobile menu if open
+    const mobileMenu = document.getElementById('mobileMenu');
+    if (mobileMenu.classList.contains('active')) {
+        mobileMenu.classList.remove('active');
+    }
+}
+
+function toggleMobileMenu() {
+    const mobileMenu = document.getElementById('mobileMenu');
+    mobileMenu.classList.toggle('active');
+}
+
+// ============= ADMIN CONSOLE =============
+
+const dietOptions = ['vegetarian', 'vegan', 'halal', 'gluten-free'];
+const contactStatusLabels = {
+    new: '🆕 New',
+    read: '👀 Read',
+    replied: '✅ Replied',
+    archived: '📦 Archived'
+};
+
+let adminTab = 'inbox';
+let inboxPage = 1;
+let adminUserPage = 1;
+let adminFoods = [];
+let adminPosts = [];
+let editingFoodId = null;
+let editingPostId = null;
+let editingMoodKey = null;
+
+function isAdmin() {
+    return Boolean(currentUser && currentUser.role === 'admin');
+}
+
+function loadAdmin() {
+    showAdminTab(adminTab);
+}
+
+function showAdminTab(tab) {
+    adminTab = tab;
+
+    document.querySelectorAll('.admin-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+
+    const panels = {
+        inbox: 'adminInbox',
+        users: 'adminUsers',
+        foods: 'adminFoods',
+        moods: 'adminMoods',
+        posts: 'adminPosts',
+        analytics: 'adminAnalytics'
+    };
+    Object.keys(panels).forEach(key => {
+        document.getElementById(panels[key]).classList.toggle('hidden', key !== tab);
+    });
+
+    if (tab === 'inbox') {
+        loadInbox(inboxPage);
+    } else if (tab === 'users') {
+        loadAdminUsers(adminUserPage);
+    } else if (tab === 'foods') {
+        loadAdminFoods();
+    } else if (tab === 'moods') {
+        loadAdminMoods();
+    } else if (tab === 'posts') {
+        loadAdminPosts();
+    } else if (tab === 'analytics') {
+        loadAdminAnalytics();
+    }
+}
+
+// Previous/next buttons calling loader(page)
+function renderAdminPagination(containerId, { page, pages }, loader) {
+    const pagination = document.getElementById(containerId);
+
+    if (pages <= 1) {
+        pagination.innerHTML = '';
+        return;
+    }
+
+    pagination.innerHTML = `
+        <button ${page <= 1 ? 'disabled' : ''} onclick="${loader}(${page - 1})">← Previous</button>
+        <span>Page ${page} of ${pages}</span>
+        <button ${page >= pages ? 'disabled' : ''} onclick="${loader}(${page + 1})">Next →</button>
+    `;
+}
+
+// ----- Contact inbox -----
+
+async function loadInbox(page = 1) {
+    inboxPage = page;
+    const list = document.getElementById('inboxList');
+    const params = new URLSearchParams({
+        page,
+        status: document.getElementById('inboxStatus').value
+    });
+    const search = document.getElementById('inboxSearch').value.trim();
+    if (search) params.set('q', search);
+
+    try {
+        const response = await apiRequest(`/admin/contacts?${params}`);
+
+        const badge = document.getElementById('adminNewCount');
+        badge.textContent = response.counts.new;
+        badge.classList.toggle('hidden', response.counts.new === 0);
+
+        list.innerHTML = response.contacts.length ? response.contacts.map(contact => `
+            <div class="admin-message status-${contact.status || 'new'}">
+                <div class="admin-message-header">
+                    <div>
+                        <strong>${escapeHtml(contact.name)}</strong>
+                        <a href="mailto:${escapeHtml(contact.email)}">${escapeHtml(contact.email)}</a>
+                        <span class="admin-muted">${new Date(contact.createdAt).toLocaleString()}</span>
+                    </div>
+                    <select class="insights-select" onchange="updateContact('${contact._id}', { status: this.value })">
+                        ${Object.keys(contactStatusLabels).map(status => `
+                            <option value="${status}" ${(contact.status || 'new') === status ? 'selected' : ''}>${contactStatusLabels[status]}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <p class="admin-message-body">${escapeHtml(contact.message)}</p>
+                <textarea class="form-textarea admin-notes" id="notes-${contact._id}" placeholder="Internal notes (only admins see these)">${escapeHtml(contact.notes || '')}</textarea>
+                <button class="journal-filter-btn" onclick="updateContact('${contact._id}', { notes: document.getElementById('notes-${contact._id}').value })">Save notes 📝</button>
+            </div>
+        `).join('') : '<p class="journal-empty">No messages here 📭</p>';
+
+        renderAdminPagination('inboxPagination', response.pagination, 'loadInbox');
+    } catch (error) {
+        list.innerHTML = '<p class="journal-empty">Could not load messages 😕</p>';
+    }
+}
+
+async function updateContact(id, changes) {
+    try {
+        const response = await apiRequest(`/admin/contacts/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+        showToast(response.message, 'success');
+        loadInbox(inboxPage);
+    } catch (error) {
+        showToast(error.message || 'Could not update message! 😕', 'error');
+    }
+}
+
+// ----- Users -----
+
+async function loadAdminUsers(page = 1) {
+    adminUserPage = page;
+    const rows = document.getElementById('adminUserRows');
+    const params = new URLSearchParams({ page });
+    const search = document.getElementById('userSearch').value.trim();
+    if (search) params.set('q', search);
+
+    try {
+        const response = await apiRequest(`/admin/users?${params}`);
+
+        rows.innerHTML = response.users.map(user => `
+            <tr>
+                <td>${escapeHtml(user.name)}</td>
+                <td>${escapeHtml(user.email)}</td>
+                <td>${user.emailVerified ? '✅' : '—'}</td>
+                <td>${new Date(user.createdAt).toLocaleDateString()}</td>
+                <td>
+                    <select class="insights-select" ${user._id === currentUser.id ? 'disabled' : ''} onchange="changeUserRole('${user._id}', this.value)">
+                        ${['user', 'editor', 'admin'].map(role => `<option value="${role}" ${user.role === role ? 'selected' : ''}>${role}</option>`).join('')}
+                    </select>
+                </td>
+            </tr>
+        `).join('') || '<tr><td colspan="5">No users found</td></tr>';
+
+        renderAdminPagination('adminUserPagination', response.pagination, 'loadAdminUsers');
+    } catch (error) {
+        rows.innerHTML = '<tr><td colspan="5">Could not load users 😕</td></tr>';
+    }
+}
+
+async function changeUserRole(id, role) {
+    try {
+        const response = await apiRequest(`/admin/users/${id}/role`, {
+            method: 'PATCH',
+            body: JSON.stringify({ role })
+        });
+        showToast(response.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Could not change role! 😕', 'error');
+        loadAdminUsers(adminUserPage);
+    }
+}
+
+// ----- Food editor -----
+
+async function loadAdminFoods() {
+    const list = document.getElementById('adminFoodList');
+    if (!editingFoodId) resetFoodForm();
+
+    try {
+        const response = await apiRequest('/foods?all=true');
+        adminFoods = response.foods;
+
+        list.innerHTML = adminFoods.map(food => `
+            <div class="admin-row">
+                <span>${escapeHtml(food.emoji)} <strong>${escapeHtml(food.name)}</strong> <span class="admin-muted">${escapeHtml(food.category)} · ${escapeHtml(food.moods.join(', '))}</span></span>
+                <span class="journal-entry-actions">
+                    <button onclick="editAdminFood('${food._id}')">Edit</button>
+                    <button onclick="deleteAdminFood('${food._id}')">Delete</button>
+                </span>
+            </div>
+        `).join('') || '<p class="journal-empty">No foods yet. Run npm run seed or add one!</p>';
+    } catch (error) {
+        list.innerHTML = '<p class="journal-empty">Could not load foods 😕</p>';
+    }
+}
+
+function resetFoodForm() {
+    editingFoodId = null;
+    clearFieldErrors(FOOD_INPUTS);
+    document.getElementById('foodFormTitle').textContent = '➕ New Food';
+    document.getElementById('foodCancelBtn').classList.add('hidden');
+
+    ['foodName', 'foodEmoji', 'foodCategory', 'foodDescription', 'foodCalories', 'foodProtein', 'foodCarbs',
+        'foodFat', 'foodFiber', 'foodSugar', 'foodNutrients', 'recipeIngredientsInput', 'recipeStepsInput',
+        'recipePrepTime', 'recipeCookTime', 'recipeServingsInput'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('foodSpice').value = '0';
+    document.getElementById('recipeDifficulty').value = 'easy';
+
+    renderCheckboxGroup('foodMoods', getActiveMoods().map(mood => mood.key), []);
+    renderCheckboxGroup('foodDiets', dietOptions, []);
+    renderCheckboxGroup('foodAllergens', allergenOptions, []);
+}
+
+async function editAdminFood(id) {
+    const food = adminFoods.find(item => item._id === id);
+    const nutrition = food.nutrition || {};
+
+    resetFoodForm();
+    editingFoodId = id;
+    document.getElementById('foodFormTitle').textContent = `✏️ Edit ${food.name}`;
+    document.getElementById('foodCancelBtn').classList.remove('hidden');
+
+    document.getElementById('foodName').value = food.name;
+    document.getElementById('foodEmoji').value = food.emoji;
+    document.getElementById('foodCategory').value = food.category;
+    document.getElementById('foodDescription').value = food.description;
+    document.getElementById('foodSpice').value = String(food.spiceLevel || 0);
+    ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar'].forEach(field => {
+        const input = document.getElementById(`food${field[0].toUpperCase()}${field.slice(1)}`);
+        input.value = nutrition[field] === undefined ? '' : nutrition[field];
+    });
+    document.getElementById('foodNutrients').value = (nutrition.nutrients || []).join(', ');
+
+    renderCheckboxGroup('foodMoods', getActiveMoods().map(mood => mood.key), food.moods);
+    renderCheckboxGroup('foodDiets', dietOptions, food.diets || []);
+    renderCheckboxGroup('foodAllergens', allergenOptions, food.allergens || []);
+
+    // The recipe is optional
+    try {
+        const { recipe } = await apiRequest(`/foods/${id}/recipe`);
+        document.getElementById('recipeIngredientsInput').value = recipe.ingredients
+            .map(item => `${item.quantity === undefined || item.quantity === null ? '' : item.quantity} | ${item.unit} | ${item.name}`)
+            .join('\n');
+        document.getElementById('recipeStepsInput').value = recipe.steps.join('\n');
+        document.getElementById('recipePrepTime').value = recipe.prepTime;
+        document.getElementById('recipeCookTime').value = recipe.cookTime;
+        document.getElementById('recipeServingsInput').value = recipe.servings;
+        document.getElementById('recipeDifficulty').value = recipe.difficulty;
+    } catch (error) {
+        // No recipe yet
+    }
+
+    document.getElementById('adminFoods').scrollIntoView({ behavior: 'smooth' });
+}
+
+// "300 | g | macaroni" -> { quantity: 300, unit: 'g', name: 'macaroni' }; a line without bars is just a name
+function parseIngredientLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+        const parts = line.split('|').map(part => part.trim());
+        if (parts.length < 3) return { name: parts.join(' ') };
+
+        const [quantity, unit, ...name] = parts;
+        return {
+            quantity: quantity === '' ? undefined : Number(quantity),
+            unit,
+            name: name.join(' ')
+        };
+    });
+}
+
+// Empty number inputs are left out instead of being sent as 0
+function readNumberInput(id) {
+    const value = document.getElementById(id).value;
+    return value === '' ? undefined : Number(value);
+}
+
+const FOOD_INPUTS = {
+    name: 'foodName',
+    emoji: 'foodEmoji',
+    category: 'foodCategory',
+    description: 'foodDescription',
+    spiceLevel: 'foodSpice',
+    'nutrition.calories': 'foodCalories',
+    'nutrition.protein': 'foodProtein',
+    'nutrition.carbs': 'foodCarbs',
+    'nutrition.fat': 'foodFat',
+    'nutrition.fiber': 'foodFiber',
+    'nutrition.sugar': 'foodSugar',
+    'nutrition.nutrients': 'foodNutrients',
+    // The recipe is saved from the same form
+    ingredients: 'recipeIngredientsInput',
+    steps: 'recipeStepsInput',
+    prepTime: 'recipePrepTime',
+    cookTime: 'recipeCookTime',
+    servings: 'recipeServingsInput',
+    difficulty: 'recipeDifficulty'
+};
+
+async function saveAdminFood() {
+    const body = {
+        name: document.getElementById('foodName').value.trim(),
+        emoji: document.getElementById('foodEmoji').value.trim(),
+        category: document.getElementById('foodCategory').value.trim(),
+        description: document.getElementById('foodDescription').value.trim(),
+        moods: getCheckedValues('foodMoods'),
+        diets: getCheckedValues('foodDiets'),
+        allergens: getCheckedValues('foodAllergens'),
+        spiceLevel: Number(document.getElementById('foodSpice').value),
+        nutrition: {
+            calories: readNumberInput('foodCalories'),
+            protein: readNumberInput('foodProtein'),
+            carbs: readNumberInput('foodCarbs'),
+            fat: readNumberInput('foodFat'),
+            fiber: readNumberInput('foodFiber'),
+            sugar: readNumberInput('foodSugar'),
+            nutrients: document.getElementById('foodNutrients').value.split(',').map(item => item.trim()).filter(Boolean)
+        }
+    };
+
+    const fields = {};
+    ['name', 'emoji', 'category'].forEach(field => {
+        if (!body[field]) fields[field] = 'Please fill in name, emoji and category! 📝';
+    });
+    if (!checkFormFields(fields, FOOD_INPUTS)) return;
+
+    const ingredientsText = document.getElementById('recipeIngredientsInput').value.trim();
+
+    try {
+        const response = await apiRequest(editingFoodId ? `/foods/${editingFoodId}` : '/foods', {
+            method: editingFoodId ? 'PUT' : 'POST',
+            body: JSON.stringify(body)
+        });
+
+        if (ingredientsText) {
+            await apiRequest(`/foods/${response.food._id}/recipe`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    ingredients: parseIngredientLines(ingredientsText),
+                    steps: document.getElementById('recipeStepsInput').value.split('\n').map(step => step.trim()).filter(Boolean),
+                    prepTime: readNumberInput('recipePrepTime'),
+                    cookTime: readNumberInput('recipeCookTime'),
+                    servings: readNumberInput('recipeServingsInput'),
+                    difficulty: document.getElementById('recipeDifficulty').value
+                })
+            });
+        }
+
+        showToast(response.message, 'success');
+        plannerFoods = [];
+        resetFoodForm();
+        loadAdminFoods();
+    } catch (error) {
+        showFieldErrors(error.fields, FOOD_INPUTS);
+        showToast(error.message || 'Could not save food! 😕', 'error');
+    }
+}
+
+async function deleteAdminFood(id) {
+    if (!confirm('Delete this food and its recipe?')) return;
+
+    try {
+        const response = await apiRequest(`/foods/${id}`, { method: 'DELETE' });
+        showToast(response.message, 'success');
+        if (editingFoodId === id) resetFoodForm();
+        plannerFoods = [];
+        loadAdminFoods();
+    } catch (error) {
+        showToast(error.message || 'Could not delete food! 😕', 'error');
+    }
+}
+
+// ----- Blog editor -----
+
+async function loadAdminPosts() {
+    const list = document.getElementById('adminPostList');
+
+    try {
+        const response = await apiRequest('/blog/admin/posts');
+        adminPosts = response.posts;
+
+        list.innerHTML = adminPosts.map(post => `
+            <div class="admin-row">
+                <span>${post.icon} <strong>${escapeHtml(post.title)}</strong> <span class="admin-muted">${post.status === 'published' ? '🌍 Published' : '📝 Draft'} · /${post.slug}</span></span>
+                <span class="journal-entry-actions">
+                    <button onclick="editAdminPost('${post._id}')">Edit</button>
+                    <button onclick="deleteAdminPost('${post._id}')">Delete</button>
+                </span>
+            </div>
+        `).join('') || '<p class="journal-empty">No posts yet ✍️</p>';
+    } catch (error) {
+        list.innerHTML = '<p class="journal-empty">Could not load posts 😕</p>';
+    }
+}
+
+function resetPostForm() {
+    editingPostId = null;
+    clearFieldErrors(POST_INPUTS);
+    document.getElementById('postFormTitle').textContent = '✍️ New Post';
+    document.getElementById('postCancelBtn').classList.add('hidden');
+    ['postTitle', 'postSlug', 'postExcerpt', 'postIcon', 'postCoverImage', 'postTags', 'postBody'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('postStatus').value = 'draft';
+}
+
+function editAdminPost(id) {
+    const post = adminPosts.find(item => item._id === id);
+
+    editingPostId = id;
+    document.getElementById('postFormTitle').textContent = '✏️ Edit Post';
+    document.getElementById('postCancelBtn').classList.remove('hidden');
+    document.getElementById('postTitle').value = post.title;
+    document.getElementById('postSlug').value = post.slug;
+    document.getElementById('postExcerpt').value = post.excerpt;
+    document.getElementById('postIcon').value = post.icon;
+    document.getElementById('postCoverImage').value = post.coverImage;
+    document.getElementById('postTags').value = post.tags.join(', ');
+    document.getElementById('postBody').value = post.body;
+    document.getElementById('postStatus').value = post.status;
+
+    document.getElementById('adminPosts').scrollIntoView({ behavior: 'smooth' });
+}
+
+const POST_INPUTS = {
+    slug: 'postSlug',
+    title: 'postTitle',
+    excerpt: 'postExcerpt',
+    body: 'postBody',
+    coverImage: 'postCoverImage'
+};
+
+async function saveAdminPost() {
+    const body = {
+        title: document.getElementById('postTitle').value.trim(),
+        excerpt: document.getElementById('postExcerpt').value.trim(),
+        icon: document.getElementById('postIcon').value.trim() || '📚',
+        coverImage: document.getElementById('postCoverImage').value.trim(),
+        tags: document.getElementById('postTags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+        body: document.getElementById('postBody').value,
+        status: document.getElementById('postStatus').value
+    };
+    const slug = document.getElementById('postSlug').value.trim();
+    if (slug) body.slug = slug;
+
+    const fields = {};
+    if (!body.title) fields.title = 'Please add a title and body! 📝';
+    if (!body.body.trim()) fields.body = 'Please add a title and body! 📝';
+    if (!checkFormFields(fields, POST_INPUTS)) return;
+
+    try {
+        const response = await apiRequest(editingPostId ? `/blog/posts/${editingPostId}` : '/blog/posts', {
+            method: editingPostId ? 'PUT' : 'POST',
+            body: JSON.stringify(body)
+        });
+        showToast(response.message, 'success');
+        resetPostForm();
+        loadAdminPosts();
+    } catch (error) {
+        showFieldErrors(error.fields, POST_INPUTS);
+        showToast(error.message || 'Could not save post! 😕', 'error');
+    }
+}
+
+async function deleteAdminPost(id) {
+    if (!confirm('Delete this post?')) return;
+
+    try {
+        const response = await apiRequest(`/blog/posts/${id}`, { method: 'DELETE' });
+        showToast(response.message, 'success');
+        if (editingPostId === id) resetPostForm();
+        loadAdminPosts();
+    } catch (error) {
+        showToast(error.message || 'Could not delete post! 😕', 'error');
+    }
+}
+
+// ----- Mood editor -----
+
+async function loadAdminMoods() {
+    const list = document.getElementById('adminMoodList');
+    if (!editingMoodKey) resetMoodForm();
+
+    // Also refreshes the mood picker, so changes show up right away
+    await loadMoods();
+
+    list.innerHTML = moods.map(mood => `
+        <div class="admin-row">
+            <span><span class="admin-mood-swatch" style="background: ${getMoodGradient(mood.key)}"></span>${escapeHtml(mood.emoji)} <strong>${escapeHtml(mood.label)}</strong> <span class="admin-muted">${escapeHtml(mood.key)}${mood.active ? '' : ' · 🙈 Hidden'}</span></span>
+            <span class="journal-entry-actions">
+                <button onclick="editAdminMood('${mood.key}')">Edit</button>
+                <button onclick="deleteAdminMood('${mood.key}')">Delete</button>
+            </span>
+        </div>
+    `).join('') || '<p class="journal-empty">No moods yet 🎭</p>';
+}
+
+function resetMoodForm() {
+    editingMoodKey = null;
+    clearFieldErrors(MOOD_INPUTS);
+    document.getElementById('moodFormTitle').textContent = '➕ New Mood';
+    document.getElementById('moodCancelBtn').classList.add('hidden');
+
+    ['moodKey', 'moodEmoji', 'moodLabel', 'moodTagline', 'moodHealingTitle', 'moodHealingDescription', 'moodHealingTips'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('moodKey').disabled = false;
+    document.getElementById('moodGradientFrom').value = '#ffb6c1';
+    document.getElementById('moodGradientTo').value = '#ff69b4';
+    document.getElementById('moodColor').value = '#ff69b4';
+    document.getElementById('moodAnimation').value = 'bounce';
+    setMoodRange('moodValence', 0);
+    setMoodRange('moodEnergy', 0);
+    document.getElementById('moodActive').checked = true;
+}
+
+function setMoodRange(id, value) {
+    document.getElementById(id).value = value;
+    document.getElementById(`${id}Value`).textContent = value;
+}
+
+function editAdminMood(key) {
+    const mood = moods.find(item => item.key === key);
+    const healing = mood.healing || {};
+
+    resetMoodForm();
+    editingMoodKey = key;
+    document.getElementById('moodFormTitle').textContent = `✏️ Edit ${mood.label}`;
+    document.getElementById('moodCancelBtn').classList.remove('hidden');
+
+    document.getElementById('moodKey').value = mood.key;
+    document.getElementById('moodKey').disabled = true;
+    document.getElementById('moodEmoji').value = mood.emoji;
+    document.getElementById('moodLabel').value = mood.label;
+    document.getElementById('moodTagline').value = mood.tagline;
+    document.getElementById('moodGradientFrom').value = mood.gradient.from;
+    document.getElementById('moodGradientTo').value = mood.gradient.to;
+    document.getElementById('moodColor').value = mood.color;
+    document.getElementById('moodAnimation').value = mood.animation;
+    setMoodRange('moodValence', mood.valence);
+    setMoodRange('moodEnergy', mood.energy);
+    document.getElementById('moodHealingTitle').value = healing.title || '';
+    document.getElementById('moodHealingDescription').value = healing.description || '';
+    document.getElementById('moodHealingTips').value = (healing.tips || []).join('\n');
+    document.getElementById('moodActive').checked = mood.active;
+
+    document.getElementById('adminMoods').scrollIntoView({ behavior: 'smooth' });
+}
+
+const MOOD_INPUTS = {
+    key: 'moodKey',
+    emoji: 'moodEmoji',
+    label: 'moodLabel',
+    tagline: 'moodTagline',
+    'gradient.from': 'moodGradientFrom',
+    'gradient.to': 'moodGradientTo',
+    color: 'moodColor',
+    'healing.title': 'moodHealingTitle',
+    'healing.description': 'moodHealingDescription',
+    'healing.tips': 'moodHealingTips'
+};
+
+async function saveAdminMood() {
+    const body = {
+        emoji: document.getElementById('moodEmoji').value.trim(),
+        label: document.getElementById('moodLabel').value.trim(),
+        tagline: document.getElementById('moodTagline').value.trim(),
+        gradient: {
+            from: document.getElementById('moodGradientFrom').value,
+            to: document.getElementById('moodGradientTo').value
+        },
+        color: document.getElementById('moodColor').value,
+        animation: document.getElementById('moodAnimation').value,
+        valence: Number(document.getElementById('moodValence').value),
+        energy: Number(document.getElementById('moodEnergy').value),
+        healing: {
+            title: document.getElementById('moodHealingTitle').value.trim(),
+            description: document.getElementById('moodHealingDescription').value.trim(),
+            tips: document.getElementById('moodHealingTips').value.split('\n').map(tip => tip.trim()).filter(Boolean)
+        },
+        active: document.getElementById('moodActive').checked
+    };
+    if (!editingMoodKey) body.key = document.getElementById('moodKey').value.trim().toLowerCase();
+
+    const fields = {};
+    if (!editingMoodKey && !body.key) fields.key = 'Please add a key, e.g. tired 🔑';
+    ['emoji', 'label'].forEach(field => {
+        if (!body[field]) fields[field] = 'Please fill in the emoji and label! 📝';
+    });
+    if (!checkFormFields(fields, MOOD_INPUTS)) return;
+
+    try {
+        const response = await apiRequest(editingMoodKey ? `/moods/${editingMoodKey}` : '/moods', {
+            method: editingMoodKey ? 'PATCH' : 'POST',
+            body: JSON.stringify(body)
+        });
+        showToast(response.message, 'success');
+        resetMoodForm();
+        loadAdminMoods();
+    } catch (error) {
+        showFieldErrors(error.fields, MOOD_INPUTS);
+        showToast(error.message || 'Could not save mood! 😕', 'error');
+    }
+}
+
+async function deleteAdminMood(key) {
+    if (!confirm('Delete this mood?')) return;
+
+    try {
+        const response = await apiRequest(`/moods/${key}`, { method: 'DELETE' });
+        showToast(response.message, 'success');
+        if (editingMoodKey === key) resetMoodForm();
+        loadAdminMoods();
+    } catch (error) {
+        showToast(error.message || 'Could not delete mood! 😕', 'error');
+    }
+}
+
+// ----- Analytics -----
+
+// Shared from/to/granularity query for the analytics reports
+function getAnalyticsParams() {
+    const params = new URLSearchParams({
+        granularity: document.getElementById('analyticsGranularity').value,
+        tz: getUserTimezone()
+    });
+    const from = document.getElementById('analyticsFrom').value;
+    const to = document.getElementById('analyticsTo').value;
+
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59`).toISOString());
+    return params;
+}
+
+async function loadAnalyticsReports() {
+    const params = getAnalyticsParams();
+    const report = (name) => apiRequest(`/admin/analytics/${name}?${params}`).then(response => response.data);
+
+    try {
+        const [activeUsers, signups, moodRows, retention, foods] = await Promise.all([
+            report('active-users'),
+            report('signups'),
+            report('moods'),
+            report('retention'),
+            report('foods')
+        ]);
+
+        const labelEvery = (count) => Math.max(1, Math.ceil(count / 10));
+        const singleBars = (rows, field, title) => rows.map(row => ({
+            label: row.period,
+            segments: [{ value: row[field], color: '#ff69b4', title: `${row[field]} ${title}` }]
+        }));
+
+        renderStackedBarChart(document.getElementById('activeUsersChart'), singleBars(activeUsers, 'activeUsers', 'active users'),
+            { labelEvery: labelEvery(activeUsers.length) });
+        renderStackedBarChart(document.getElementById('signupsChart'), singleBars(signups, 'signups', 'signups'),
+            { labelEvery: labelEvery(signups.length) });
+
+        // Moods come as one row per (period, mood)
+        const periods = [...new Set(moodRows.map(row => row.period))];
+        renderStackedBarChart(document.getElementById('moodsOverTimeChart'), periods.map(period => ({
+            label: period,
+            segments: moodRows.filter(row => row.period === period).map(row => ({
+                value: row.count,
+                color: getMood(row.mood).color,
+                title: `${getMood(row.mood).label}: ${row.count}`
+            }))
+        })), { labelEvery: labelEvery(periods.length) });
+
+        renderRetentionTable(retention);
+        renderTopFoodsTable('mostSuggestedTable', foods.mostSuggested, 'suggested');
+        renderTopFoodsTable('mostLikedTable', foods.mostLiked, 'upVotes');
+    } catch (error) {
+        showToast(error.message || 'Could not load reports! 😕', 'error');
+    }
+}
+
+// Cohorts down the side, weeks since signup across the top
+function renderRetentionTable(rows) {
+    const container = document.getElementById('retentionTable');
+    const cohorts = [...new Set(rows.map(row => row.cohort))];
+
+    if (cohorts.length === 0) {
+        container.innerHTML = '<p class="insights-empty">No signups in this range</p>';
+        return;
+    }
+
+    const weeks = [...new Set(rows.map(row => row.week))];
+    container.innerHTML = `
+        <table class="admin-table">
+            <thead>
+                <tr><th>Cohort</th><th>Users</th>${weeks.map(week => `<th>Week ${week}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${cohorts.map(cohort => {
+                    const cohortRows = rows.filter(row => row.cohort === cohort);
+                    return `
+                        <tr>
+                            <td>${cohort}</td>
+                            <td>${cohortRows[0].cohortSize}</td>
+                            ${cohortRows.map(row => `<td title="${row.activeUsers} users">${row.retention}%</td>`).join('')}
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderTopFoodsTable(containerId, rows, field) {
+    const container = document.getElementById(containerId);
+
+    if (rows.length === 0) {
+        container.innerHTML = '<p class="insights-empty">Nothing in this range yet</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="admin-table">
+            <thead><tr><th>Period</th><th>#</th><th>Food</th><th>${field === 'suggested' ? 'Suggested' : '👍'}</th></tr></thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr><td>${row.period}</td><td>${row.rank}</td><td>${escapeHtml(row.emoji)} ${escapeHtml(row.name)}</td><td>${row[field]}</td></tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Save a report as a file (needs the auth header, so it can't be a plain link)
+async function downloadAnalytics(format) {
+    const report = document.getElementById('analyticsExportReport').value;
+    const params = getAnalyticsParams();
+    params.set('format', format);
+    params.set('download', 'true');
+
+    try {
+        const file = await apiRequest(`/admin/analytics/${report}?${params}`, { blob: true });
+
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `foodswing-${report}.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showToast(error.message || 'Could not download the report! 😕', 'error');
+    }
+}
+
+async function loadAdminAnalytics() {
+    try {
+        const [{ analytics }, { stats }] = await Promise.all([
+            apiRequest('/admin/analytics'),
+            apiRequest('/admin/food-feedback')
+        ]);
+
+        const cards = [
+            { icon: '👥', value: analytics.totalUsers, label: 'Users' },
+            { icon: '😊', value: analytics.totalMoodSelections, label: 'Mood check-ins' },
+            { icon: '📬', value: analytics.totalContacts, label: 'Messages' },
+            { icon: '🆕', value: analytics.newContacts, label: 'Unread messages' }
+        ];
+        document.getElementById('adminStatCards').innerHTML = cards.map(card => `
+            <div class="streak-card">
+                <div class="streak-icon">${card.icon}</div>
+                <div class="streak-value">${card.value}</div>
+                <div class="streak-label">${card.label}</div>
+            </div>
+        `).join('');
+
+        renderStackedBarChart(document.getElementById('adminMoodChart'), analytics.moodStats.map(stat => ({
+            label: stat._id,
+            segments: [{ value: stat.count, color: getMood(stat._id).color, title: `${stat.count} check-ins` }]
+        })));
+
+        document.getElementById('adminFeedbackRows').innerHTML = stats.map(stat => `
+            <tr>
+                <td>${escapeHtml(stat.emoji)} ${escapeHtml(stat.name)}</td>
+                <td>${stat.upVotes}</td>
+                <td>${stat.downVotes}</td>
+                <td>${stat.timesEaten}</td>
+                <td>${stat.avgMoodAfter === null ? '—' : `${stat.avgMoodAfter}/5`}</td>
+            </tr>
+        `).join('') || '<tr><td colspan="5">No feedback yet</td></tr>';
+
+        loadAnalyticsReports();
+    } catch (error) {
+        showToast(error.message || 'Could not load analytics! 😕', 'error');
+    }
+}
+
+// ============= BLOG =============
+
+function formatPostDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+async function loadBlogPosts() {
+    const blogGrid = document.getElementById('blogGrid');
+    hideBlogPost();
+
+    try {
+        const response = await apiRequest('/blog/posts');
+
+        if (response.posts.length === 0) {
+            blogGrid.innerHTML = '<p class="blog-empty">No articles yet. Check back soon! 📚</p>';
+            return;
+        }
+
+        blogGrid.innerHTML = response.posts.map(post => `
+            <article class="blog-card" data-slug="${escapeHtml(post.slug)}" onclick="openBlogPost(this.dataset.slug)">
+                ${post.coverImage ? `<img src="${escapeHtml(post.coverImage)}" alt="${escapeHtml(post.title)}" class="blog-image" onerror="this.style.display='none'">` : ''}
+                <div class="blog-content">
+                    <div class="blog-icon">${escapeHtml(post.icon)}</div>
+                    <h2>${escapeHtml(post.title)}</h2>
+                    <p>${escapeHtml(post.excerpt)}</p>
+                    <span class="blog-date">${formatPostDate(post.publishedAt)} • ${post.readTime} min read</span>
+                    ${post.tags.map(tag => `<span class="blog-tag">${escapeHtml(tag)}</span>`).join(' ')}
+                </div>
+            </article>
+        `).join('');
+    } catch (error) {
+        showToast(error.message || 'Failed to load blog posts! 😕', 'error');
+    }
+}
+
+function openBlogPost(slug) {
+    navigate(`/blog/${encodeURIComponent(slug)}`);
+}
+
+// Render one article (the #/blog/:slug route)
+async function showBlogPost(slug) {
+    try {
+        const { post } = await apiRequest(`/blog/posts/${encodeURIComponent(slug)}`);
+        const article = document.getElementById('blogArticle');
+
+        // post.html is rendered from Markdown and sanitised on the server
+        article.innerHTML = `
+            <button class="blog-back-btn" onclick="navigate('/blog')">← Back to all articles</button>
+            ${post.coverImage ? `<img src="${escapeHtml(post.coverImage)}" alt="${escapeHtml(post.title)}" class="blog-article-cover" onerror="this.style.display='none'">` : ''}
+            <h1 class="blog-article-title">${escapeHtml(post.icon)} ${escapeHtml(post.title)}</h1>
+            <div class="blog-article-meta">
+                <span class="blog-date">${formatPostDate(post.publishedAt)} • ${post.readTime} min read${post.author ? ` • by ${escapeHtml(post.author.name)}` : ''}</span>
+                ${post.tags.map(tag => `<span class="blog-tag">${escapeHtml(tag)}</span>`).join(' ')}
+            </div>
+            <div class="blog-article-body">${post.html}</div>
+        `;
+
+        document.getElementById('blogGrid').classList.add('hidden');
+        article.classList.remove('hidden');
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    } catch (error) {
+        showToast(error.message || 'Failed to open article! 😕', 'error');
+        navigate('/blog', { replace: true });
+    }
+}
+
+function hideBlogPost() {
+    document.getElementById('blogArticle').classList.add('hidden');
+    document.getElementById('blogGrid').classList.remove('hidden');
+}
+
+// ============= UI EFFECTS =============
+
+// Escape user-provided text before putting it into innerHTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
 function showToast(message, type = 'info') {
     // Remove existing toast
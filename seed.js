@@ -0,0 +1,816 @@
+// Seed script: imports the original mood-based food catalog into MongoDB.
+// Usage: npm run seed
+// Entries are matched by name (foods, recipes via their food) and slug (posts) and only inserted when
+// missing, so edits to existing entries are kept. Re-running restores any seeded entry that is missing:
+// a deleted food comes back, and a renamed one comes back under its old name next to the renamed copy.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Food, Post, Recipe } = require('./models');
+const { ensureDefaultMoods } = require('./services/moods');
+
+const foodDatabase = {
+  happy: [
+    { name: "Pizza Party", emoji: "🍕", description: "Celebrate with a classic!", category: "Italian" },
+    { name: "Ice Cream Sundae", emoji: "🍦", description: "Sweet moments!", category: "Dessert" },
+    { name: "Sushi Rolls", emoji: "🍣", description: "Fresh and delightful", category: "Japanese" },
+    { name: "Birthday Cake", emoji: "🎂", description: "Every day's a celebration!", category: "Dessert" },
+    { name: "Tacos", emoji: "🌮", description: "Fiesta vibes!", category: "Mexican" },
+    { name: "Fruit Salad", emoji: "🍓", description: "Refreshing happiness", category: "Healthy" },
+    { name: "Smoothie Bowl", emoji: "🥣", description: "Colorful energy", category: "Healthy" },
+    { name: "Donuts", emoji: "🍩", description: "Sweet circle of joy", category: "Dessert" }
+  ],
+  sad: [
+    { name: "Mac & Cheese", emoji: "🧀", description: "Ultimate comfort food", category: "Comfort" },
+    { name: "Hot Chocolate", emoji: "☕", description: "Warm hugs in a mug", category: "Beverage" },
+    { name: "Chicken Soup", emoji: "🍲", description: "Healing warmth", category: "Comfort" },
+    { name: "Mashed Potatoes", emoji: "🥔", description: "Soft and soothing", category: "Comfort" },
+    { name: "Chocolate Cake", emoji: "🍫", description: "Sweet therapy", category: "Dessert" },
+    { name: "Grilled Cheese", emoji: "🧀", description: "Melty goodness", category: "Comfort" },
+    { name: "Ramen", emoji: "🍜", description: "Slurp your sorrows away", category: "Asian" },
+    { name: "Cookies", emoji: "🍪", description: "Bite-sized happiness", category: "Dessert" }
+  ],
+  angry: [
+    { name: "Spicy Wings", emoji: "🍗", description: "Fire meets fire!", category: "Spicy" },
+    { name: "Hot Curry", emoji: "🍛", description: "Release the heat", category: "Indian" },
+    { name: "Jalapeño Poppers", emoji: "🌶️", description: "Explosive flavor", category: "Spicy" },
+    { name: "Spicy Ramen", emoji: "🍜", description: "Burn the anger away", category: "Asian" },
+    { name: "Buffalo Chicken", emoji: "🍗", description: "Fiery satisfaction", category: "Spicy" },
+    { name: "Sriracha Noodles", emoji: "🍝", description: "Spice therapy", category: "Spicy" },
+    { name: "Hot Salsa", emoji: "🌶️", description: "Chip away the anger", category: "Mexican" },
+    { name: "Wasabi Sushi", emoji: "🍣", description: "Clear your mind", category: "Japanese" }
+  ],
+  stressed: [
+    { name: "Dark Chocolate", emoji: "🍫", description: "Stress relief in a bite", category: "Dessert" },
+    { name: "Green Tea", emoji: "🍵", description: "Zen in a cup", category: "Beverage" },
+    { name: "Salmon", emoji: "🐟", description: "Omega-3 calm", category: "Healthy" },
+    { name: "Avocado Toast", emoji: "🥑", description: "Smooth operator", category: "Healthy" },
+    { name: "Nuts Mix", emoji: "🥜", description: "Crunchy stress relief", category: "Snack" },
+    { name: "Chamomile Tea", emoji: "☕", description: "Peaceful sips", category: "Beverage" },
+    { name: "Berries", emoji: "🫐", description: "Antioxidant boost", category: "Healthy" },
+    { name: "Yogurt Parfait", emoji: "🥣", description: "Calming layers", category: "Healthy" }
+  ],
+  excited: [
+    { name: "Energy Bowl", emoji: "🥗", description: "Fuel your adventure!", category: "Healthy" },
+    { name: "Burger Combo", emoji: "🍔", description: "Big bold flavors", category: "Fast Food" },
+    { name: "Pasta Carbonara", emoji: "🍝", description: "Rich excitement", category: "Italian" },
+    { name: "BBQ Ribs", emoji: "🍖", description: "Party starter", category: "BBQ" },
+    { name: "Nachos", emoji: "🧀", description: "Share the joy", category: "Mexican" },
+    { name: "Fried Chicken", emoji: "🍗", description: "Crispy celebration", category: "Comfort" },
+    { name: "Milkshake", emoji: "🥤", description: "Sweet rush", category: "Beverage" },
+    { name: "Spring Rolls", emoji: "🥢", description: "Fresh excitement", category: "Asian" }
+  ]
+};
+
+// Details per food: which diets it suits, how spicy it is (0-3), allergens
+// and nutrition per serving (calories in kcal, macros in grams)
+const ALL_DIETS = ['vegetarian', 'vegan', 'halal', 'gluten-free'];
+
+const foodDetails = {
+  'Pizza Party': {
+    diets: ['vegetarian', 'halal'], spiceLevel: 0, allergens: ['gluten', 'dairy'],
+    nutrition: { calories: 285, protein: 12, carbs: 36, fat: 10, fiber: 2.5, sugar: 4, nutrients: ['calcium'] }
+  },
+  'Ice Cream Sundae': {
+    diets: ['vegetarian', 'halal', 'gluten-free'], spiceLevel: 0, allergens: ['dairy', 'eggs', 'nuts'],
+    nutrition: { calories: 350, protein: 6, carbs: 45, fat: 17, fiber: 1, sugar: 38, nutrients: ['calcium'] }
+  },
+  'Sushi Rolls': {
+    diets: ['halal'], spiceLevel: 0, allergens: ['fish', 'soy', 'sesame'],
+    nutrition: { calories: 300, protein: 12, carbs: 50, fat: 5, fiber: 3, sugar: 8, nutrients: ['omega-3', 'iodine'] }
+  },
+  'Birthday Cake': {
+    diets: ['vegetarian', 'halal'], spiceLevel: 0, allergens: ['gluten', 'dairy', 'eggs'],
+    nutrition: { calories: 420, protein: 5, carbs: 60, fat: 18, fiber: 1, sugar: 42, nutrients: [] }
+  },
+  'Tacos': {
+    diets: [], spiceLevel: 1, allergens: ['gluten', 'dairy'],
+    nutrition: { calories: 350, protein: 18, carbs: 30, fat: 16, fiber: 5, sugar: 3, nutrients: ['iron'] }
+  },
+  'Fruit Salad': {
+    diets: ALL_DIETS, spiceLevel: 0, allergens: [],
+    nutrition: { calories: 120, protein: 1.5, carbs: 30, fat: 0.5, fiber: 4, sugar: 24, nutrients: ['vitamin C', 'potassium'] }
+  },
+  'Smoothie Bowl': {
+    diets: ALL_DIETS, spiceLevel: 0, allergens: [],
+    nutrition: { calories: 280, protein: 6, carbs: 55, fat: 5, fiber: 8, sugar: 35, nutrients: ['vitamin C', 'antioxidants'] }
+  },
+  'Donuts': {
+    diets: ['vegetarian', 'halal'], spiceLevel: 0, allergens: ['gluten', 'dairy', 'eggs', 'soy'],
+    nutrition: { calories: 260, protein: 3, carbs: 31, fat: 14, fiber: 1, sugar: 13, nutrients: [] }
+  },
+  'Mac & Cheese': {
+    diets: ['vegetarian', 'halal'], spiceLevel: 0, allergens: ['gluten', 'dairy'],
+    nutrition: { calories: 450, protein: 17, carbs: 50, fat: 20, fiber: 2, sugar: 6, nutrients: ['calcium'] }
+  },
+  'Hot Chocolate': {
+    diets: ['vegetarian', 'halal', 'gluten-free'], spiceLevel: 0, allergens: ['dairy'],
+    nutrition: { calories: 190, protein: 8, carbs: 27, fat: 6, fiber: 2, sugar: 24, nutrients: ['calcium', 'magnesium'] }
+  },
+  'Chicken Soup': {
+    diets: [], spiceLevel: 0, allergens: ['gluten'],
+    nutrition: { calories: 180, protein: 12, carbs: 18, fat: 5, fiber: 2, sugar: 3, nutrients: ['zinc'] }
+  },
+  'Mashed Potatoes': {
+    diets: ['vegetarian', 'halal', 'gluten-free'], spiceLevel: 0, allergens: ['dairy'],
+    nutrition: { calories: 240, protein: 4, carbs: 35, fat: 9, fiber: 3, sugar: 2, nutrients: ['potassium', 'vitamin C'] }
+  },
+  'Chocolate Cake': {
+    diets: ['vegetarian', 'halal'], spiceLevel: 0, allergens: ['gluten', 'dairy', 'eggs'],
+    nutrition: { calories: 400, protein: 5, carbs: 55, fat: 19, fiber: 3, sugar: 40, nutrients: ['magnesium'] }
+  },
+  'Grilled Cheese': {
+    diets: ['vegetarian', 'halal'], spiceLevel: 0, allergens: ['gluten', 'dairy'],
+    nutrition: { calories: 380, protein: 15, carbs: 30, fat: 22, fiber: 1, sugar: 4, nutrients: ['calcium'] }
+  },
+  'Ramen': {
+    diets: [], spiceLevel: 0, allergens: ['gluten', 'eggs', 'soy'],
+    nutrition: { calories: 450, protein: 15, carbs: 60, fat: 16, fiber: 3, sugar: 4, nutrients: ['iron'] }
+  },
+  'Cookies': {
+    diets: ['vegetarian', 'halal'], spiceLevel: 0, allergens: ['gluten', 'dairy', 'eggs'],
+    nutrition: { calories: 220, protein: 2, carbs: 30, fat: 11, fiber: 1, sugar: 18, nutrients: [] }
+  },
+  'Spicy Wings': {
+    diets: ['gluten-free'], spiceLevel: 3, allergens: [],
+    nutrition: { calories: 430, protein: 35, carbs: 5, fat: 30, fiber: 0, sugar: 2, nutrients: ['vitamin B6'] }
+  },
+  'Hot Curry': {
+    diets: ['gluten-free'], spiceLevel: 3, allergens: ['dairy'],
+    nutrition: { calories: 380, protein: 20, carbs: 25, fat: 22, fiber: 5, sugar: 6, nutrients: ['iron', 'curcumin'] }
+  },
+  'Jalapeño Poppers': {
+    diets: ['vegetarian'], spiceLevel: 2, allergens: ['gluten', 'dairy', 'eggs'],
+    nutrition: { calories: 300, protein: 8, carbs: 22, fat: 20, fiber: 2, sugar: 3, nutrients: ['vitamin C'] }
+  },
+  'Spicy Ramen': {
+    diets: [], spiceLevel: 3, allergens: ['gluten', 'eggs', 'soy', 'sesame'],
+    nutrition: { calories: 500, protein: 14, carbs: 65, fat: 20, fiber: 3, sugar: 5, nutrients: ['iron'] }
+  },
+  'Buffalo Chicken': {
+    diets: ['gluten-free'], spiceLevel: 2, allergens: ['dairy'],
+    nutrition: { calories: 400, protein: 32, carbs: 8, fat: 26, fiber: 0.5, sugar: 2, nutrients: ['vitamin B6'] }
+  },
+  'Sriracha Noodles': {
+    diets: ['vegetarian', 'vegan'], spiceLevel: 2, allergens: ['gluten', 'soy', 'sesame'],
+    nutrition: { calories: 420, protein: 10, carbs: 70, fat: 12, fiber: 4, sugar: 10, nutrients: [] }
+  },
+  'Hot Salsa': {
+    diets: ALL_DIETS, spiceLevel: 3, allergens: [],
+    nutrition: { calories: 70, protein: 3, carbs: 14, fat: 0.5, fiber: 4, sugar: 8, nutrients: ['vitamin C'] }
+  },
+  'Wasabi Sushi': {
+    diets: ['halal'], spiceLevel: 2, allergens: ['fish', 'soy', 'sesame'],
+    nutrition: { calories: 280, protein: 11, carbs: 48, fat: 4, fiber: 2, sugar: 7, nutrients: ['omega-3'] }
+  },
+  'Dark Chocolate': {
+    diets: ALL_DIETS, spiceLevel: 0, allergens: [],
+    nutrition: { calories: 170, protein: 2, carbs: 13, fat: 12, fiber: 3, sugar: 7, nutrients: ['magnesium', 'iron', 'antioxidants'] }
+  },
+  'Green Tea': {
+    diets: ALL_DIETS, spiceLevel: 0, allergens: [],
+    nutrition: { calories: 2, protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0, nutrients: ['L-theanine', 'antioxidants'] }
+  },
+  'Salmon': {
+    diets: ['halal', 'gluten-free'], spiceLevel: 0, allergens: ['fish'],
+    nutrition: { calories: 360, protein: 34, carbs: 0, fat: 22, fiber: 0, sugar: 0, nutrients: ['omega-3', 'vitamin D', 'vitamin B12'] }
+  },
+  'Avocado Toast': {
+    diets: ['vegetarian', 'vegan', 'halal'], spiceLevel: 0, allergens: ['gluten'],
+    nutrition: { calories: 290, protein: 7, carbs: 30, fat: 17, fiber: 8, sugar: 2, nutrients: ['potassium', 'magnesium'] }
+  },
+  'Nuts Mix': {
+    diets: ALL_DIETS, spiceLevel: 0, allergens: ['nuts', 'peanuts'],
+    nutrition: { calories: 200, protein: 6, carbs: 7, fat: 18, fiber: 3, sugar: 1, nutrients: ['magnesium', 'vitamin E'] }
+  },
+  'Chamomile Tea': {
+    diets: ALL_DIETS, spiceLevel: 0, allergens: [],
+    nutrition: { calories: 2, protein: 0, carbs: 0.4, fat: 0, fiber: 0, sugar: 0, nutrients: ['apigenin'] }
+  },
+  'Berries': {
+    diets: ALL_DIETS, spiceLevel: 0, allergens: [],
+    nutrition: { calories: 70, protein: 1, carbs: 17, fat: 0.5, fiber: 4, sugar: 10, nutrients: ['vitamin C', 'antioxidants'] }
+  },
+  'Yogurt Parfait': {
+    diets: ['vegetarian', 'halal'], spiceLevel: 0, allergens: ['dairy', 'gluten'],
+    nutrition: { calories: 250, protein: 12, carbs: 35, fat: 6, fiber: 3, sugar: 22, nutrients: ['probiotics', 'calcium'] }
+  },
+  'Energy Bowl': {
+    diets: ALL_DIETS, spiceLevel: 0, allergens: ['nuts'],
+    nutrition: { calories: 420, protein: 15, carbs: 55, fat: 16, fiber: 10, sugar: 8, nutrients: ['iron', 'magnesium'] }
+  },
+  'Burger Combo': {
+    diets: [], spiceLevel: 0, allergens: ['gluten', 'dairy', 'eggs', 'sesame'],
+    nutrition: { calories: 850, protein: 30, carbs: 95, fat: 38, fiber: 6, sugar: 12, nutrients: ['iron'] }
+  },
+  'Pasta Carbonara': {
+    diets: [], spiceLevel: 0, allergens: ['gluten', 'dairy', 'eggs'],
+    nutrition: { calories: 600, protein: 25, carbs: 70, fat: 25, fiber: 3, sugar: 3, nutrients: ['vitamin B12'] }
+  },
+  'BBQ Ribs': {
+    diets: ['gluten-free'], spiceLevel: 1, allergens: [],
+    nutrition: { calories: 650, protein: 45, carbs: 20, fat: 42, fiber: 1, sugar: 16, nutrients: ['zinc'] }
+  },
+  'Nachos': {
+    diets: ['vegetarian', 'gluten-free'], spiceLevel: 1, allergens: ['dairy'],
+    nutrition: { calories: 550, protein: 18, carbs: 55, fat: 30, fiber: 6, sugar: 3, nutrients: ['calcium'] }
+  },
+  'Fried Chicken': {
+    diets: [], spiceLevel: 1, allergens: ['gluten', 'eggs'],
+    nutrition: { calories: 490, protein: 35, carbs: 18, fat: 30, fiber: 1, sugar: 0, nutrients: ['vitamin B6'] }
+  },
+  'Milkshake': {
+    diets: ['vegetarian', 'halal', 'gluten-free'], spiceLevel: 0, allergens: ['dairy'],
+    nutrition: { calories: 520, protein: 12, carbs: 75, fat: 20, fiber: 1, sugar: 65, nutrients: ['calcium'] }
+  },
+  'Spring Rolls': {
+    diets: ['vegetarian', 'vegan'], spiceLevel: 0, allergens: ['gluten', 'soy'],
+    nutrition: { calories: 200, protein: 4, carbs: 28, fat: 8, fiber: 2, sugar: 3, nutrients: ['vitamin A'] }
+  }
+};
+
+// Recipes keyed by food name. Ingredients are [quantity, unit, name]; times are in minutes
+const recipes = {
+  'Pizza Party': {
+    servings: 4, prepTime: 20, cookTime: 15, difficulty: 'medium',
+    ingredients: [[500, 'g', 'pizza dough'], [200, 'ml', 'tomato passata'], [250, 'g', 'mozzarella'], [2, 'tbsp', 'olive oil'], [1, 'tsp', 'dried oregano'], [8, '', 'basil leaves']],
+    steps: [
+      'Heat the oven as hot as it goes (around 250°C) with a tray inside.',
+      'Split the dough in two and stretch each piece into a thin round.',
+      'Spread the passata over the bases, leaving a border, and sprinkle with oregano.',
+      'Tear over the mozzarella and drizzle with olive oil.',
+      'Slide onto the hot tray and bake for 10-15 minutes until bubbling and golden.',
+      'Scatter with basil, slice and share.'
+    ]
+  },
+  'Ice Cream Sundae': {
+    servings: 2, prepTime: 10, cookTime: 0, difficulty: 'easy',
+    ingredients: [[4, 'scoops', 'vanilla ice cream'], [4, 'tbsp', 'chocolate sauce'], [100, 'ml', 'whipping cream'], [2, 'tbsp', 'sprinkles'], [2, '', 'cherries']],
+    steps: [
+      'Whip the cream to soft peaks.',
+      'Drizzle a little chocolate sauce into two glasses.',
+      'Add two scoops of ice cream to each and pour over the rest of the sauce.',
+      'Top with whipped cream, sprinkles and a cherry.'
+    ]
+  },
+  'Sushi Rolls': {
+    servings: 2, prepTime: 40, cookTime: 20, difficulty: 'hard',
+    ingredients: [[200, 'g', 'sushi rice'], [3, 'tbsp', 'rice vinegar'], [1, 'tbsp', 'sugar'], [4, 'sheets', 'nori'], [150, 'g', 'sushi-grade salmon'], [0.5, '', 'cucumber'], [2, 'tbsp', 'soy sauce']],
+    steps: [
+      'Rinse the rice until the water runs clear, then cook it with 250 ml water.',
+      'Stir the vinegar and sugar through the warm rice and leave to cool.',
+      'Cut the salmon and cucumber into long thin strips.',
+      'Lay a nori sheet on a bamboo mat and spread a thin layer of rice over it, leaving a strip at the top.',
+      'Line the fillings along the bottom edge and roll up tightly.',
+      'Slice each roll into 8 pieces with a wet knife and serve with soy sauce.'
+    ]
+  },
+  'Birthday Cake': {
+    servings: 10, prepTime: 30, cookTime: 30, difficulty: 'medium',
+    ingredients: [[225, 'g', 'butter'], [225, 'g', 'caster sugar'], [4, '', 'eggs'], [225, 'g', 'self-raising flour'], [2, 'tbsp', 'milk'], [250, 'g', 'icing sugar'], [2, 'tbsp', 'sprinkles']],
+    steps: [
+      'Heat the oven to 180°C and line two 20 cm tins.',
+      'Beat 175 g of the butter with the caster sugar until pale, then beat in the eggs one at a time.',
+      'Fold in the flour and milk and divide between the tins.',
+      'Bake for 25-30 minutes and leave to cool completely.',
+      'Beat the remaining butter with the icing sugar to make the frosting.',
+      'Sandwich and cover the cakes with frosting and finish with sprinkles.'
+    ]
+  },
+  'Tacos': {
+    servings: 4, prepTime: 15, cookTime: 15, difficulty: 'easy',
+    ingredients: [[8, '', 'corn tortillas'], [400, 'g', 'beef mince'], [1, 'tbsp', 'taco seasoning'], [1, '', 'red onion'], [2, '', 'tomatoes'], [1, '', 'lime'], [1, 'handful', 'coriander']],
+    steps: [
+      'Brown the mince in a hot pan, breaking it up as it cooks.',
+      'Stir in the seasoning with a splash of water and simmer for 5 minutes.',
+      'Finely chop the onion, tomatoes and coriander and mix with the lime juice.',
+      'Warm the tortillas in a dry pan.',
+      'Fill with the beef and top with the fresh salsa.'
+    ]
+  },
+  'Fruit Salad': {
+    servings: 4, prepTime: 15, cookTime: 0, difficulty: 'easy',
+    ingredients: [[250, 'g', 'strawberries'], [2, '', 'kiwis'], [1, '', 'mango'], [150, 'g', 'grapes'], [1, '', 'orange'], [4, '', 'mint leaves']],
+    steps: [
+      'Hull and halve the strawberries, and peel and dice the kiwis and mango.',
+      'Halve the grapes and mix everything in a bowl.',
+      'Squeeze over the orange juice and toss gently.',
+      'Shred the mint over the top and serve chilled.'
+    ]
+  },
+  'Smoothie Bowl': {
+    servings: 1, prepTime: 10, cookTime: 0, difficulty: 'easy',
+    ingredients: [[1, '', 'frozen banana'], [100, 'g', 'frozen mixed berries'], [80, 'ml', 'almond milk'], [2, 'tbsp', 'granola'], [1, 'tbsp', 'chia seeds'], [1, 'tbsp', 'coconut flakes']],
+    steps: [
+      'Blend the banana, berries and almond milk until thick and smooth.',
+      'Spoon into a bowl.',
+      'Top with granola, chia seeds and coconut flakes and eat straight away.'
+    ]
+  },
+  'Donuts': {
+    servings: 12, prepTime: 90, cookTime: 15, difficulty: 'hard',
+    ingredients: [[500, 'g', 'strong white flour'], [7, 'g', 'dried yeast'], [60, 'g', 'caster sugar'], [250, 'ml', 'warm milk'], [2, '', 'eggs'], [50, 'g', 'butter'], [1, 'l', 'sunflower oil for frying']],
+    steps: [
+      'Mix the flour, yeast and half the sugar, then add the milk, eggs and melted butter.',
+      'Knead for 10 minutes until smooth, cover and leave to double in size.',
+      'Roll out to 2 cm thick and stamp out rings.',
+      'Leave the rings to rise for 30 minutes.',
+      'Fry in oil at 170°C for about 1 minute per side until golden.',
+      'Drain and toss in the remaining sugar while warm.'
+    ]
+  },
+  'Mac & Cheese': {
+    servings: 4, prepTime: 10, cookTime: 25, difficulty: 'easy',
+    ingredients: [[300, 'g', 'macaroni'], [40, 'g', 'butter'], [40, 'g', 'plain flour'], [500, 'ml', 'milk'], [200, 'g', 'mature cheddar'], [1, 'tsp', 'mustard'], [2, 'tbsp', 'breadcrumbs']],
+    steps: [
+      'Cook the macaroni in salted water until just tender, then drain.',
+      'Melt the butter in a pan, stir in the flour and cook for a minute.',
+      'Whisk in the milk a little at a time and simmer until thickened.',
+      'Take off the heat and stir in the mustard and most of the cheese.',
+      'Mix the sauce with the pasta and tip into a baking dish.',
+      'Top with the rest of the cheese and the breadcrumbs and grill until golden.'
+    ]
+  },
+  'Hot Chocolate': {
+    servings: 2, prepTime: 5, cookTime: 5, difficulty: 'easy',
+    ingredients: [[500, 'ml', 'milk'], [60, 'g', 'dark chocolate'], [1, 'tbsp', 'cocoa powder'], [1, 'tbsp', 'sugar'], [4, '', 'marshmallows']],
+    steps: [
+      'Warm the milk gently in a pan.',
+      'Whisk in the cocoa and sugar.',
+      'Add the chopped chocolate and stir until melted and smooth.',
+      'Pour into mugs and top with marshmallows.'
+    ]
+  },
+  'Chicken Soup': {
+    servings: 4, prepTime: 15, cookTime: 40, difficulty: 'easy',
+    ingredients: [[2, '', 'chicken breasts'], [1.5, 'l', 'chicken stock'], [2, '', 'carrots'], [2, 'sticks', 'celery'], [1, '', 'onion'], [100, 'g', 'egg noodles'], [1, 'handful', 'parsley']],
+    steps: [
+      'Dice the onion, carrots and celery and soften in a large pot for 5 minutes.',
+      'Add the stock and the whole chicken breasts and simmer for 20 minutes.',
+      'Lift out the chicken, shred it with two forks and return it to the pot.',
+      'Add the noodles and cook for 5 minutes more.',
+      'Season, stir through the parsley and serve.'
+    ]
+  },
+  'Mashed Potatoes': {
+    servings: 4, prepTime: 10, cookTime: 20, difficulty: 'easy',
+    ingredients: [[1, 'kg', 'floury potatoes'], [50, 'g', 'butter'], [100, 'ml', 'warm milk'], [1, 'pinch', 'salt'], [1, 'pinch', 'white pepper']],
+    steps: [
+      'Peel the potatoes and cut them into even chunks.',
+      'Boil in salted water for 15-20 minutes until completely soft.',
+      'Drain well and leave to steam dry for a couple of minutes.',
+      'Mash with the butter and warm milk until smooth, then season.'
+    ]
+  },
+  'Chocolate Cake': {
+    servings: 8, prepTime: 20, cookTime: 35, difficulty: 'medium',
+    ingredients: [[200, 'g', 'plain flour'], [200, 'g', 'caster sugar'], [60, 'g', 'cocoa powder'], [2, '', 'eggs'], [120, 'ml', 'sunflower oil'], [240, 'ml', 'milk'], [1, 'tsp', 'baking powder'], [150, 'g', 'dark chocolate']],
+    steps: [
+      'Heat the oven to 180°C and line a 20 cm tin.',
+      'Whisk the flour, sugar, cocoa and baking powder together.',
+      'Beat in the eggs, oil and milk to make a smooth batter.',
+      'Pour into the tin and bake for 30-35 minutes.',
+      'Melt the chocolate and spread it over the cooled cake.'
+    ]
+  },
+  'Grilled Cheese': {
+    servings: 1, prepTime: 5, cookTime: 8, difficulty: 'easy',
+    ingredients: [[2, 'slices', 'bread'], [60, 'g', 'cheddar'], [15, 'g', 'butter']],
+    steps: [
+      'Butter the outside of both slices of bread.',
+      'Put the cheese between them, buttered sides out.',
+      'Cook in a pan over a medium heat for 3-4 minutes per side until golden and melted.'
+    ]
+  },
+  'Ramen': {
+    servings: 2, prepTime: 15, cookTime: 20, difficulty: 'medium',
+    ingredients: [[200, 'g', 'ramen noodles'], [800, 'ml', 'chicken stock'], [2, 'tbsp', 'soy sauce'], [1, 'tbsp', 'miso paste'], [2, '', 'eggs'], [2, '', 'spring onions'], [100, 'g', 'pak choi']],
+    steps: [
+      'Boil the eggs for 6½ minutes, cool them in cold water and peel.',
+      'Bring the stock to a simmer and whisk in the soy sauce and miso.',
+      'Add the pak choi for the last 2 minutes.',
+      'Cook the noodles separately and divide between bowls.',
+      'Ladle over the broth and top with halved eggs and sliced spring onions.'
+    ]
+  },
+  'Cookies': {
+    servings: 12, prepTime: 15, cookTime: 12, difficulty: 'easy',
+    ingredients: [[115, 'g', 'butter'], [100, 'g', 'brown sugar'], [50, 'g', 'caster sugar'], [1, '', 'egg'], [190, 'g', 'plain flour'], [0.5, 'tsp', 'bicarbonate of soda'], [150, 'g', 'chocolate chips']],
+    steps: [
+      'Heat the oven to 180°C and line two baking trays.',
+      'Beat the butter and both sugars until creamy, then beat in the egg.',
+      'Stir in the flour and bicarbonate of soda, then the chocolate chips.',
+      'Roll into 12 balls and space them out on the trays.',
+      'Bake for 10-12 minutes and leave to firm up on the tray.'
+    ]
+  },
+  'Spicy Wings': {
+    servings: 4, prepTime: 10, cookTime: 45, difficulty: 'easy',
+    ingredients: [[1, 'kg', 'chicken wings'], [1, 'tbsp', 'baking powder'], [2, 'tsp', 'smoked paprika'], [1, 'tsp', 'cayenne pepper'], [80, 'ml', 'hot sauce'], [30, 'g', 'butter']],
+    steps: [
+      'Heat the oven to 220°C.',
+      'Toss the wings with the baking powder, paprika, cayenne and a pinch of salt.',
+      'Spread on a rack over a tray and bake for 40-45 minutes, turning halfway.',
+      'Melt the butter into the hot sauce.',
+      'Toss the crispy wings in the sauce and serve straight away.'
+    ]
+  },
+  'Hot Curry': {
+    servings: 4, prepTime: 15, cookTime: 35, difficulty: 'medium',
+    ingredients: [[600, 'g', 'chicken thighs'], [1, '', 'onion'], [3, 'cloves', 'garlic'], [1, 'tbsp', 'grated ginger'], [2, 'tbsp', 'curry paste'], [2, '', 'red chillies'], [400, 'ml', 'coconut milk'], [400, 'g', 'chopped tomatoes']],
+    steps: [
+      'Fry the sliced onion until soft, then add the garlic, ginger and chillies.',
+      'Stir in the curry paste and cook for a minute.',
+      'Add the diced chicken and brown on all sides.',
+      'Pour in the tomatoes and coconut milk and simmer for 25 minutes.',
+      'Season and serve with rice.'
+    ]
+  },
+  'Jalapeño Poppers': {
+    servings: 4, prepTime: 15, cookTime: 20, difficulty: 'easy',
+    ingredients: [[12, '', 'jalapeños'], [150, 'g', 'cream cheese'], [60, 'g', 'cheddar'], [1, '', 'egg'], [50, 'g', 'breadcrumbs']],
+    steps: [
+      'Heat the oven to 200°C.',
+      'Halve the jalapeños lengthways and scrape out the seeds.',
+      'Mix the cream cheese with the grated cheddar and fill each half.',
+      'Dip the filled side in beaten egg, then in breadcrumbs.',
+      'Bake for 20 minutes until golden and bubbling.'
+    ]
+  },
+  'Spicy Ramen': {
+    servings: 2, prepTime: 10, cookTime: 15, difficulty: 'easy',
+    ingredients: [[200, 'g', 'ramen noodles'], [800, 'ml', 'chicken stock'], [2, 'tbsp', 'gochujang'], [1, 'tbsp', 'chilli oil'], [1, 'tbsp', 'soy sauce'], [2, '', 'eggs'], [2, '', 'spring onions']],
+    steps: [
+      'Whisk the gochujang and soy sauce into the stock and bring to a simmer.',
+      'Soft-boil the eggs for 6½ minutes, then cool and peel.',
+      'Cook the noodles and divide between bowls.',
+      'Pour over the spicy broth and top with the eggs, spring onions and chilli oil.'
+    ]
+  },
+  'Buffalo Chicken': {
+    servings: 4, prepTime: 10, cookTime: 25, difficulty: 'easy',
+    ingredients: [[4, '', 'chicken breasts'], [1, 'tbsp', 'olive oil'], [100, 'ml', 'buffalo hot sauce'], [30, 'g', 'butter'], [1, 'tsp', 'garlic powder'], [2, 'sticks', 'celery']],
+    steps: [
+      'Heat the oven to 200°C.',
+      'Rub the chicken with oil and garlic powder and roast for 20-25 minutes.',
+      'Melt the butter into the hot sauce.',
+      'Slice the chicken and toss it in the sauce.',
+      'Serve with celery sticks.'
+    ]
+  },
+  'Sriracha Noodles': {
+    servings: 2, prepTime: 10, cookTime: 10, difficulty: 'easy',
+    ingredients: [[200, 'g', 'rice noodles'], [2, 'tbsp', 'sriracha'], [2, 'tbsp', 'soy sauce'], [1, 'tbsp', 'maple syrup'], [1, 'tbsp', 'sesame oil'], [1, '', 'red pepper'], [2, '', 'spring onions']],
+    steps: [
+      'Soak or cook the noodles according to the packet.',
+      'Whisk the sriracha, soy sauce, maple syrup and sesame oil together.',
+      'Stir-fry the sliced pepper for 2 minutes.',
+      'Add the noodles and sauce and toss until glossy.',
+      'Finish with sliced spring onions.'
+    ]
+  },
+  'Hot Salsa': {
+    servings: 6, prepTime: 15, cookTime: 0, difficulty: 'easy',
+    ingredients: [[4, '', 'ripe tomatoes'], [1, '', 'red onion'], [2, '', 'jalapeños'], [1, '', 'lime'], [1, 'handful', 'coriander'], [1, 'pinch', 'salt'], [200, 'g', 'tortilla chips']],
+    steps: [
+      'Finely dice the tomatoes, onion and jalapeños.',
+      'Chop the coriander and mix everything together.',
+      'Season with lime juice and salt.',
+      'Leave for 10 minutes for the flavours to mingle, then serve with chips.'
+    ]
+  },
+  'Wasabi Sushi': {
+    servings: 2, prepTime: 40, cookTime: 20, difficulty: 'hard',
+    ingredients: [[200, 'g', 'sushi rice'], [3, 'tbsp', 'rice vinegar'], [1, 'tbsp', 'sugar'], [150, 'g', 'sushi-grade tuna'], [2, 'tsp', 'wasabi'], [2, 'tbsp', 'soy sauce']],
+    steps: [
+      'Rinse and cook the rice, then season with the vinegar and sugar and let it cool.',
+      'Slice the tuna into thin pieces.',
+      'With wet hands, shape the rice into small oval mounds.',
+      'Dab a little wasabi on each and press a slice of tuna on top.',
+      'Serve with soy sauce and extra wasabi.'
+    ]
+  },
+  'Dark Chocolate': {
+    servings: 4, prepTime: 10, cookTime: 5, difficulty: 'easy',
+    ingredients: [[150, 'g', 'dark chocolate (70%)'], [30, 'g', 'almonds'], [1, 'tbsp', 'dried cranberries'], [1, 'pinch', 'sea salt']],
+    steps: [
+      'Melt the chocolate gently over a pan of simmering water.',
+      'Spread thinly on a lined tray.',
+      'Scatter over the chopped almonds, cranberries and sea salt.',
+      'Chill for 30 minutes, then break into pieces.'
+    ]
+  },
+  'Green Tea': {
+    servings: 1, prepTime: 2, cookTime: 3, difficulty: 'easy',
+    ingredients: [[1, 'tsp', 'loose green tea'], [250, 'ml', 'water'], [1, 'slice', 'lemon']],
+    steps: [
+      'Heat the water to about 80°C, just off the boil.',
+      'Pour over the tea and steep for 2-3 minutes.',
+      'Strain and add a slice of lemon if you like.'
+    ]
+  },
+  'Salmon': {
+    servings: 2, prepTime: 5, cookTime: 15, difficulty: 'easy',
+    ingredients: [[2, '', 'salmon fillets'], [1, 'tbsp', 'olive oil'], [1, '', 'lemon'], [1, 'tsp', 'dried dill'], [200, 'g', 'green beans']],
+    steps: [
+      'Heat the oven to 200°C.',
+      'Put the salmon on a lined tray, drizzle with oil and season with dill, salt and pepper.',
+      'Add lemon slices on top and roast for 12-15 minutes.',
+      'Steam the green beans and serve alongside.'
+    ]
+  },
+  'Avocado Toast': {
+    servings: 1, prepTime: 5, cookTime: 3, difficulty: 'easy',
+    ingredients: [[2, 'slices', 'sourdough'], [1, '', 'ripe avocado'], [0.5, '', 'lemon'], [1, 'pinch', 'chilli flakes'], [1, 'pinch', 'sea salt']],
+    steps: [
+      'Toast the sourdough.',
+      'Mash the avocado with lemon juice and salt.',
+      'Pile onto the toast and finish with chilli flakes.'
+    ]
+  },
+  'Nuts Mix': {
+    servings: 6, prepTime: 5, cookTime: 12, difficulty: 'easy',
+    ingredients: [[100, 'g', 'almonds'], [100, 'g', 'cashews'], [100, 'g', 'walnuts'], [1, 'tbsp', 'maple syrup'], [1, 'tsp', 'cinnamon'], [1, 'pinch', 'sea salt']],
+    steps: [
+      'Heat the oven to 170°C.',
+      'Toss the nuts with maple syrup, cinnamon and salt.',
+      'Roast on a tray for 10-12 minutes, stirring once.',
+      'Cool completely before storing in a jar.'
+    ]
+  },
+  'Chamomile Tea': {
+    servings: 1, prepTime: 2, cookTime: 5, difficulty: 'easy',
+    ingredients: [[1, 'tbsp', 'dried chamomile flowers'], [250, 'ml', 'water'], [1, 'tsp', 'maple syrup']],
+    steps: [
+      'Bring the water to the boil.',
+      'Pour over the chamomile and steep for 5 minutes.',
+      'Strain, stir in the maple syrup and sip slowly.'
+    ]
+  },
+  'Berries': {
+    servings: 2, prepTime: 5, cookTime: 0, difficulty: 'easy',
+    ingredients: [[150, 'g', 'blueberries'], [150, 'g', 'raspberries'], [100, 'g', 'strawberries'], [1, 'tsp', 'maple syrup'], [4, '', 'mint leaves']],
+    steps: [
+      'Rinse the berries and halve the strawberries.',
+      'Toss with the maple syrup.',
+      'Scatter with torn mint and serve.'
+    ]
+  },
+  'Yogurt Parfait': {
+    servings: 2, prepTime: 10, cookTime: 0, difficulty: 'easy',
+    ingredients: [[300, 'g', 'Greek yogurt'], [60, 'g', 'granola'], [150, 'g', 'mixed berries'], [2, 'tsp', 'honey']],
+    steps: [
+      'Spoon a layer of yogurt into two glasses.',
+      'Add a layer of berries, then a layer of granola.',
+      'Repeat the layers and finish with a drizzle of honey.'
+    ]
+  },
+  'Energy Bowl': {
+    servings: 2, prepTime: 15, cookTime: 20, difficulty: 'easy',
+    ingredients: [[150, 'g', 'quinoa'], [400, 'g', 'chickpeas'], [1, '', 'sweet potato'], [1, '', 'avocado'], [100, 'g', 'spinach'], [2, 'tbsp', 'tahini'], [1, '', 'lemon']],
+    steps: [
+      'Heat the oven to 200°C and roast the diced sweet potato and drained chickpeas for 20 minutes.',
+      'Cook the quinoa in plenty of water for 15 minutes and drain.',
+      'Whisk the tahini with the lemon juice and a splash of water.',
+      'Divide the spinach and quinoa between bowls.',
+      'Top with the roasted veg, sliced avocado and dressing.'
+    ]
+  },
+  'Burger Combo': {
+    servings: 4, prepTime: 15, cookTime: 25, difficulty: 'medium',
+    ingredients: [[500, 'g', 'beef mince'], [4, '', 'burger buns'], [4, 'slices', 'cheddar'], [1, '', 'tomato'], [4, 'leaves', 'lettuce'], [600, 'g', 'oven chips']],
+    steps: [
+      'Put the chips in the oven according to the packet.',
+      'Season the mince and shape into four patties.',
+      'Cook in a hot pan for 3-4 minutes per side, adding the cheese for the last minute.',
+      'Toast the buns.',
+      'Build the burgers with lettuce and tomato and serve with the chips.'
+    ]
+  },
+  'Pasta Carbonara': {
+    servings: 2, prepTime: 10, cookTime: 15, difficulty: 'medium',
+    ingredients: [[200, 'g', 'spaghetti'], [100, 'g', 'pancetta'], [2, '', 'eggs'], [50, 'g', 'parmesan'], [1, 'tsp', 'black pepper']],
+    steps: [
+      'Cook the spaghetti in salted water.',
+      'Fry the pancetta until crisp.',
+      'Whisk the eggs with the grated parmesan and pepper.',
+      'Drain the pasta, keeping a cup of the water, and toss it with the pancetta off the heat.',
+      'Stir in the egg mixture quickly, loosening with pasta water until silky.'
+    ]
+  },
+  'BBQ Ribs': {
+    servings: 4, prepTime: 15, cookTime: 150, difficulty: 'medium',
+    ingredients: [[1.5, 'kg', 'pork ribs'], [2, 'tbsp', 'brown sugar'], [1, 'tbsp', 'smoked paprika'], [1, 'tsp', 'garlic powder'], [200, 'ml', 'barbecue sauce']],
+    steps: [
+      'Heat the oven to 150°C.',
+      'Rub the ribs with the sugar, paprika, garlic powder and salt.',
+      'Wrap tightly in foil and bake for 2 hours.',
+      'Unwrap, brush with barbecue sauce and turn the oven up to 220°C.',
+      'Cook for 20-30 minutes more, basting, until sticky.'
+    ]
+  },
+  'Nachos': {
+    servings: 4, prepTime: 10, cookTime: 10, difficulty: 'easy',
+    ingredients: [[200, 'g', 'tortilla chips'], [150, 'g', 'cheddar'], [200, 'g', 'black beans'], [2, '', 'jalapeños'], [100, 'g', 'salsa'], [100, 'g', 'sour cream']],
+    steps: [
+      'Heat the oven to 200°C.',
+      'Layer the chips, grated cheese, beans and sliced jalapeños in a baking dish.',
+      'Bake for 8-10 minutes until the cheese has melted.',
+      'Top with salsa and sour cream and dig in.'
+    ]
+  },
+  'Fried Chicken': {
+    servings: 4, prepTime: 20, cookTime: 25, difficulty: 'medium',
+    ingredients: [[8, '', 'chicken thighs'], [300, 'ml', 'buttermilk'], [200, 'g', 'plain flour'], [1, 'tbsp', 'paprika'], [1, 'tsp', 'garlic powder'], [1, 'l', 'vegetable oil for frying']],
+    steps: [
+      'Marinate the chicken in the buttermilk for at least 2 hours.',
+      'Mix the flour with the paprika, garlic powder and salt.',
+      'Dredge the chicken in the flour, pressing it on well.',
+      'Fry in oil at 170°C for 12-14 minutes, turning, until cooked through.',
+      'Drain on kitchen paper before serving.'
+    ]
+  },
+  'Milkshake': {
+    servings: 2, prepTime: 5, cookTime: 0, difficulty: 'easy',
+    ingredients: [[3, 'scoops', 'vanilla ice cream'], [300, 'ml', 'milk'], [150, 'g', 'strawberries'], [1, 'tsp', 'vanilla extract']],
+    steps: [
+      'Add everything to a blender.',
+      'Blend until thick and smooth.',
+      'Pour into tall glasses and serve with straws.'
+    ]
+  },
+  'Spring Rolls': {
+    servings: 4, prepTime: 25, cookTime: 0, difficulty: 'medium',
+    ingredients: [[8, '', 'rice paper wrappers'], [100, 'g', 'rice vermicelli'], [1, '', 'carrot'], [0.5, '', 'cucumber'], [1, 'handful', 'mint'], [200, 'g', 'firm tofu'], [3, 'tbsp', 'sweet chilli sauce']],
+    steps: [
+      'Soak the vermicelli in boiling water for 3 minutes and drain.',
+      'Cut the carrot and cucumber into matchsticks.',
+      'Dip a rice paper wrapper in warm water for a few seconds until soft.',
+      'Fill with noodles, vegetables, mint and strips of tofu, then fold in the sides and roll up.',
+      'Repeat with the rest and serve with sweet chilli sauce.'
+    ]
+  }
+};
+
+// The original blog articles (inserted once, then edited through the CMS)
+const blogPosts = [
+  {
+    slug: 'comfort-food',
+    title: 'The Science Behind Comfort Food',
+    excerpt: 'Discover why certain foods make us feel better and the fascinating psychology of emotional eating.',
+    icon: '🧠',
+    coverImage: 'comfortfood.jpg',
+    tags: ['Psychology'],
+    publishedAt: new Date('2024-12-01'),
+    body: `Comfort food is more than a craving. Warm, familiar dishes are tied to memories of being cared for, and carbohydrate-rich meals help the brain make **serotonin**, the neurotransmitter linked to calm and contentment.
+
+## Why it works
+
+- Familiar flavours bring back safe, happy memories
+- Carbohydrates help tryptophan reach the brain
+- Warm food physically relaxes the body
+
+Enjoy comfort food mindfully: savour it, and notice how it makes you feel.`
+  },
+  {
+    slug: 'spicy-foods',
+    title: "Why Spicy Food Helps When You're Angry",
+    excerpt: 'The surprising connection between spicy foods and stress relief through endorphin release.',
+    icon: '🌶️',
+    coverImage: 'spicyfood.webp',
+    tags: ['Science'],
+    publishedAt: new Date('2024-11-25'),
+    body: `Capsaicin, the compound that makes chillies hot, triggers a mild pain response. The body answers with a rush of **endorphins**, its natural feel-good chemicals.
+
+That release can take the edge off anger and leave you feeling lighter. Start mild, keep water (or better, milk) nearby, and let the heat do its work.`
+  },
+  {
+    slug: 'dark-chocolate',
+    title: 'Dark Chocolate: The Stress Buster',
+    excerpt: 'Why dark chocolate is scientifically proven to reduce stress and improve your mood.',
+    icon: '🍫',
+    coverImage: 'darkchocolate.png',
+    tags: ['Health'],
+    publishedAt: new Date('2024-11-20'),
+    body: `Dark chocolate with 70% cocoa or more is rich in **magnesium** and flavonoids. Studies suggest a small daily portion can lower cortisol, the stress hormone.
+
+A square or two is enough: let it melt slowly and take a breath while it does.`
+  },
+  {
+    slug: 'mindful-eating',
+    title: 'Mindful Eating: Transform Your Relationship with Food',
+    excerpt: 'Practice mindfulness while eating to enhance satisfaction and emotional wellbeing.',
+    icon: '🧘',
+    coverImage: 'mindful.jpg',
+    tags: ['Wellness'],
+    publishedAt: new Date('2024-11-15'),
+    body: `Mindful eating means paying full attention to your food: its colour, smell, texture and taste.
+
+1. Put your phone away
+2. Take a moment to look at your plate
+3. Chew slowly and put your fork down between bites
+4. Notice when you start to feel full
+
+Eating this way makes meals more satisfying and helps you tell hunger from emotion.`
+  },
+  {
+    slug: 'energy-foods',
+    title: '10 Foods to Beat Fatigue and Boost Energy',
+    excerpt: 'Combat tiredness naturally with these energizing foods that fuel your body and mind.',
+    icon: '⚡',
+    coverImage: 'energy.jpg',
+    tags: ['Energy'],
+    publishedAt: new Date('2024-11-10'),
+    body: `Steady energy comes from balanced meals rather than sugar spikes. Reach for oats, bananas, eggs, nuts, salmon, spinach, lentils, sweet potatoes, berries and plenty of water.
+
+Combining slow carbohydrates with protein keeps your blood sugar level, so the energy lasts all afternoon.`
+  },
+  {
+    slug: 'happy-food',
+    title: 'Foods That Naturally Boost Happiness',
+    excerpt: 'Discover the science-backed foods that increase serotonin and dopamine levels.',
+    icon: '😊',
+    coverImage: 'happyfood.jpg',
+    tags: ['Mood'],
+    publishedAt: new Date('2024-11-05'),
+    body: `Some foods give your brain the building blocks for **serotonin** and **dopamine**. Turkey, eggs and cheese provide tryptophan; bananas and almonds provide tyrosine; fermented foods like yoghurt support the gut, where most serotonin is made.
+
+Pair them with sunlight and good company for the best results.`
+  }
+];
+
+// Read time in minutes at roughly 200 words per minute (matches the Post model)
+function readTimeFor(markdown) {
+  const words = markdown.trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.ceil(words / 200));
+}
+
+// Build one entry per food, collecting every mood it is listed under
+function buildFoods() {
+  const foodsByName = {};
+
+  Object.keys(foodDatabase).forEach(mood => {
+    foodDatabase[mood].forEach(food => {
+      if (!foodsByName[food.name]) {
+        foodsByName[food.name] = { ...food, ...foodDetails[food.name], moods: [] };
+      }
+      foodsByName[food.name].moods.push(mood);
+    });
+  });
+
+  return Object.values(foodsByName);
+}
+
+async function seed() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/foodswing');
+  console.log('✅ Connected to MongoDB');
+
+  // The food lists below are keyed by these moods
+  console.log(`🎭 Added ${await ensureDefaultMoods()} default moods`);
+
+  const foods = buildFoods();
+
+  // Only insert missing foods (by name); existing ones keep their edits
+  for (const food of foods) {
+    await Food.updateOne(
+      { name: food.name },
+      { $setOnInsert: { image: '', tags: [], ...food, createdAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  console.log(`🌱 Seeded ${foods.length} foods`);
+
+  // Only insert missing posts so CMS edits are never overwritten
+  for (const post of blogPosts) {
+    const now = new Date();
+    await Post.updateOne(
+      { slug: post.slug },
+      { $setOnInsert: { ...post, status: 'published', readTime: readTimeFor(post.body), createdAt: now, updatedAt: now } },
+      { upsert: true }
+    );
+  }
+
+  console.log(`📚 Seeded ${blogPosts.length} blog posts`);
+
+  // Recipes hang off the food id; like posts they are only inserted when missing
+  for (const [foodName, recipe] of Object.entries(recipes)) {
+    const food = await Food.findOne({ name: foodName }).select('_id');
+    const now = new Date();
+    const ingredients = recipe.ingredients.map(([quantity, unit, name]) => ({ quantity, unit, name }));
+
+    await Recipe.updateOne(
+      { foodId: food._id },
+      { $setOnInsert: { ...recipe, ingredients, foodId: food._id, createdAt: now, updatedAt: now } },
+      { upsert: true }
+    );
+  }
+
+  console.log(`🍳 Seeded ${Object.keys(recipes).length} recipes`);
+}
+
+seed()
+  .catch(err => {
+    console.error('❌ Seed error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,156 @@
+// Personal data export and account deletion (GDPR-style self-service)
+const {
+  User,
+  AuthToken,
+  RefreshToken,
+  MoodSelection,
+  Collection,
+  MealPlan,
+  FoodFeedback,
+  Suggestion,
+  JournalEntry,
+  Contact,
+  Post,
+  Reminder,
+  Notification
+} = require('../models');
+const { toPublicUser } = require('./users');
+
+// Everything stored with a userId; deleting an account clears all of these.
+// Add new per-user models here so they are never left behind.
+const USER_OWNED_MODELS = [
+  MoodSelection,
+  FoodFeedback,
+  JournalEntry,
+  Collection,
+  MealPlan,
+  Suggestion,
+  RefreshToken,
+  AuthToken,
+  Reminder,
+  Notification
+];
+
+const EXPORT_SECTIONS = ['profile', 'moods', 'journal', 'collections', 'meal-plans', 'feedback', 'reminders', 'contact'];
+
+const foodName = (food) => (food ? food.name : null);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Contact messages are only linked to an account by email, so only once that address is confirmed.
+// Otherwise anyone could sign up with someone else's address and read or delete their messages.
+const contactFilter = (user) => (user.emailVerified
+  ? { email: new RegExp(`^${escapeRegex(user.email)}$`, 'i') }
+  : null);
+
+// Everything we hold about a user, one list of flat-ish rows per section
+async function buildUserExport(user) {
+  const userId = user._id;
+  const [moods, journal, collections, mealPlans, feedback, reminders, contact] = await Promise.all([
+    MoodSelection.find({ userId }).sort({ timestamp: 1 }),
+    JournalEntry.find({ userId }).sort({ date: 1 }).populate('foodId', 'name'),
+    Collection.find({ userId }).sort({ createdAt: 1 }).populate('foods', 'name'),
+    MealPlan.find({ userId }).sort({ weekStart: 1 }).populate('entries.foodId', 'name'),
+    FoodFeedback.find({ userId }).sort({ createdAt: 1 }).populate('foodId', 'name'),
+    Reminder.find({ userId }).sort({ createdAt: 1 }),
+    contactFilter(user) ? Contact.find(contactFilter(user)).sort({ createdAt: 1 }) : []
+  ]);
+
+  return {
+    profile: [{
+      ...toPublicUser(user),
+      emailVerified: user.emailVerified,
+      dietaryRestrictions: user.dietaryRestrictions,
+      allergens: user.allergens,
+      dislikedCategories: user.dislikedCategories,
+      spiceTolerance: user.spiceTolerance,
+      timezone: user.timezone,
+      quietStart: user.quietStart,
+      quietEnd: user.quietEnd,
+      createdAt: user.createdAt
+    }],
+    moods: moods.map(selection => ({ timestamp: selection.timestamp, mood: selection.mood })),
+    journal: journal.map(entry => ({
+      date: entry.date,
+      mood: entry.mood,
+      intensity: entry.intensity,
+      note: entry.note,
+      tags: entry.tags,
+      food: foodName(entry.foodId)
+    })),
+    collections: collections.map(collection => ({
+      name: collection.name,
+      description: collection.description,
+      isFavorites: collection.isFavorites,
+      shared: Boolean(collection.shareToken),
+      foods: collection.foods.map(foodName).filter(Boolean),
+      createdAt: collection.createdAt
+    })),
+    'meal-plans': mealPlans.flatMap(plan => plan.entries.map(entry => ({
+      weekStart: plan.weekStart,
+      day: entry.day,
+      meal: entry.meal,
+      food: foodName(entry.foodId)
+    }))),
+    feedback: feedback.map(item => ({
+      createdAt: item.createdAt,
+      food: foodName(item.foodId),
+      mood: item.mood,
+      vote: item.vote,
+      ate: item.ate,
+      moodAfter: item.moodAfter
+    })),
+    reminders: reminders.map(reminder => ({
+      label: reminder.label,
+      times: reminder.times,
+      days: reminder.days,
+      enabled: reminder.enabled
+    })),
+    // Internal notes are left out; they were never meant for the sender
+    contact: contact.map(message => ({
+      createdAt: message.createdAt,
+      name: message.name,
+      email: message.email,
+      message: message.message,
+      status: message.status
+    }))
+  };
+}
+
+// Dates as ISO strings and lists joined, ready for toCsv
+function toCsvRows(rows) {
+  return rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => {
+    if (value instanceof Date) return [key, value.toISOString()];
+    if (Array.isArray(value)) return [key, value.join('; ')];
+    return [key, value];
+  })));
+}
+
+// Remove a user and everything that belongs to them.
+// Blog posts stay up without an author; contact messages are matched by a confirmed email.
+async function deleteUserData(user) {
+  await Promise.all([
+    ...USER_OWNED_MODELS.map(Model => Model.deleteMany({ userId: user._id })),
+    contactFilter(user) && Contact.deleteMany(contactFilter(user)),
+    Post.updateMany({ author: user._id }, { $unset: { author: 1 } })
+  ]);
+  await User.deleteOne({ _id: user._id });
+}
+
+// Delete the accounts whose grace period is over; returns how many were removed
+async function purgeScheduledDeletions(now = new Date()) {
+  const users = await User.find({ deletionScheduledFor: { $lte: now } });
+
+  for (const user of users) {
+    await deleteUserData(user);
+  }
+  return users.length;
+}
+
+module.exports = {
+  EXPORT_SECTIONS,
+  buildUserExport,
+  toCsvRows,
+  deleteUserData,
+  purgeScheduledDeletions
+};
@@ -0,0 +1,173 @@
+// Time-bucketed analytics reports for the admin console
+const { User, MoodSelection, Food, FoodFeedback, Suggestion, JournalEntry } = require('../models');
+
+// Distinct active users per period (DAU for day, WAU for week, MAU for month).
+// Any mood check-in, journal entry or food feedback counts as activity.
+function activeUsersReport(query) {
+  const activity = (dateField) => [
+    { $match: { [dateField]: query.range, userId: { $ne: null } } },
+    { $project: { _id: 0, userId: 1, date: `$${dateField}` } }
+  ];
+
+  return MoodSelection.aggregate([
+    ...activity('timestamp'),
+    { $unionWith: { coll: JournalEntry.collection.name, pipeline: activity('createdAt') } },
+    { $unionWith: { coll: FoodFeedback.collection.name, pipeline: activity('createdAt') } },
+    { $group: { _id: { period: query.period('$date'), userId: '$userId' } } },
+    { $group: { _id: '$_id.period', activeUsers: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: '$_id', activeUsers: 1 } }
+  ]);
+}
+
+function signupsReport(query) {
+  return User.aggregate([
+    { $match: { createdAt: query.range } },
+    { $group: { _id: query.period('$createdAt'), signups: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: '$_id', signups: 1 } }
+  ]);
+}
+
+function moodsReport(query) {
+  return MoodSelection.aggregate([
+    { $match: { timestamp: query.range } },
+    { $group: { _id: { period: query.period('$timestamp'), mood: '$mood' }, count: { $sum: 1 } } },
+    { $sort: { '_id.period': 1, count: -1 } },
+    { $project: { _id: 0, period: '$_id.period', mood: '$_id.mood', count: 1 } }
+  ]);
+}
+
+// Users who signed up in the range, grouped by signup week, and how many of them
+// checked in 0, 1, 2... weeks after signing up
+async function retentionReport(query, weeks) {
+  const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+  const cohorts = await User.aggregate([
+    { $match: { createdAt: query.range } },
+    {
+      $lookup: {
+        from: MoodSelection.collection.name,
+        let: { userId: '$_id', joined: '$createdAt' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$userId', '$$userId'] } } },
+          { $project: { week: { $floor: { $divide: [{ $subtract: ['$timestamp', '$$joined'] }, WEEK_MS] } } } },
+          { $match: { week: { $gte: 0, $lte: weeks } } },
+          { $group: { _id: '$week' } }
+        ],
+        as: 'activeWeeks'
+      }
+    },
+    {
+      $project: {
+        cohort: { $dateToString: { format: '%G-W%V', date: '$createdAt', timezone: query.timezone } },
+        activeWeeks: '$activeWeeks._id'
+      }
+    },
+    { $unwind: { path: '$activeWeeks', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: '$cohort',
+        users: { $addToSet: '$_id' },
+        weeks: { $push: '$activeWeeks' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  // One row per (cohort, week) with the share of the cohort still active
+  const rows = [];
+  cohorts.forEach(cohort => {
+    const cohortSize = cohort.users.length;
+    for (let week = 0; week <= weeks; week++) {
+      const activeUsers = cohort.weeks.filter(activeWeek => activeWeek === week).length;
+      rows.push({
+        cohort: cohort._id,
+        cohortSize,
+        week,
+        activeUsers,
+        retention: Math.round((activeUsers / cohortSize) * 1000) / 10 // percent
+      });
+    }
+  });
+  return rows;
+}
+
+// Top foods per period, once by times suggested and once by thumbs up
+async function foodsReport(query, limit) {
+  const topBy = (metric) => [
+    { $sort: { [metric]: -1, _id: 1 } },
+    { $group: { _id: '$_id.period', foods: { $push: { foodId: '$_id.foodId', suggested: '$suggested', upVotes: '$upVotes' } } } },
+    { $project: { foods: { $slice: [{ $filter: { input: '$foods', cond: { $gt: [`$$this.${metric}`, 0] } } }, limit] } } },
+    { $unwind: { path: '$foods', includeArrayIndex: 'index' } },
+    { $lookup: { from: Food.collection.name, localField: 'foods.foodId', foreignField: '_id', as: 'food' } },
+    { $unwind: '$food' },
+    { $sort: { _id: 1, index: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id',
+        rank: { $add: ['$index', 1] },
+        foodId: '$foods.foodId',
+        name: '$food.name',
+        emoji: '$food.emoji',
+        suggested: '$foods.suggested',
+        upVotes: '$foods.upVotes'
+      }
+    }
+  ];
+
+  const [result] = await Suggestion.aggregate([
+    { $match: { createdAt: query.range } },
+    { $project: { _id: 0, foodId: 1, date: '$createdAt', suggested: { $literal: 1 }, upVotes: { $literal: 0 } } },
+    {
+      $unionWith: {
+        coll: FoodFeedback.collection.name,
+        pipeline: [
+          { $match: { createdAt: query.range, vote: 'up' } },
+          { $project: { _id: 0, foodId: 1, date: '$createdAt', suggested: { $literal: 0 }, upVotes: { $literal: 1 } } }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: { period: query.period('$date'), foodId: '$foodId' },
+        suggested: { $sum: '$suggested' },
+        upVotes: { $sum: '$upVotes' }
+      }
+    },
+    { $facet: { mostSuggested: topBy('suggested'), mostLiked: topBy('upVotes') } }
+  ]);
+
+  return result;
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Turn rows of flat objects into CSV text
+function toCsv(rows) {
+  if (rows.length === 0) return '';
+
+  const columns = Object.keys(rows[0]);
+  const cell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    // A leading quote keeps user text such as "=HYPERLINK(...)" as plain text; numbers are left alone
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\n');
+}
+
+const ANALYTICS_REPORTS = ['active-users', 'signups', 'moods', 'retention', 'foods'];
+
+module.exports = {
+  ANALYTICS_REPORTS,
+  activeUsersReport,
+  signupsReport,
+  moodsReport,
+  retentionReport,
+  foodsReport,
+  toCsv
+};
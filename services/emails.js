@@ -0,0 +1,46 @@
+// Account emails with one-time links back to the app (APP_URL)
+const sanitizeHtml = require('sanitize-html');
+const { issueAuthToken } = require('./tokens');
+
+function createAccountEmails(mailer, config) {
+  async function sendVerificationEmail(user) {
+    const token = await issueAuthToken(user._id, 'email-verification');
+    const link = `${config.appUrl}/?verifyEmail=${token}`;
+
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Confirm your FoodSwing email 📧',
+      text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link is valid for 24 hours.`,
+      html: `<p>Hi ${sanitizeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${link}">Confirm my email</a></p><p>The link is valid for 24 hours.</p>`
+    });
+  }
+
+  async function sendPasswordResetEmail(user) {
+    const token = await issueAuthToken(user._id, 'password-reset');
+    const link = `${config.appUrl}/?resetPassword=${token}`;
+
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Reset your FoodSwing password 🔒',
+      text: `Hi ${user.name},\n\nYou can choose a new password here:\n${link}\n\nThe link is valid for 1 hour. If you didn't ask for this, you can ignore this email.`,
+      html: `<p>Hi ${sanitizeHtml(user.name)},</p><p><a href="${link}">Choose a new password</a></p><p>The link is valid for 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+    });
+  }
+
+  async function sendAccountDeletionEmail(user) {
+    const token = await issueAuthToken(user._id, 'account-deletion');
+    const link = `${config.appUrl}/?confirmDeletion=${token}`;
+    const days = config.accountDeletionGraceDays;
+
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Confirm deleting your FoodSwing account',
+      text: `Hi ${user.name},\n\nTo delete your account, open this link:\n${link}\n\nYour data is removed ${days} days after you confirm, and you can cancel until then by logging in. The link is valid for 1 hour. If you didn't ask for this, you can ignore this email.`,
+      html: `<p>Hi ${sanitizeHtml(user.name)},</p><p><a href="${link}">Delete my account</a></p><p>Your data is removed ${days} days after you confirm, and you can cancel until then by logging in. The link is valid for 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+    });
+  }
+
+  return { sendVerificationEmail, sendPasswordResetEmail, sendAccountDeletionEmail };
+}
+
+module.exports = { createAccountEmails };
@@ -0,0 +1,46 @@
+// Mongo filters for the food catalog
+const { DIETARY_RESTRICTIONS, ALLERGENS, SPICE_LEVELS } = require('../models');
+
+// Mongo filter that leaves out foods a user can't or won't eat
+function buildDietaryFilter(user) {
+  const filter = {};
+  if (!user) return filter;
+
+  if (user.dietaryRestrictions.length) filter.diets = { $all: user.dietaryRestrictions };
+  if (user.allergens.length) filter.allergens = { $nin: user.allergens };
+  if (user.dislikedCategories.length) filter.category = { $nin: user.dislikedCategories };
+  filter.spiceLevel = { $lte: SPICE_LEVELS.indexOf(user.spiceTolerance) };
+
+  return filter;
+}
+
+// Optional food filters from the query string, shared by the food, suggestion and surprise flows:
+// excludeAllergens=nuts,dairy  diet=vegan  maxCalories=500  nutrient=omega-3
+// Returns null when a filter value is invalid.
+function buildFoodQueryFilter(query) {
+  const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const filter = {};
+
+  if (query.excludeAllergens) {
+    const allergens = list(query.excludeAllergens);
+    if (allergens.some(allergen => !ALLERGENS.includes(allergen))) return null;
+    filter.allergens = { $nin: allergens };
+  }
+  if (query.diet) {
+    const diets = list(query.diet);
+    if (diets.some(diet => !DIETARY_RESTRICTIONS.includes(diet))) return null;
+    filter.diets = { $all: diets };
+  }
+  if (query.maxCalories) {
+    const maxCalories = Number(query.maxCalories);
+    if (!Number.isFinite(maxCalories) || maxCalories < 0) return null;
+    filter['nutrition.calories'] = { $lte: maxCalories };
+  }
+  if (query.nutrient) {
+    filter['nutrition.nutrients'] = { $all: list(query.nutrient) };
+  }
+
+  return filter;
+}
+
+module.exports = { buildDietaryFilter, buildFoodQueryFilter };
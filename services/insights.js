@@ -0,0 +1,32 @@
+// Time buckets and timezones shared by mood insights, the meal planner and analytics
+
+const INSIGHT_GRANULARITIES = {
+  day: { format: '%Y-%m-%d', defaultDays: 30 },
+  week: { format: '%G-W%V', defaultDays: 12 * 7 },
+  month: { format: '%Y-%m', defaultDays: 365 }
+};
+
+// Bucket settings by name; own keys only, so "constructor" and friends are not granularities
+const getGranularity = (name) => (Object.hasOwn(INSIGHT_GRANULARITIES, name) ? INSIGHT_GRANULARITIES[name] : null);
+
+// Query rules for a report range, for validate({ query: INSIGHTS_QUERY_RULES })
+const INSIGHTS_QUERY_RULES = {
+  granularity: { type: 'string', enum: Object.keys(INSIGHT_GRANULARITIES) },
+  tz: { type: 'string', maxLength: 100, label: 'Timezone' },
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+// Check an IANA timezone name, falling back to UTC
+function resolveTimezone(tz) {
+  if (!tz) return 'UTC';
+  if (typeof tz !== 'string') return null;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return tz;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { INSIGHT_GRANULARITIES, INSIGHTS_QUERY_RULES, getGranularity, resolveTimezone };
@@ -0,0 +1,66 @@
+// Pluggable mail transport.
+// MAIL_TRANSPORT picks where mail goes:
+//   console - print to the server log (default)
+//   file    - append each message as a JSON line to MAIL_FILE (handy in development and tests)
+//   smtp    - send through SMTP_HOST/SMTP_PORT (a real server or a local stub)
+//   memory  - keep each message in mailer.outbox (for the integration tests)
+// console and file write verification and reset links in plain text, so production refuses them.
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+
+const LOGGING_TRANSPORTS = ['console', 'file'];
+
+function resolveMailTransport(config = process.env) {
+  const transport = config.MAIL_TRANSPORT || 'console';
+
+  if (config.NODE_ENV === 'production' && LOGGING_TRANSPORTS.includes(transport)) {
+    throw new Error(`MAIL_TRANSPORT "${transport}" writes account links to disk or the log; ` +
+      'set MAIL_TRANSPORT=smtp in production');
+  }
+
+  return transport;
+}
+
+function createMailer(config = process.env) {
+  const transport = resolveMailTransport(config);
+  const from = config.MAIL_FROM || 'FoodSwing <no-reply@foodswing.com>';
+
+  let send;
+  let outbox;
+
+  if (transport === 'file') {
+    const file = config.MAIL_FILE || 'mail-outbox.log';
+    send = async (message) => {
+      await fs.promises.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+    };
+  } else if (transport === 'smtp') {
+    const smtp = nodemailer.createTransport({
+      host: config.SMTP_HOST || 'localhost',
+      port: Number(config.SMTP_PORT) || 587,
+      secure: config.SMTP_SECURE === 'true',
+      auth: config.SMTP_USER ? { user: config.SMTP_USER, pass: config.SMTP_PASS } : undefined,
+      // Certificates are always checked unless a local stub server without one is opted into
+      tls: config.SMTP_ALLOW_SELF_SIGNED === 'true' ? { rejectUnauthorized: false } : undefined
+    });
+    send = (message) => smtp.sendMail(message);
+  } else if (transport === 'memory') {
+    outbox = [];
+    send = async (message) => {
+      outbox.push(message);
+    };
+  } else if (transport === 'console') {
+    send = async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    };
+  } else {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+  }
+
+  return {
+    transport,
+    outbox,
+    sendMail: ({ to, subject, text, html }) => send({ from, to, subject, text, html })
+  };
+}
+
+module.exports = { createMailer, resolveMailTransport };
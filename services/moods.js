@@ -0,0 +1,108 @@
+// The mood taxonomy: the moods a fresh database starts with, and lookups used by validation
+const { Mood } = require('../models');
+
+// The original five moods. Admins can edit them, hide them or add more through /api/moods.
+const DEFAULT_MOODS = [
+  {
+    key: 'happy',
+    label: 'Happy',
+    emoji: '😊',
+    tagline: 'Celebrate your joy!',
+    gradient: { from: '#ffb6c1', to: '#ff69b4' },
+    color: '#f7b731',
+    animation: 'bounce',
+    valence: 0.8,
+    energy: 0.4
+  },
+  {
+    key: 'sad',
+    label: 'Sad',
+    emoji: '😢',
+    tagline: 'Need some comfort',
+    gradient: { from: '#dda0dd', to: '#ba55d3' },
+    color: '#45b7d1',
+    animation: 'float',
+    valence: -0.7,
+    energy: -0.5,
+    healing: {
+      title: '💙 We\'re Here For You',
+      description: 'It\'s okay to feel sad sometimes. These comfort foods are scientifically proven to boost serotonin levels and provide emotional warmth. Remember, this feeling is temporary, and brighter days are ahead.',
+      tips: [
+        '💭 Take deep breaths and be kind to yourself',
+        '🤗 Reach out to a friend or loved one',
+        '🌟 Focus on one small positive thing today',
+        '🎵 Listen to your favorite uplifting music'
+      ]
+    }
+  },
+  {
+    key: 'angry',
+    label: 'Angry',
+    emoji: '😠',
+    tagline: 'Fire it up!',
+    gradient: { from: '#ff69b4', to: '#ff1493' },
+    color: '#ff6b6b',
+    animation: 'shake',
+    valence: -0.6,
+    energy: 0.8,
+    healing: {
+      title: '🔥 Channel That Energy',
+      description: 'Anger is a natural emotion. These spicy foods can help release endorphins and provide a healthy outlet for your feelings. Transform that fire into fuel for positive action.',
+      tips: [
+        '🏃 Get some physical exercise to release tension',
+        '📝 Write down what\'s bothering you',
+        '🧘 Try 5 minutes of meditation',
+        '💪 Use this energy for something productive'
+      ]
+    }
+  },
+  {
+    key: 'stressed',
+    label: 'Stressed',
+    emoji: '😰',
+    tagline: 'Time to relax',
+    gradient: { from: '#ffb6d9', to: '#ff85c0' },
+    color: '#5f27cd',
+    animation: 'spin',
+    valence: -0.5,
+    energy: 0.6,
+    healing: {
+      title: '🌊 Take a Breath',
+      description: 'Stress is overwhelming, but you\'ve got this. These foods contain natural stress-reducing compounds that can help your body and mind relax. One step at a time.',
+      tips: [
+        '⏰ Take a 5-minute break right now',
+        '📋 Write a to-do list to clear your mind',
+        '🛀 Plan a relaxing activity for later',
+        '🙅 It\'s okay to say no to extra commitments'
+      ]
+    }
+  },
+  {
+    key: 'excited',
+    label: 'Excited',
+    emoji: '🤩',
+    tagline: 'Adventure awaits!',
+    gradient: { from: '#ff77ff', to: '#ff1493' },
+    color: '#ff1493',
+    animation: 'wiggle',
+    valence: 0.8,
+    energy: 0.9
+  }
+];
+
+// Fill an empty mood collection with the defaults so a new database works straight away.
+// Once any mood exists nothing is added, so moods an admin removed stay removed.
+async function ensureDefaultMoods() {
+  if (await Mood.exists({})) return 0;
+
+  await Mood.insertMany(DEFAULT_MOODS.map((mood, order) => ({ ...mood, order })));
+  return DEFAULT_MOODS.length;
+}
+
+// The keys users can pick right now, in menu order
+async function getMoodKeys() {
+  const moods = await Mood.find({ active: true }).sort({ order: 1, createdAt: 1 }).select('key');
+  return moods.map(mood => mood.key);
+}
+
+module.exports = { DEFAULT_MOODS, ensureDefaultMoods, getMoodKeys };
@@ -0,0 +1,55 @@
+// The recommendation engine, shared by the recommendations route and the meal planner
+
+// Score weights for the recommendation engine
+const RECOMMENDATION_WEIGHTS = {
+  moodMatch: 3,
+  liked: 2,
+  history: 1,
+  popularity: 1.5
+};
+
+// Rank foods for a mood using the user's history, likes and what others liked.
+// Disliked foods are left out entirely.
+function rankFoods(foods, { mood, likedIds, dislikedIds, moodCounts, popularity }) {
+  const totalSelections = Object.values(moodCounts).reduce((sum, count) => sum + count, 0);
+  const maxPopularity = Math.max(0, ...Object.values(popularity));
+
+  return foods
+    .filter(food => !dislikedIds.has(String(food._id)))
+    .map(food => {
+      const id = String(food._id);
+
+      // How often the user has felt the moods this food is meant for
+      const historyShare = totalSelections
+        ? food.moods.reduce((sum, foodMood) => sum + (moodCounts[foodMood] || 0), 0) / totalSelections
+        : 0;
+
+      const parts = {
+        moodMatch: food.moods.includes(mood) ? RECOMMENDATION_WEIGHTS.moodMatch : 0,
+        liked: likedIds.has(id) ? RECOMMENDATION_WEIGHTS.liked : 0,
+        history: Math.min(historyShare, 1) * RECOMMENDATION_WEIGHTS.history,
+        popularity: maxPopularity ? ((popularity[id] || 0) / maxPopularity) * RECOMMENDATION_WEIGHTS.popularity : 0
+      };
+
+      const score = Object.values(parts).reduce((sum, value) => sum + value, 0);
+
+      return {
+        ...food.toObject(),
+        score: Math.round(score * 100) / 100,
+        reason: explainScore(parts, mood)
+      };
+    })
+    .filter(food => food.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Turn the strongest extra signal into a short "why this was suggested" line
+function explainScore(parts, mood) {
+  if (parts.liked) return 'You liked this before 💖';
+  if (parts.popularity >= RECOMMENDATION_WEIGHTS.popularity / 2) return `Loved by others feeling ${mood} 👥`;
+  if (!parts.moodMatch) return 'Matches your usual taste ✨';
+  if (parts.history >= RECOMMENDATION_WEIGHTS.history / 2) return `You often feel ${mood} — a trusted pick 🔁`;
+  return `A classic for feeling ${mood} 🍽️`;
+}
+
+module.exports = { rankFoods };
@@ -0,0 +1,135 @@
+// Check-in reminders: schedule times in the user's timezone, quiet hours, and the
+// scheduler run that turns due reminders into inbox notifications
+const { Reminder, Notification } = require('../models');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A reminder that was due this long ago (e.g. the server was down) is skipped instead of sent late
+const STALE_AFTER = 60 * 60 * 1000;
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// The wall-clock date and time of an instant in a timezone
+function localParts(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+}
+
+// The instant a local date and HH:MM happen in a timezone.
+// A time skipped by a DST change moves by the size of the jump.
+function zonedTime(year, month, day, time, timezone) {
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (instant) => {
+    const local = localParts(new Date(instant), timezone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - instant;
+  };
+
+  // Guess with the offset at the wall-clock time, then correct once in case it crosses a DST change
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+}
+
+// The next time after `after` that a schedule fires, or null if it never does
+function nextReminderRun({ times, days }, timezone, after = new Date()) {
+  const today = localParts(after, timezone);
+  const sortedTimes = [...times].sort();
+
+  // Look one day past a week so today's passed times come round again
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (!days.includes((date.getUTCDay() + 6) % 7)) continue; // days count from 0 = Monday
+
+    for (const time of sortedTimes) {
+      const run = zonedTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), time, timezone);
+      if (run > after) return run;
+    }
+  }
+  return null;
+}
+
+// Quiet hours can wrap past midnight, e.g. 22:00 to 07:00
+function isQuietTime(date, timezone, { quietStart, quietEnd }) {
+  if (!quietStart || !quietEnd || quietStart === quietEnd) return false;
+
+  const { hour, minute } = localParts(date, timezone);
+  const now = hour * 60 + minute;
+  const start = toMinutes(quietStart);
+  const end = toMinutes(quietEnd);
+
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Work out nextRunAt again, e.g. after the schedule or the user's timezone changed
+function scheduleReminder(reminder, user, now = new Date()) {
+  reminder.nextRunAt = reminder.enabled ? nextReminderRun(reminder, user.timezone, now) : null;
+  return reminder;
+}
+
+async function rescheduleUserReminders(user) {
+  const reminders = await Reminder.find({ userId: user._id });
+  await Promise.all(reminders.map(reminder => scheduleReminder(reminder, user).save()));
+}
+
+// Send every reminder that is due; returns how many notifications were created.
+// Each reminder is claimed by moving its nextRunAt, so two servers never send the same one.
+async function runDueReminders(now = new Date()) {
+  const due = await Reminder.find({ enabled: true, nextRunAt: { $lte: now } })
+    .populate('userId', 'timezone quietStart quietEnd');
+  let sent = 0;
+
+  for (const reminder of due) {
+    const user = reminder.userId;
+    if (!user) {
+      await reminder.deleteOne(); // the account is gone
+      continue;
+    }
+
+    const dueAt = reminder.nextRunAt;
+    const nextRunAt = nextReminderRun(reminder, user.timezone, now);
+    const claimed = await Reminder.updateOne({ _id: reminder._id, nextRunAt: dueAt }, { nextRunAt });
+    if (claimed.modifiedCount === 0) continue;
+
+    if (now - dueAt > STALE_AFTER || isQuietTime(dueAt, user.timezone, user)) continue;
+
+    await Notification.create({
+      userId: user._id,
+      type: 'reminder',
+      title: reminder.label,
+      body: 'How are you feeling right now? Pick your mood and we\'ll find the food for it 🎭',
+      link: '/home'
+    });
+    await Reminder.updateOne({ _id: reminder._id }, { lastSentAt: now });
+    sent++;
+  }
+
+  return sent;
+}
+
+module.exports = {
+  TIME_PATTERN,
+  nextReminderRun,
+  isQuietTime,
+  scheduleReminder,
+  rescheduleUserReminders,
+  runDueReminders
+};
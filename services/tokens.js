@@ -0,0 +1,98 @@
+// Login tokens.
+//   one-time tokens  - emailed for password reset and email verification; only a SHA-256 hash is stored
+//   access tokens    - short-lived JWTs sent in the Authorization header
+//   refresh tokens   - long-lived, rotated on every use, kept in an httpOnly cookie and stored hashed
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AuthToken, RefreshToken } = require('../models');
+
+const REFRESH_COOKIE = 'foodswing_refresh';
+
+const AUTH_TOKEN_TTL = {
+  'password-reset': 60 * 60 * 1000, // 1 hour
+  'email-verification': 24 * 60 * 60 * 1000, // 24 hours
+  'account-deletion': 60 * 60 * 1000 // 1 hour
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a fresh one-time token, replacing any earlier one of the same type
+async function issueAuthToken(userId, type) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await AuthToken.deleteMany({ userId, type });
+  await AuthToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + AUTH_TOKEN_TTL[type])
+  });
+
+  return token;
+}
+
+// Use up a one-time token; returns the userId or null if invalid or expired
+async function consumeAuthToken(token, type) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const record = await AuthToken.findOneAndDelete({
+    tokenHash: hashToken(token),
+    type,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return record ? record.userId : null;
+}
+
+// Revoke every refresh token a user has (log out all devices)
+const revokeAllRefreshTokens = (userId) =>
+  RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+
+// Access and refresh token helpers for the configured secret and lifetimes
+function createSessions(config) {
+  // Generate a short-lived access JWT for a user
+  const generateToken = (user) => jwt.sign(
+    { id: user._id, email: user.email, name: user.name, role: user.role },
+    config.jwtSecret,
+    { expiresIn: config.accessTokenTtl }
+  );
+
+  const refreshCookieOptions = () => ({
+    httpOnly: true,
+    secure: config.isProduction,
+    sameSite: 'strict',
+    path: '/api/auth',
+    maxAge: config.refreshTokenDays * 24 * 60 * 60 * 1000
+  });
+
+  // Issue a refresh token in an httpOnly cookie (a new family unless rotating)
+  async function issueRefreshToken(req, res, userId, family = crypto.randomUUID()) {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    await RefreshToken.create({
+      userId,
+      tokenHash: hashToken(token),
+      family,
+      userAgent: req.get('user-agent') || '',
+      expiresAt: new Date(Date.now() + config.refreshTokenDays * 24 * 60 * 60 * 1000)
+    });
+
+    res.cookie(REFRESH_COOKIE, token, refreshCookieOptions());
+  }
+
+  function clearRefreshCookie(res) {
+    const { maxAge, ...options } = refreshCookieOptions();
+    res.clearCookie(REFRESH_COOKIE, options);
+  }
+
+  return { generateToken, issueRefreshToken, clearRefreshCookie };
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  hashToken,
+  issueAuthToken,
+  consumeAuthToken,
+  revokeAllRefreshTokens,
+  createSessions
+};
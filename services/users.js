@@ -0,0 +1,35 @@
+const { User } = require('../models');
+
+// The user fields that are safe to send to the browser
+const toPublicUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  avatar: user.avatar,
+  theme: user.theme,
+  deletionScheduledFor: user.deletionScheduledFor
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Promote the account named in ADMIN_EMAIL to admin so the first admin can log in.
+// Only once the address is confirmed, so nobody can claim the role by signing up with it first.
+// Runs on startup and after each email confirmation.
+async function bootstrapAdmin(adminEmail) {
+  if (!adminEmail) return;
+
+  try {
+    const result = await User.updateOne(
+      { email: new RegExp(`^${escapeRegex(adminEmail)}$`, 'i'), emailVerified: true, role: { $ne: 'admin' } },
+      { role: 'admin' }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`👑 Promoted ${adminEmail} to admin`);
+    }
+  } catch (err) {
+    console.error('❌ Admin bootstrap error:', err);
+  }
+}
+
+module.exports = { toPublicUser, bootstrapAdmin };
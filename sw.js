@@ -0,0 +1,124 @@
+// FoodSwing service worker: keeps the app shell and food images available offline.
+// API calls are never cached here; offline check-ins are queued by script.js instead.
+
+// Bump the version when the shell changes so old caches are cleared on activate
+const SHELL_CACHE = 'foodswing-shell-v1';
+const IMAGE_CACHE = 'foodswing-images-v1';
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/style.css',
+    '/script.js',
+    '/manifest.webmanifest',
+    '/icon.svg',
+    '/about-illustration.svg',
+    '/hero-food.svg',
+    '/bowl.webp',
+    '/cake.jpg',
+    '/comfortfood.jpg',
+    '/dark2.jpg',
+    '/darkchocolate.png',
+    '/energy.jpg',
+    '/happyfood.jpg',
+    '/mindful.jpg',
+    '/mission.webp',
+    '/peace.jpg',
+    '/peaceful.jpeg',
+    '/personenjoyingfood.webp',
+    '/pizza.webp',
+    '/shake.jpg',
+    '/spicyfood.webp'
+];
+
+// Food images from the catalog can live anywhere; keep the most recent ones
+const MAX_CACHED_IMAGES = 200;
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, IMAGE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    // The API handles its own offline cases (queue and catalog in IndexedDB)
+    if (sameOrigin && url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirstImage(request));
+    } else if (sameOrigin) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+// Pages: always try for the latest, fall back to the cached shell
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put('/index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await caches.match('/index.html')) || Response.error();
+    }
+}
+
+// Scripts and styles: answer from the cache right away and refresh it in the background
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || update;
+}
+
+// Images rarely change, so the cache wins; new ones are stored as they're seen
+async function cacheFirstImage(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        // Cross-origin images come back opaque (status 0) but still display fine
+        if (response.ok || response.type === 'opaque') {
+            const cache = await caches.open(IMAGE_CACHE);
+            await cache.put(request, response.clone());
+            trimCache(cache, MAX_CACHED_IMAGES);
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
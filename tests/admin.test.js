@@ -0,0 +1,111 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { Contact, MoodSelection, Food } = require('../models');
+const { startDatabase, stopDatabase, clearDatabase, createTestApp, signUp, signUpAdmin } = require('./helpers');
+
+describe('admin', () => {
+  let app;
+  let adminToken;
+
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    app = createTestApp();
+    ({ token: adminToken } = await signUpAdmin(app));
+  });
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+
+  it('is closed to regular users', async () => {
+    const { token } = await signUp(app);
+
+    await request(app)
+      .get('/api/admin/contacts')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+
+  it('lists and updates contact messages', async () => {
+    await Contact.create([
+      { name: 'Ada', email: 'ada@foodswing.test', message: 'Hello' },
+      { name: 'Grace', email: 'grace@foodswing.test', message: 'Bug report', status: 'read' }
+    ]);
+
+    const list = await asAdmin(request(app).get('/api/admin/contacts').query({ status: 'new' })).expect(200);
+    assert.equal(list.body.contacts.length, 1);
+    assert.equal(list.body.pagination.total, 1);
+
+    const id = list.body.contacts[0]._id;
+    const updated = await asAdmin(request(app).patch(`/api/admin/contacts/${id}`))
+      .send({ status: 'replied', notes: 'Answered by email' })
+      .expect(200);
+    assert.equal(updated.body.contact.status, 'replied');
+
+    const invalid = await asAdmin(request(app).patch(`/api/admin/contacts/${id}`))
+      .send({ status: 'deleted' })
+      .expect(400);
+    assert.ok(invalid.body.fields.status);
+  });
+
+  it('changes roles, but not its own', async () => {
+    const { user } = await signUp(app);
+
+    const res = await asAdmin(request(app).patch(`/api/admin/users/${user.id}/role`))
+      .send({ role: 'editor' })
+      .expect(200);
+    assert.equal(res.body.user.role, 'editor');
+
+    const users = await asAdmin(request(app).get('/api/admin/users')).expect(200);
+    const admin = users.body.users.find(listed => listed.role === 'admin');
+
+    await asAdmin(request(app).patch(`/api/admin/users/${admin._id}/role`))
+      .send({ role: 'user' })
+      .expect(400);
+  });
+
+  it('exports analytics reports as CSV', async () => {
+    await MoodSelection.create([{ mood: 'happy' }, { mood: 'happy' }, { mood: 'sad' }]);
+
+    const res = await asAdmin(request(app).get('/api/admin/analytics/moods'))
+      .query({ format: 'csv', download: 'true' })
+      .expect(200);
+
+    assert.match(res.headers['content-type'], /text\/csv/);
+    assert.match(res.headers['content-disposition'], /attachment; filename="foodswing-moods-/);
+    const [header, ...rows] = res.text.split('\n');
+    assert.deepEqual(header.split(',').sort(), ['count', 'mood', 'period']);
+    assert.equal(rows.length, 2);
+  });
+
+  it('answers unknown reports with 404', async () => {
+    await asAdmin(request(app).get('/api/admin/analytics/revenue')).expect(404);
+  });
+
+  it('refuses to rename a food to a name that is taken', async () => {
+    const [soup] = await Food.create([
+      { name: 'Soup', emoji: '🍲', category: 'Comfort' },
+      { name: 'Toast', emoji: '🍞', category: 'Snack' }
+    ]);
+
+    const res = await asAdmin(request(app).put(`/api/foods/${soup.id}`)).send({ name: 'Toast' }).expect(400);
+    assert.ok(res.body.fields.name);
+
+    await asAdmin(request(app).put(`/api/foods/${soup.id}`)).send({ name: 'Soup', emoji: '🥣' }).expect(200);
+  });
+
+  it('checks the nutrition of a food', async () => {
+    const soup = { name: 'Soup', emoji: '🍲', category: 'Comfort' };
+
+    const res = await asAdmin(request(app).post('/api/foods'))
+      .send({ ...soup, nutrition: { calories: -5, nutrients: ['Iron', 3] } })
+      .expect(400);
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['nutrition.calories', 'nutrition.nutrients']);
+
+    const created = await asAdmin(request(app).post('/api/foods'))
+      .send({ ...soup, nutrition: { calories: 120, nutrients: ['Iron'] } })
+      .expect(201);
+    await asAdmin(request(app).put(`/api/foods/${created.body.food._id}`)).send({ nutrition: 'x' }).expect(400);
+  });
+});
@@ -0,0 +1,199 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signUp,
+  lastMailToken,
+  ADMIN_EMAIL
+} = require('./helpers');
+
+describe('auth', () => {
+  let app;
+
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    app = createTestApp();
+  });
+
+  it('signs up, sets the refresh cookie and returns an access token', async () => {
+    const { token, user, cookies } = await signUp(app, { name: 'Ada', email: 'ada@foodswing.test' });
+
+    assert.ok(token);
+    assert.equal(user.email, 'ada@foodswing.test');
+    assert.equal(user.role, 'user');
+    assert.ok(cookies.some(cookie => cookie.startsWith('foodswing_refresh=') && cookie.includes('HttpOnly')));
+
+    const res = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    assert.equal(res.body.profile.name, 'Ada');
+  });
+
+  it('reports every invalid field at once', async () => {
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ name: 'Ada', email: 'not-an-email', password: '123' })
+      .expect(400);
+
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['email', 'password']);
+  });
+
+  it('answers malformed JSON with INVALID_JSON', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":')
+      .expect(400);
+
+    assert.equal(res.body.code, 'INVALID_JSON');
+  });
+
+  it('rejects a second account with the same email', async () => {
+    await signUp(app);
+
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ name: 'Again', email: 'user@foodswing.test', password: 'secret123' })
+      .expect(400);
+    assert.equal(res.body.fields.email, 'Email already registered');
+  });
+
+  it('logs in with the right password only', async () => {
+    await signUp(app);
+
+    const wrong = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@foodswing.test', password: 'wrong-password' })
+      .expect(400);
+    assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+
+    const right = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@foodswing.test', password: 'secret123' })
+      .expect(200);
+    assert.ok(right.body.token);
+  });
+
+  it('locks an account after repeated failed logins', async () => {
+    app = createTestApp({ LOGIN_LOCKOUT_THRESHOLD: '2' });
+    await signUp(app);
+
+    const attempt = () => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@foodswing.test', password: 'wrong-password' });
+
+    assert.equal((await attempt()).status, 400);
+    const locked = await attempt();
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+    assert.ok(Number(locked.headers['retry-after']) > 0);
+
+    // Even the right password has to wait
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@foodswing.test', password: 'secret123' });
+    assert.equal(res.status, 429);
+  });
+
+  it('rotates refresh tokens and ends the session when an old one is reused', async () => {
+    const { cookies } = await signUp(app);
+
+    const refreshed = await request(app)
+      .post('/api/auth/refresh')
+      .set('Cookie', cookies)
+      .expect(200);
+    assert.ok(refreshed.body.token);
+    const newCookies = refreshed.headers['set-cookie'];
+
+    // The first cookie was rotated away; using it again revokes the whole family
+    await request(app).post('/api/auth/refresh').set('Cookie', cookies).expect(401);
+    await request(app).post('/api/auth/refresh').set('Cookie', newCookies).expect(401);
+  });
+
+  it('resets a password with the emailed link', async () => {
+    await signUp(app);
+
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'user@foodswing.test' })
+      .expect(200);
+
+    const token = lastMailToken(app, 'user@foodswing.test', 'resetPassword');
+    assert.ok(token);
+
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'brand-new-password' })
+      .expect(200);
+
+    // Links only work once
+    const reused = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'another-password' })
+      .expect(400);
+    assert.equal(reused.body.code, 'INVALID_TOKEN');
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@foodswing.test', password: 'brand-new-password' })
+      .expect(200);
+  });
+
+  it('gives the same answer for unknown emails', async () => {
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@foodswing.test' })
+      .expect(200);
+
+    assert.equal(res.body.success, true);
+    assert.equal(app.locals.mailer.outbox.length, 0);
+  });
+
+  it('requires a confirmed email when REQUIRE_EMAIL_VERIFICATION is on', async () => {
+    app = createTestApp({ REQUIRE_EMAIL_VERIFICATION: 'true' });
+
+    const signup = await request(app)
+      .post('/api/auth/signup')
+      .send({ name: 'Ada', email: 'ada@foodswing.test', password: 'secret123' })
+      .expect(201);
+    assert.equal(signup.body.verificationRequired, true);
+    assert.equal(signup.body.token, undefined);
+
+    const login = () => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ada@foodswing.test', password: 'secret123' });
+
+    const blocked = await login();
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, 'EMAIL_NOT_VERIFIED');
+
+    const token = lastMailToken(app, 'ada@foodswing.test', 'verifyEmail');
+    await request(app).get(`/api/auth/verify-email/${token}`).expect(200);
+
+    assert.equal((await login()).status, 200);
+  });
+
+  it('only makes the ADMIN_EMAIL account admin once its address is confirmed', async () => {
+    const { token, user } = await signUp(app, { name: 'Admin', email: ADMIN_EMAIL });
+    assert.equal(user.role, 'user');
+
+    const listUsers = () => request(app).get('/api/admin/users').set('Authorization', `Bearer ${token}`);
+    await listUsers().expect(403);
+
+    await request(app).get(`/api/auth/verify-email/${lastMailToken(app, ADMIN_EMAIL, 'verifyEmail')}`).expect(200);
+    await listUsers().expect(200);
+  });
+
+  it('rejects requests without a valid access token', async () => {
+    await request(app).get('/api/users/me').expect(401);
+    await request(app).get('/api/users/me').set('Authorization', 'Bearer not-a-token').expect(403);
+  });
+});
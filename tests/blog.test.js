@@ -0,0 +1,77 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { startDatabase, stopDatabase, clearDatabase, createTestApp, signUp, signUpAdmin } = require('./helpers');
+
+const draft = {
+  title: 'Why Soup Soothes',
+  body: 'Warm **broth** calms the body.\n\n<script>alert("hi")</script>',
+  tags: ['Comfort']
+};
+
+describe('blog', () => {
+  let app;
+  let adminToken;
+
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    app = createTestApp();
+    ({ token: adminToken } = await signUpAdmin(app));
+  });
+
+  const createPost = (fields, token = adminToken) => request(app)
+    .post('/api/blog/posts')
+    .set('Authorization', `Bearer ${token}`)
+    .send(fields);
+
+  it('only lets editors and admins write posts', async () => {
+    const { token } = await signUp(app);
+    await createPost(draft, token).expect(403);
+  });
+
+  it('keeps drafts out of the public blog', async () => {
+    const created = await createPost(draft).expect(201);
+    assert.equal(created.body.post.slug, 'why-soup-soothes');
+    assert.equal(created.body.post.status, 'draft');
+
+    const list = await request(app).get('/api/blog/posts').expect(200);
+    assert.equal(list.body.posts.length, 0);
+    await request(app).get('/api/blog/posts/why-soup-soothes').expect(404);
+
+    const all = await request(app)
+      .get('/api/blog/admin/posts')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    assert.equal(all.body.posts.length, 1);
+  });
+
+  it('publishes a post with sanitized HTML', async () => {
+    const created = await createPost(draft).expect(201);
+
+    await request(app)
+      .put(`/api/blog/posts/${created.body.post._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'published' })
+      .expect(200);
+
+    const res = await request(app).get('/api/blog/posts/why-soup-soothes').expect(200);
+    assert.ok(res.body.post.publishedAt);
+    assert.match(res.body.post.html, /<strong>broth<\/strong>/);
+    assert.doesNotMatch(res.body.post.html, /<script/);
+  });
+
+  it('refuses a slug that is taken', async () => {
+    await createPost(draft).expect(201);
+
+    const res = await createPost({ ...draft, title: 'Another title', slug: 'why-soup-soothes' }).expect(400);
+    assert.ok(res.body.fields.slug);
+  });
+
+  it('names each invalid field of a post', async () => {
+    const res = await createPost({ title: 'Soup', slug: 'Not A Slug', status: 'archived' }).expect(400);
+
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['body', 'slug', 'status']);
+  });
+});
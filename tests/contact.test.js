@@ -0,0 +1,61 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { Contact } = require('../models');
+const { startDatabase, stopDatabase, clearDatabase, createTestApp } = require('./helpers');
+
+const message = {
+  name: 'Grace',
+  email: 'grace@foodswing.test',
+  message: 'Love the surprise button!'
+};
+
+describe('contact', () => {
+  let app;
+
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    app = createTestApp();
+  });
+
+  it('saves a message for the admin inbox', async () => {
+    await request(app).post('/api/contact').send(message).expect(200);
+
+    const saved = await Contact.findOne();
+    assert.equal(saved.email, 'grace@foodswing.test');
+    assert.equal(saved.status, 'new');
+  });
+
+  it('reports missing fields', async () => {
+    const res = await request(app)
+      .post('/api/contact')
+      .send({ email: 'nope' })
+      .expect(400);
+
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['email', 'message', 'name']);
+  });
+
+  it('thanks bots that fill in the honeypot, but drops their message', async () => {
+    const res = await request(app)
+      .post('/api/contact')
+      .send({ ...message, website: 'https://spam.example' })
+      .expect(200);
+
+    assert.equal(res.body.success, true);
+    assert.equal(await Contact.countDocuments(), 0);
+  });
+
+  it('limits messages per IP', async () => {
+    app = createTestApp({ CONTACT_RATE_LIMIT: '2' });
+
+    await request(app).post('/api/contact').send(message).expect(200);
+    await request(app).post('/api/contact').send(message).expect(200);
+    const res = await request(app).post('/api/contact').send(message).expect(429);
+
+    assert.equal(res.body.code, 'RATE_LIMITED');
+    assert.ok(Number(res.headers['retry-after']) > 0);
+    assert.equal(await Contact.countDocuments(), 2);
+  });
+});
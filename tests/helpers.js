@@ -0,0 +1,79 @@
+// Shared setup for the integration tests: an in-memory MongoDB and apps built with test settings.
+// Each test file runs in its own process, so each gets its own database.
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const { ensureDefaultMoods } = require('../services/moods');
+
+const ADMIN_EMAIL = 'admin@foodswing.test';
+
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  JWT_SECRET: 'integration-tests-secret-of-at-least-32-characters',
+  ADMIN_EMAIL,
+  MAIL_TRANSPORT: 'memory',
+  RATE_LIMIT_STORE: 'memory',
+  // Tests sign up and log in far more often than a person would
+  SIGNUP_RATE_LIMIT: '1000',
+  LOGIN_RATE_LIMIT: '1000',
+  LOGIN_ACCOUNT_RATE_LIMIT: '1000'
+};
+
+let mongo;
+
+async function startDatabase() {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+}
+
+async function stopDatabase() {
+  await mongoose.disconnect();
+  await mongo.stop();
+}
+
+// Empty every collection so each test starts from scratch, with the default moods the server adds on startup
+async function clearDatabase() {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+  await ensureDefaultMoods();
+}
+
+// A fresh app (with fresh rate limit counters); env overrides the test settings
+const createTestApp = (env = {}) => createApp(loadConfig({ ...TEST_ENV, ...env }));
+
+// Sign up through the API; returns the access token and the public user
+async function signUp(app, { name = 'Test User', email = 'user@foodswing.test', password = 'secret123' } = {}) {
+  const res = await request(app)
+    .post('/api/auth/signup')
+    .send({ name, email, password })
+    .expect(201);
+
+  return { token: res.body.token, user: res.body.user, cookies: res.headers['set-cookie'] };
+}
+
+// The ADMIN_EMAIL account becomes admin once it follows its confirmation link
+async function signUpAdmin(app) {
+  const admin = await signUp(app, { name: 'Admin', email: ADMIN_EMAIL });
+  await request(app).get(`/api/auth/verify-email/${lastMailToken(app, ADMIN_EMAIL, 'verifyEmail')}`).expect(200);
+  return { ...admin, user: { ...admin.user, role: 'admin' } };
+}
+
+// The token in the last link mailed to an address, e.g. lastMailToken(app, email, 'resetPassword')
+function lastMailToken(app, to, param) {
+  const mail = app.locals.mailer.outbox.filter(message => message.to === to).pop();
+  const match = mail && mail.text.match(new RegExp(`${param}=([a-f0-9]+)`));
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  ADMIN_EMAIL,
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createTestApp,
+  signUp,
+  signUpAdmin,
+  lastMailToken
+};
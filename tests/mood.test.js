@@ -0,0 +1,94 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { MoodSelection } = require('../models');
+const { startDatabase, stopDatabase, clearDatabase, createTestApp, signUp } = require('./helpers');
+
+describe('mood', () => {
+  let app;
+  let token;
+
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    app = createTestApp();
+    ({ token } = await signUp(app));
+  });
+
+  const selectMood = (mood, fields = {}) => request(app)
+    .post('/api/mood/select')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ mood, ...fields });
+
+  it('tracks a mood selection for the logged-in user', async () => {
+    await selectMood('happy').expect(200);
+
+    const res = await request(app)
+      .get('/api/mood/history')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    assert.deepEqual(res.body.history.map(entry => entry.mood), ['happy']);
+  });
+
+  it('only accepts known moods', async () => {
+    const res = await selectMood('hungry').expect(400);
+    assert.match(res.body.fields.mood, /must be one of/);
+    assert.equal(await MoodSelection.countDocuments(), 0);
+  });
+
+  it('keeps the original time of a selection queued offline', async () => {
+    const timestamp = '2026-03-01T08:30:00.000Z';
+    await selectMood('sad', { timestamp }).expect(200);
+
+    const saved = await MoodSelection.findOne();
+    assert.equal(saved.timestamp.toISOString(), timestamp);
+  });
+
+  it('rejects timestamps from the future', async () => {
+    const timestamp = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const res = await selectMood('happy', { timestamp }).expect(400);
+    assert.ok(res.body.fields.timestamp);
+    assert.equal(await MoodSelection.countDocuments(), 0);
+  });
+
+  it('needs a login', async () => {
+    await request(app).post('/api/mood/select').send({ mood: 'happy' }).expect(401);
+  });
+
+  it('groups the timeline by period in the requested timezone', async () => {
+    const { user } = await signUp(app, { email: 'other@foodswing.test' });
+    await MoodSelection.create({ userId: user.id, mood: 'sad' }); // someone else's
+    await selectMood('happy');
+    await selectMood('happy');
+    await selectMood('stressed');
+
+    const res = await request(app)
+      .get('/api/mood/insights/timeline')
+      .query({ granularity: 'day', tz: 'Europe/Berlin' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    assert.equal(res.body.timeline.length, 1);
+    assert.equal(res.body.timeline[0].total, 3);
+    assert.deepEqual(res.body.timeline[0].moods, { happy: 2, stressed: 1 });
+  });
+
+  it('rejects an unknown timezone', async () => {
+    const res = await request(app)
+      .get('/api/mood/insights/timeline')
+      .query({ tz: 'Mars/Olympus_Mons' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+    assert.equal(res.body.message, 'Invalid timezone');
+    assert.ok(res.body.fields.tz);
+  });
+
+  it('names each bad insights query parameter', async () => {
+    const res = await request(app)
+      .get('/api/mood/insights/timeline?granularity=constructor&tz=UTC&tz=Europe/Berlin&from=soon')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['from', 'granularity', 'tz']);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { Mood, Food } = require('../models');
+const { startDatabase, stopDatabase, clearDatabase, createTestApp, signUp, signUpAdmin } = require('./helpers');
+
+const TIRED = {
+  key: 'tired',
+  label: 'Tired',
+  emoji: '😴',
+  tagline: 'Running on empty',
+  gradient: { from: '#c3cfe2', to: '#a18cd1' },
+  color: '#8395a7',
+  animation: 'float',
+  valence: -0.3,
+  energy: -0.8
+};
+
+describe('moods', () => {
+  let app;
+  let token;
+  let adminToken;
+
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    app = createTestApp();
+    ({ token } = await signUp(app));
+    ({ token: adminToken } = await signUpAdmin(app));
+  });
+
+  const asUser = (req) => req.set('Authorization', `Bearer ${token}`);
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+  const selectMood = (mood) => asUser(request(app).post('/api/mood/select')).send({ mood });
+
+  it('lists the default moods in menu order', async () => {
+    const res = await request(app).get('/api/moods').expect(200);
+
+    assert.deepEqual(res.body.moods.map(mood => mood.key), ['happy', 'sad', 'angry', 'stressed', 'excited']);
+    assert.equal(res.body.moods[1].healing.tips.length, 4);
+  });
+
+  it('lets admins add a mood that can be picked straight away', async () => {
+    await asUser(request(app).post('/api/moods')).send(TIRED).expect(403);
+    await selectMood('tired').expect(400);
+
+    const res = await asAdmin(request(app).post('/api/moods')).send(TIRED).expect(201);
+    assert.equal(res.body.mood.order, 5);
+
+    await selectMood('tired').expect(200);
+    await asAdmin(request(app).post('/api/moods')).send(TIRED).expect(400);
+  });
+
+  it('checks the gradient and healing copy', async () => {
+    const res = await asAdmin(request(app).post('/api/moods'))
+      .send({ ...TIRED, gradient: { from: 'blue' }, healing: { tips: 'rest' } })
+      .expect(400);
+
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['gradient.from', 'gradient.to', 'healing.tips']);
+    assert.equal(await Mood.countDocuments({ key: 'tired' }), 0);
+  });
+
+  it('keeps hidden moods listed but stops them being picked', async () => {
+    await asAdmin(request(app).patch('/api/moods/sad')).send({ active: false }).expect(200);
+
+    const res = await selectMood('sad').expect(400);
+    assert.match(res.body.fields.mood, /must be one of: happy, angry, stressed, excited/);
+
+    const list = await request(app).get('/api/moods').expect(200);
+    assert.equal(list.body.moods.find(mood => mood.key === 'sad').active, false);
+
+    await asAdmin(request(app).patch('/api/moods/happy')).send({ key: 'joyful' }).expect(400);
+  });
+
+  it('still lets records tagged with a hidden mood be edited', async () => {
+    const food = await Food.create({ name: 'Soup', emoji: '🍲', category: 'Comfort', moods: ['sad'] });
+    await asAdmin(request(app).patch('/api/moods/sad')).send({ active: false }).expect(200);
+
+    const res = await asAdmin(request(app).put(`/api/foods/${food.id}`))
+      .send({ name: 'Tomato soup', moods: ['sad', 'happy'] })
+      .expect(200);
+    assert.deepEqual(res.body.food.moods, ['sad', 'happy']);
+
+    // Adding the hidden mood to another food is still refused
+    const other = await Food.create({ name: 'Toast', emoji: '🍞', category: 'Snack', moods: ['happy'] });
+    await asAdmin(request(app).put(`/api/foods/${other.id}`)).send({ moods: ['happy', 'sad'] }).expect(400);
+  });
+
+  it('only deletes moods nobody has used', async () => {
+    await selectMood('happy').expect(200);
+
+    const res = await asAdmin(request(app).delete('/api/moods/happy')).expect(400);
+    assert.equal(res.body.code, 'MOOD_IN_USE');
+
+    await asAdmin(request(app).delete('/api/moods/excited')).expect(200);
+    await asAdmin(request(app).delete('/api/moods/excited')).expect(404);
+  });
+});
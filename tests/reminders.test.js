@@ -0,0 +1,130 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { Reminder, Notification } = require('../models');
+const { runDueReminders } = require('../services/reminders');
+const { startDatabase, stopDatabase, clearDatabase, createTestApp, signUp } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('reminders', () => {
+  let app;
+  let token;
+  let user;
+
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    app = createTestApp();
+    ({ token, user } = await signUp(app));
+  });
+
+  const asUser = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  const createReminder = async (fields = {}) => {
+    const res = await asUser(request(app).post('/api/reminders'))
+      .send({ times: ['09:00'], ...fields })
+      .expect(201);
+    return res.body.reminder;
+  };
+
+  it('creates, pauses and deletes a reminder', async () => {
+    const reminder = await createReminder({ label: 'Lunch check-in', times: ['18:00', '09:00', '09:00'], days: [4, 0] });
+    assert.deepEqual(reminder.times, ['09:00', '18:00']);
+    assert.deepEqual(reminder.days, [0, 4]);
+    assert.ok(reminder.nextRunAt);
+
+    const paused = await asUser(request(app).patch(`/api/reminders/${reminder._id}`))
+      .send({ enabled: false })
+      .expect(200);
+    assert.equal(paused.body.reminder.nextRunAt, null);
+
+    await asUser(request(app).delete(`/api/reminders/${reminder._id}`)).expect(200);
+    const res = await asUser(request(app).get('/api/reminders')).expect(200);
+    assert.deepEqual(res.body.reminders, []);
+    assert.equal(res.body.settings.timezone, 'UTC');
+  });
+
+  it('rejects schedules that could never fire', async () => {
+    const badTime = await asUser(request(app).post('/api/reminders')).send({ times: ['9am'] }).expect(400);
+    assert.ok(badTime.body.fields.times);
+
+    const noDays = await asUser(request(app).post('/api/reminders')).send({ times: ['09:00'], days: [] }).expect(400);
+    assert.ok(noDays.body.fields.days);
+
+    assert.equal(await Reminder.countDocuments(), 0);
+  });
+
+  it('validates the timezone and needs both ends of the quiet hours', async () => {
+    await asUser(request(app).put('/api/reminders/settings')).send({ timezone: 'Mars/Olympus' }).expect(400);
+    const halfQuiet = await asUser(request(app).put('/api/reminders/settings')).send({ quietStart: '22:00' }).expect(400);
+    assert.ok(halfQuiet.body.fields.quietEnd);
+
+    const res = await asUser(request(app).put('/api/reminders/settings'))
+      .send({ timezone: 'Asia/Kolkata', quietStart: '22:00', quietEnd: '07:00' })
+      .expect(200);
+    assert.deepEqual(res.body.settings, { timezone: 'Asia/Kolkata', quietStart: '22:00', quietEnd: '07:00' });
+  });
+
+  it('schedules reminders in the user\'s timezone', async () => {
+    const reminder = await createReminder();
+    assert.equal(new Date(reminder.nextRunAt).getUTCHours(), 9);
+
+    // Changing the timezone moves the reminders already set
+    await asUser(request(app).put('/api/reminders/settings')).send({ timezone: 'Asia/Kolkata' }).expect(200);
+    const nextRunAt = (await Reminder.findById(reminder._id)).nextRunAt;
+    assert.equal(nextRunAt.getUTCHours(), 3);
+    assert.equal(nextRunAt.getUTCMinutes(), 30);
+  });
+
+  it('sends due reminders to the inbox and moves them to the next day', async () => {
+    const reminder = await createReminder({ label: 'Morning check-in' });
+    const dueAt = new Date(reminder.nextRunAt);
+
+    assert.equal(await runDueReminders(new Date(dueAt.getTime() - MINUTE)), 0);
+    assert.equal(await runDueReminders(new Date(dueAt.getTime() + MINUTE)), 1);
+    assert.equal(await runDueReminders(new Date(dueAt.getTime() + 2 * MINUTE)), 0); // already sent
+
+    const updated = await Reminder.findById(reminder._id);
+    assert.equal(updated.nextRunAt.getTime(), dueAt.getTime() + DAY);
+
+    const res = await asUser(request(app).get('/api/notifications')).expect(200);
+    assert.equal(res.body.unreadCount, 1);
+    assert.equal(res.body.notifications[0].title, 'Morning check-in');
+    assert.equal(res.body.notifications[0].link, '/home');
+  });
+
+  it('skips reminders that fall in quiet hours', async () => {
+    await asUser(request(app).put('/api/reminders/settings')).send({ quietStart: '08:30', quietEnd: '10:00' }).expect(200);
+    const reminder = await createReminder();
+    const dueAt = new Date(reminder.nextRunAt);
+
+    assert.equal(await runDueReminders(new Date(dueAt.getTime() + MINUTE)), 0);
+    assert.equal(await Notification.countDocuments(), 0);
+    assert.equal((await Reminder.findById(reminder._id)).nextRunAt.getTime(), dueAt.getTime() + DAY);
+  });
+
+  it('marks notifications as read', async () => {
+    const other = await signUp(app, { email: 'other@foodswing.test' });
+    const [first] = await Notification.create([
+      { userId: user.id, title: 'One' },
+      { userId: other.user.id, title: 'Not mine' }
+    ]);
+
+    await request(app).post(`/api/notifications/${first._id}/read`)
+      .set('Authorization', `Bearer ${other.token}`)
+      .expect(404);
+
+    const read = await asUser(request(app).post(`/api/notifications/${first._id}/read`)).expect(200);
+    assert.ok(read.body.notification.readAt);
+    const res = await asUser(request(app).get('/api/notifications')).query({ unread: true }).expect(200);
+    assert.equal(res.body.unreadCount, 0);
+    assert.deepEqual(res.body.notifications, []);
+
+    // Reading it again keeps the first read time
+    const again = await asUser(request(app).post(`/api/notifications/${first._id}/read`)).expect(200);
+    assert.equal(again.body.notification.readAt, read.body.notification.readAt);
+  });
+});
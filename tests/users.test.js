@@ -0,0 +1,145 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { User, MoodSelection, JournalEntry, Contact } = require('../models');
+const { purgeScheduledDeletions } = require('../services/accounts');
+const { startDatabase, stopDatabase, clearDatabase, createTestApp, signUp, lastMailToken } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('users', () => {
+  let app;
+  let token;
+  let user;
+  let cookies;
+
+  before(startDatabase);
+  after(stopDatabase);
+  beforeEach(async () => {
+    await clearDatabase();
+    app = createTestApp();
+    ({ token, user, cookies } = await signUp(app));
+  });
+
+  const asUser = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  // Request deletion and follow the emailed link
+  const scheduleDeletion = async () => {
+    await asUser(request(app).delete('/api/users/me')).send({ password: 'secret123' }).expect(200);
+    const link = lastMailToken(app, 'user@foodswing.test', 'confirmDeletion');
+    return request(app).post('/api/users/me/deletion/confirm').send({ token: link }).expect(200);
+  };
+
+  // Follow the emailed confirmation link
+  const confirmEmail = async () => {
+    const link = lastMailToken(app, 'user@foodswing.test', 'verifyEmail');
+    await request(app).get(`/api/auth/verify-email/${link}`).expect(200);
+  };
+
+  it('exports the profile, moods and contact messages as JSON', async () => {
+    await confirmEmail();
+    await MoodSelection.create({ userId: user.id, mood: 'happy' });
+    await Contact.create({ name: 'Test User', email: 'User@FoodSwing.test', message: 'Hi!', notes: 'internal' });
+
+    const res = await asUser(request(app).get('/api/users/me/export')).expect(200);
+
+    assert.match(res.headers['content-disposition'], /attachment; filename="foodswing-export-/);
+    assert.equal(res.body.profile[0].email, 'user@foodswing.test');
+    assert.deepEqual(res.body.moods.map(row => row.mood), ['happy']);
+    assert.equal(res.body.contact.length, 1);
+    assert.equal(res.body.contact[0].notes, undefined);
+  });
+
+  it('leaves contact messages out until the email is confirmed', async () => {
+    await Contact.create({ name: 'Someone else', email: 'user@foodswing.test', message: 'Private' });
+
+    const res = await asUser(request(app).get('/api/users/me/export')).expect(200);
+    assert.deepEqual(res.body.contact, []);
+
+    await scheduleDeletion();
+    await purgeScheduledDeletions(new Date(Date.now() + 30 * DAY));
+    assert.equal(await Contact.countDocuments(), 1);
+  });
+
+  it('exports one section as CSV', async () => {
+    await MoodSelection.create([{ userId: user.id, mood: 'sad' }, { mood: 'happy' }]);
+
+    const res = await asUser(request(app).get('/api/users/me/export'))
+      .query({ format: 'csv', section: 'moods' })
+      .expect(200);
+
+    assert.match(res.headers['content-type'], /text\/csv/);
+    const [header, ...rows] = res.text.split('\n');
+    assert.equal(header, 'timestamp,mood');
+    assert.equal(rows.length, 1);
+    assert.match(rows[0], /,sad$/);
+
+    await asUser(request(app).get('/api/users/me/export')).query({ format: 'csv' }).expect(400);
+  });
+
+  it('keeps formulas in exported CSV cells from running in a spreadsheet', async () => {
+    await JournalEntry.create({ userId: user.id, mood: 'happy', intensity: 3, note: '=HYPERLINK("http://evil.test","hi")' });
+
+    const res = await asUser(request(app).get('/api/users/me/export'))
+      .query({ format: 'csv', section: 'journal' })
+      .expect(200);
+
+    assert.ok(res.text.includes(`"'=HYPERLINK(""http://evil.test"",""hi"")"`));
+    assert.ok(!res.text.includes(',=HYPERLINK'));
+  });
+
+  it('only schedules a deletion once the emailed link is confirmed', async () => {
+    await asUser(request(app).delete('/api/users/me')).send({ password: 'wrong-password' }).expect(400);
+    await asUser(request(app).delete('/api/users/me')).send({ password: 'secret123' }).expect(200);
+    assert.equal((await User.findById(user.id)).deletionScheduledFor, null);
+
+    const res = await request(app)
+      .post('/api/users/me/deletion/confirm')
+      .send({ token: lastMailToken(app, 'user@foodswing.test', 'confirmDeletion') })
+      .expect(200);
+
+    const scheduled = new Date(res.body.deletionScheduledFor).getTime();
+    assert.ok(scheduled > Date.now() + 13 * DAY);
+    await request(app).post('/api/auth/refresh').set('Cookie', cookies).expect(401);
+  });
+
+  it('keeps the account when the deletion is cancelled', async () => {
+    await scheduleDeletion();
+
+    const res = await asUser(request(app).post('/api/users/me/deletion/cancel')).expect(200);
+    assert.equal(res.body.profile.deletionScheduledFor, null);
+
+    assert.equal(await purgeScheduledDeletions(new Date(Date.now() + 30 * DAY)), 0);
+    assert.ok(await User.findById(user.id));
+  });
+
+  it('cancels a scheduled deletion when the user logs in again', async () => {
+    await scheduleDeletion();
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'user@foodswing.test', password: 'secret123' })
+      .expect(200);
+    assert.match(res.body.message, /cancelled/);
+
+    assert.equal((await User.findById(user.id)).deletionScheduledFor, null);
+    assert.equal(await purgeScheduledDeletions(new Date(Date.now() + 30 * DAY)), 0);
+  });
+
+  it('removes the account and its data after the grace period', async () => {
+    const other = await signUp(app, { email: 'other@foodswing.test' });
+    await MoodSelection.create([{ userId: user.id, mood: 'happy' }, { userId: other.user.id, mood: 'sad' }]);
+    await JournalEntry.create({ userId: user.id, mood: 'happy', intensity: 3 });
+    await Contact.create({ name: 'Test User', email: 'user@foodswing.test', message: 'Hi!' });
+    await confirmEmail();
+    await scheduleDeletion();
+
+    assert.equal(await purgeScheduledDeletions(), 0); // still in the grace period
+    assert.equal(await purgeScheduledDeletions(new Date(Date.now() + 15 * DAY)), 1);
+
+    assert.equal(await User.findById(user.id), null);
+    assert.equal(await JournalEntry.countDocuments(), 0);
+    assert.equal(await Contact.countDocuments(), 0);
+    assert.deepEqual((await MoodSelection.find()).map(selection => selection.mood), ['sad']);
+  });
+});